@@ -1,17 +1,32 @@
 /**
- * Generate a static feed.xml file for GitHub Pages deployment
+ * Generate the static site for GitHub Pages deployment: the feed files
+ * (feed.xml, feed.atom, feed.json), index.html, one page per episode under
+ * episodes/, sitemap.xml, robots.txt and archive.json
  * Usage: node scripts/generate-feed.js
  *
  * Set FEED_BASE_URL to override the default GitHub Pages URL.
+ * The fetched episodes are merged into the previous run's archive.json,
+ * read from ARCHIVE_SOURCE (file or URL, default: the published one).
+ * The RSS feed is validated first; nothing is written when it has errors.
  */
 
 import { mkdirSync, writeFileSync } from 'node:fs';
-import { fetchEpisodes, generateRSS, clearCache } from '../src/index.js';
+import { dirname } from 'node:path';
+import {
+  fetchSeries, buildChannel, generateFeed, FEED_FORMATS, clearCache, MAX_ARCHIVE_EPISODES,
+} from '../src/index.js';
+import { buildFeedModel } from '../src/feed-model.js';
+import { buildSitePages, renderSitemap, renderRobotsTxt } from '../src/static-site.js';
 import { getConfig as getHttpConfig } from '../src/http-client.js';
+import { validateFeed, formatValidationReport } from '../src/feed-validator.js';
+import { analyzeEpisodeTitles, serialOrder } from '../src/title-analysis.js';
+import { loadArchive, mergeArchive, serializeArchive } from '../src/episode-archive.js';
+import { filterAvailable } from '../src/availability.js';
 
 const baseUrl = process.env.FEED_BASE_URL || 'https://lnagel.github.io/ohtujutt-rss';
-const selfUrl = `${baseUrl.replace(/\/$/, '')}/feed.xml`;
+const feedBaseUrl = baseUrl.replace(/\/$/, '');
 const outDir = 'public';
+const archiveSource = process.env.ARCHIVE_SOURCE || `${feedBaseUrl}/archive.json`;
 
 // Log runtime context for CI debugging
 const httpConfig = getHttpConfig();
@@ -30,18 +45,67 @@ clearCache();
 
 console.log(`Fetching episodes...`);
 const startTime = Date.now();
-const episodes = await fetchEpisodes();
+const { series, episodes: fetched, failedIds } = await fetchSeries();
 const elapsed = Date.now() - startTime;
-console.log(`Found ${episodes.length} episodes (fetched in ${elapsed}ms)`);
+console.log(`Found ${fetched.length} episodes (fetched in ${elapsed}ms)`);
 
-if (episodes.length === 0) {
+if (fetched.length === 0) {
   console.error('No episodes found, aborting');
   process.exit(1);
 }
 
-const rss = generateRSS(episodes, selfUrl);
+// Publishing without the archive would shrink the feed to the latest episodes, so an unreadable one is fatal
+let archived;
+try {
+  archived = await loadArchive(archiveSource, series.id);
+} catch (error) {
+  console.error(`Cannot read archive ${archiveSource}: ${error.message}`);
+  process.exit(1);
+}
+if (!archived) console.log(`No archive at ${archiveSource}, starting a new one`);
+
+const merged = mergeArchive(archived || [], fetched, { failedIds, maxEpisodes: MAX_ARCHIVE_EPISODES });
+// fetchSeries() leaves out unavailable episodes, so the merge drops those in the fetched
+// window; older archived episodes whose availability window has closed since go here
+const available = filterAvailable(merged.episodes);
+const unavailable = available.expired + available.drm + available.geoBlocked;
+console.log(
+  `Archive: ${available.episodes.length} episodes (${merged.added} new, ${merged.updated} updated, ` +
+  `${merged.removed} removed upstream, ${merged.trimmed} over the ${MAX_ARCHIVE_EPISODES} limit, ` +
+  `${unavailable} no longer available)`
+);
+// Parts are numbered across the whole archive
+const episodes = analyzeEpisodeTitles(available.episodes);
 
-mkdirSync(outDir, { recursive: true });
-writeFileSync(`${outDir}/feed.xml`, rss, 'utf-8');
-console.log(`Written ${outDir}/feed.xml (${rss.length} bytes)`);
+const channel = buildChannel(series);
+// A serial show lists the parts of each story together, as the server does
+const ordered = channel.type === 'serial' ? serialOrder(episodes) : episodes;
+const files = Object.entries(FEED_FORMATS).map(([format, { extension }]) => {
+  const filename = `feed.${extension}`;
+  return { format, filename, body: generateFeed(format, ordered, `${feedBaseUrl}/${filename}`, channel) };
+});
+
+// Don't publish a feed that podcast directories would reject
+const validation = validateFeed(files.find(f => f.format === 'rss').body);
+console.log(`Validation: ${formatValidationReport(validation)}`);
+if (validation.errors.length > 0) {
+  console.error('Feed validation failed, nothing written');
+  process.exit(1);
+}
+
+// The same pages the server renders, linking to the static feed files
+const feedUrls = Object.fromEntries(files.map(({ format, filename }) => [format, `${feedBaseUrl}/${filename}`]));
+const pages = buildSitePages(buildFeedModel(ordered, feedUrls.rss, channel), feedUrls);
+files.push(
+  ...pages.map(({ path, body }) => ({ filename: path, body })),
+  { filename: 'sitemap.xml', body: renderSitemap(feedBaseUrl, pages) },
+  { filename: 'robots.txt', body: renderRobotsTxt(feedBaseUrl) },
+  { filename: 'archive.json', body: serializeArchive(series.id, available.episodes) },
+);
+
+for (const { filename, body } of files) {
+  mkdirSync(dirname(`${outDir}/${filename}`), { recursive: true });
+  writeFileSync(`${outDir}/${filename}`, body, 'utf-8');
+}
+console.log(`Written ${files.length} files to ${outDir}/ (${pages.length - 1} episode pages)`);
 console.log('--- Feed generation completed ---');
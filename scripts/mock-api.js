@@ -0,0 +1,230 @@
+/**
+ * Local stand-in for the ERR API
+ *
+ * Serves /api/broadcast/broadcasts and /api/radio/getRadioPageData from
+ * test/mocks/ (as saved by `npm run fetch-mock`), so the server can run
+ * without reaching ERR:
+ *
+ *   npm run mock-api
+ *   VIKERRAADIO_API_URL=http://localhost:8788/api npm start
+ *
+ * Broadcasts are paged by `previous` cursors like the real API. Episodes
+ * without a mock file are synthesized from their broadcasts entry. Faults
+ * (error statuses with Retry-After, slow responses, malformed JSON,
+ * truncated bodies) can be injected to exercise retries and the circuit
+ * breaker; the e2e tests drive them in-process through createMockApi().
+ */
+
+import { createServer } from 'node:http';
+import { readFile, readdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const MOCKS_DIR = join(__dirname, '..', 'test', 'mocks');
+
+const API_PATH = '/api';
+
+// Broadcasts per page; ERR returns 100 (1-1000)
+const DEFAULT_PAGE_SIZE = Math.min(
+  Math.max(parseInt(process.env.MOCK_PAGE_SIZE, 10) || 100, 1),
+  1000
+);
+
+/**
+ * @typedef {object} FaultRule
+ * @property {string} [path] - Only requests whose path ends with this, e.g. "/broadcast/broadcasts"
+ * @property {Object<string, string|number>} [params] - Only requests with these query parameters
+ * @property {number} [status] - Respond with this status instead of the data (e.g. 503, 429)
+ * @property {number} [retryAfter] - Retry-After header in seconds, sent with `status`
+ * @property {number} [delayMs] - Wait this long before responding
+ * @property {boolean} [malformed] - Respond 200 with a body that isn't valid JSON
+ * @property {boolean} [truncate] - Send half of the body, then drop the connection
+ * @property {number} [times] - Affect this many matching requests, then expire (default: all)
+ */
+
+/**
+ * Create a mock ERR API server
+ * @param {object} [options]
+ * @param {string} [options.mocksDir] - Directory with broadcasts-{seriesId}.json and getRadioPageData-{id}.json
+ * @param {number} [options.pageSize] - Broadcasts per page
+ * @param {FaultRule[]} [options.faults] - Initial fault rules
+ * @returns {object} Mock with listen, close, setFaults and the request log
+ */
+export function createMockApi({ mocksDir = MOCKS_DIR, pageSize = DEFAULT_PAGE_SIZE, faults = [] } = {}) {
+  /** @type {Array<FaultRule & {remaining: number}>} */
+  let rules = [];
+  /** @type {string[]} Paths with query of every request received */
+  const requests = [];
+  // Parsed mock files by name; null for missing files
+  const mockFiles = new Map();
+
+  /**
+   * Replace the fault rules; the first rule matching a request applies
+   * @param {FaultRule[]} newRules
+   */
+  function setFaults(newRules) {
+    rules = newRules.map(rule => ({ ...rule, remaining: rule.times ?? Infinity }));
+  }
+  setFaults(faults);
+
+  function takeFault(pathname, searchParams) {
+    const rule = rules.find(r => r.remaining > 0
+      && (!r.path || pathname.endsWith(r.path))
+      && Object.entries(r.params || {}).every(([name, value]) => searchParams.get(name) === String(value)));
+    if (rule) rule.remaining--;
+    return rule;
+  }
+
+  async function readMock(filename) {
+    if (!mockFiles.has(filename)) {
+      try {
+        mockFiles.set(filename, JSON.parse(await readFile(join(mocksDir, filename), 'utf-8')));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        mockFiles.set(filename, null);
+      }
+    }
+    return mockFiles.get(filename);
+  }
+
+  /**
+   * One page of broadcasts, newest first, at or before the `previous` cursor
+   * @param {URLSearchParams} searchParams
+   * @returns {Promise<object|null>}
+   */
+  async function broadcastsPage(searchParams) {
+    const mock = await readMock(`broadcasts-${searchParams.get('seriesContentId')}.json`);
+    if (!mock) return null;
+
+    const cursor = Number(searchParams.get('previous')) || Infinity;
+    const older = (mock.data || [])
+      .filter(b => b.scheduleStart <= cursor)
+      .sort((a, b) => b.scheduleStart - a.scheduleStart);
+    const data = older.slice(0, pageSize);
+    const last = data[data.length - 1];
+
+    // 0 ends the crawl, as on the oldest real page
+    return { ...mock, data, previous: older.length > data.length ? last.scheduleStart - 1 : 0 };
+  }
+
+  /**
+   * Episode page data from its mock file, or built from its broadcasts entry
+   * @param {string} contentId
+   * @returns {Promise<object|null>}
+   */
+  async function episodePage(contentId) {
+    const mock = await readMock(`getRadioPageData-${contentId}.json`);
+    if (mock) return mock;
+
+    for (const filename of await readdir(mocksDir)) {
+      if (!filename.startsWith('broadcasts-')) continue;
+      const broadcast = (await readMock(filename))?.data?.find(b => String(b.id) === contentId);
+      if (broadcast) {
+        const medias = [{ src: { file: `//vod.err.ee/file/mock/${contentId}.m4a` }, duration: 600 }];
+        return { pageControlData: { mainContent: { ...broadcast, medias } } };
+      }
+    }
+    return null;
+  }
+
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname + url.search);
+
+    const fault = takeFault(url.pathname, url.searchParams);
+    if (fault?.delayMs) await sleep(fault.delayMs);
+
+    if (fault?.status) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (fault.retryAfter !== undefined) headers['Retry-After'] = String(fault.retryAfter);
+      res.writeHead(fault.status, headers);
+      res.end(JSON.stringify({ error: `Injected ${fault.status}` }));
+      return;
+    }
+
+    let body = null;
+    if (url.pathname === `${API_PATH}/broadcast/broadcasts`) {
+      body = await broadcastsPage(url.searchParams);
+    } else if (url.pathname === `${API_PATH}/radio/getRadioPageData`) {
+      body = await episodePage(url.searchParams.get('contentId') || '');
+    }
+
+    if (!body) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not Found' }));
+      return;
+    }
+
+    const json = Buffer.from(JSON.stringify(body));
+    const half = json.subarray(0, Math.floor(json.length / 2));
+
+    if (fault?.truncate) {
+      // Promise the full length, then hang up halfway
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': json.length });
+      res.write(half, () => res.destroy());
+      return;
+    }
+
+    const sent = fault?.malformed ? half : json;
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': sent.length });
+    res.end(sent);
+  }
+
+  const server = createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      console.error(`Mock API error for ${req.url}: ${error.message}`);
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    });
+  });
+
+  return {
+    server,
+    requests,
+    setFaults,
+
+    /**
+     * Start listening
+     * @param {number} [port] - 0 picks a free port
+     * @param {string} [host]
+     * @returns {Promise<string>} API base URL for VIKERRAADIO_API_URL
+     */
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(`http://${host}:${server.address().port}${API_PATH}`));
+      });
+    },
+
+    /**
+     * Stop listening and drop open connections
+     * @returns {Promise<void>}
+     */
+    close() {
+      return new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+    },
+  };
+}
+
+// Only start the server if run directly
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+  const port = parseInt(process.env.MOCK_API_PORT, 10) || 8788;
+  let faults = [];
+  try {
+    faults = JSON.parse(process.env.MOCK_FAULTS || '[]');
+  } catch (error) {
+    console.error(`Invalid MOCK_FAULTS: ${error.message}`);
+    process.exit(1);
+  }
+
+  const mockApi = createMockApi({ faults });
+  const apiUrl = await mockApi.listen(port, '0.0.0.0');
+  console.log(`Mock ERR API on ${apiUrl.replace('0.0.0.0', 'localhost')} (${DEFAULT_PAGE_SIZE} broadcasts per page, ${faults.length} fault rules)`);
+}
@@ -0,0 +1,30 @@
+/**
+ * Validate an RSS feed against RSS 2.0 and Apple Podcasts requirements
+ * Usage: npm run validate [-- <file or URL>]
+ *
+ * Defaults to public/feed.xml as written by `npm run generate`.
+ * Exits with status 1 when the feed has errors; warnings alone pass.
+ */
+
+import { readFileSync } from 'node:fs';
+import { validateFeed, formatValidationReport } from '../src/feed-validator.js';
+
+const source = process.argv[2] || 'public/feed.xml';
+
+let xml;
+try {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    xml = await response.text();
+  } else {
+    xml = readFileSync(source, 'utf-8');
+  }
+} catch (error) {
+  console.error(`Cannot read ${source}: ${error.message}`);
+  process.exit(2);
+}
+
+const result = validateFeed(xml);
+console.log(`${source}: ${formatValidationReport(result)}`);
+process.exit(result.errors.length > 0 ? 1 : 0);
@@ -0,0 +1,109 @@
+/**
+ * Media availability windows and restrictions
+ *
+ * ERR's media objects say until when and where the audio can be played:
+ * `publicEnd` (unix seconds, 0 for no end), `periods` (publication windows,
+ * each with its own `publicEnd`), `catchupDays` (days after the broadcast
+ * the recording stays up) and `restrictions` (`drm`, `geoBlock` for
+ * Estonia only). Episodes whose window has closed or that need DRM can't be
+ * played by podcast apps and are left out of feeds; geo-blocked ones are
+ * left out or kept with a notice, per GEO_BLOCKED_EPISODES.
+ */
+
+export const GEO_BLOCK_MODES = ['flag', 'drop'];
+
+// What to do with episodes that only play in Estonia (default: keep them, with a notice)
+const GEO_BLOCK_MODE = GEO_BLOCK_MODES.includes(process.env.GEO_BLOCKED_EPISODES)
+  ? process.env.GEO_BLOCKED_EPISODES
+  : 'flag';
+
+export const GEO_BLOCK_NOTICE = 'Kuulatav ainult Eestis.';
+
+// Shortest lifetime handed out for anything expiring with a window, so caches don't spin
+const MIN_LIFETIME_MS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dateFromUnix(seconds) {
+  const value = Number(seconds);
+  return value > 0 ? new Date(value * 1000) : null;
+}
+
+/**
+ * Read when an episode's audio stops being available, and its restrictions
+ * @param {object} content - pageControlData.mainContent of getRadioPageData
+ * @returns {{availableUntil: Date|null, drm: boolean, geoBlocked: boolean}} `availableUntil` is null for no end
+ */
+export function parseAvailability(content) {
+  const media = content?.medias?.[0] || {};
+  const ends = [];
+
+  const publicEnd = dateFromUnix(media.publicEnd);
+  if (publicEnd) ends.push(publicEnd);
+
+  // The last window decides; any open-ended one means no end
+  const periods = Array.isArray(media.periods) ? media.periods : [];
+  if (periods.length > 0 && periods.every(period => dateFromUnix(period.publicEnd))) {
+    ends.push(new Date(Math.max(...periods.map(period => dateFromUnix(period.publicEnd).getTime()))));
+  }
+
+  // Catch-up runs from the broadcast
+  const broadcast = dateFromUnix(content?.scheduleStart);
+  const catchupDays = Number(media.catchupDays);
+  if (broadcast && catchupDays > 0) {
+    ends.push(new Date(broadcast.getTime() + catchupDays * DAY_MS));
+  }
+
+  return {
+    availableUntil: ends.length > 0 ? new Date(Math.min(...ends)) : null,
+    drm: media.restrictions?.drm === true,
+    geoBlocked: media.restrictions?.geoBlock === true,
+  };
+}
+
+/**
+ * Drop episodes that podcast apps can't play
+ * @param {object[]} episodes - Parsed episodes with `availableUntil`, `drm` and `geoBlocked`
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {string} [options.geoBlocked] - One of GEO_BLOCK_MODES
+ * @returns {{episodes: object[], expired: number, drm: number, geoBlocked: number}} Kept episodes and drop counts
+ */
+export function filterAvailable(episodes, { now = new Date(), geoBlocked = GEO_BLOCK_MODE } = {}) {
+  const dropped = { expired: 0, drm: 0, geoBlocked: 0 };
+
+  const kept = episodes.filter(ep => {
+    if (ep.availableUntil && ep.availableUntil <= now) dropped.expired++;
+    else if (ep.drm) dropped.drm++;
+    else if (ep.geoBlocked && geoBlocked === 'drop') dropped.geoBlocked++;
+    else return true;
+    return false;
+  });
+
+  return { episodes: kept, ...dropped };
+}
+
+/**
+ * When the first of the episodes' windows closes
+ * @param {object[]} episodes - Episodes with `availableUntil`
+ * @param {Date} [now]
+ * @returns {Date|null} null when none of them expire
+ */
+export function nextExpiry(episodes, now = new Date()) {
+  const upcoming = episodes
+    .map(ep => ep.availableUntil?.getTime())
+    .filter(time => time > now.getTime());
+  return upcoming.length > 0 ? new Date(Math.min(...upcoming)) : null;
+}
+
+/**
+ * Shorten a cache lifetime so it ends when a window closes
+ * @param {number} maxMs - The usual lifetime
+ * @param {Date|null} expiresAt - When the window closes
+ * @param {Date} [now]
+ * @returns {number} maxMs, or the time left until `expiresAt` when that is shorter
+ */
+export function lifetimeUntil(maxMs, expiresAt, now = new Date()) {
+  if (!expiresAt || expiresAt <= now) return maxMs;
+  return Math.min(maxMs, Math.max(MIN_LIFETIME_MS, expiresAt - now));
+}
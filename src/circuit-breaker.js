@@ -0,0 +1,122 @@
+/**
+ * Circuit breaker for upstream hosts
+ *
+ * closed    - requests pass; consecutive failures are counted
+ * open      - requests fail fast with CircuitOpenError until the reset timeout passes
+ * half-open - one trial request passes; success closes the circuit, failure opens it again
+ */
+
+/**
+ * Thrown instead of making a request while a host's circuit is open
+ */
+export class CircuitOpenError extends Error {
+  /**
+   * @param {string} host - Upstream host
+   * @param {number} retryAt - When the next trial request is allowed (ms since epoch)
+   */
+  constructor(host, retryAt) {
+    super(`Circuit open for ${host}, retry after ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.host = host;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Create a circuit breaker for one host
+ * @param {string} host - Upstream host, used in errors and status
+ * @param {object} options
+ * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+ * @param {number} options.resetTimeoutMs - Time an open circuit waits before a trial request
+ * @param {() => number} [options.now] - Clock (for testing)
+ */
+export function createCircuitBreaker(host, { failureThreshold, resetTimeoutMs, now = Date.now }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  function open() {
+    state = 'open';
+    openedAt = now();
+    trialInFlight = false;
+    console.error(`Circuit opened for ${host} after ${failures} consecutive failures`);
+  }
+
+  return {
+    /**
+     * Ask to make a request. Every call that doesn't throw must be followed by
+     * onSuccess(), onFailure() or onCancel().
+     * @throws {CircuitOpenError}
+     */
+    beforeRequest() {
+      if (state === 'open') {
+        if (now() - openedAt < resetTimeoutMs) {
+          throw new CircuitOpenError(host, openedAt + resetTimeoutMs);
+        }
+        state = 'half-open';
+      }
+
+      if (state === 'half-open') {
+        // Only one trial at a time; the rest keep failing fast until it reports back
+        if (trialInFlight) throw new CircuitOpenError(host, now() + resetTimeoutMs);
+        trialInFlight = true;
+      }
+    },
+
+    /**
+     * Throw if the circuit is open, without claiming the half-open trial
+     * @throws {CircuitOpenError}
+     */
+    failFast() {
+      if (this.isOpen()) throw new CircuitOpenError(host, openedAt + resetTimeoutMs);
+    },
+
+    onSuccess() {
+      if (state !== 'closed') {
+        console.log(`Circuit closed for ${host}`);
+      }
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    /**
+     * The request was called off by our side (e.g. the client hung up):
+     * no verdict on the host, but a half-open trial slot is freed
+     */
+    onCancel() {
+      trialInFlight = false;
+    },
+
+    onFailure() {
+      failures++;
+      if (state === 'half-open' || (state === 'closed' && failures >= failureThreshold)) {
+        open();
+      }
+    },
+
+    /**
+     * Whether a request made now would fail fast
+     * @returns {boolean}
+     */
+    isOpen() {
+      return state === 'open' && now() - openedAt < resetTimeoutMs;
+    },
+
+    /**
+     * @returns {{host: string, state: string, failures: number, openedAt: string|null, retryAt: string|null}}
+     */
+    getStatus() {
+      return {
+        host,
+        state,
+        failures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAt: state === 'open' ? new Date(openedAt + resetTimeoutMs).toISOString() : null,
+      };
+    },
+  };
+}
@@ -0,0 +1,70 @@
+import { createHash } from 'node:crypto';
+
+/**
+ * Compute a strong ETag for a response body
+ * @param {string} body - Response body
+ * @returns {string} Quoted entity tag
+ */
+export function computeEtag(body) {
+  const hash = createHash('sha256').update(body).digest('base64url').slice(0, 27);
+  return `"${hash}"`;
+}
+
+/**
+ * Build validator headers for a response
+ * @param {object} validators
+ * @param {string} validators.etag - Quoted entity tag
+ * @param {Date|null} [validators.lastModified] - Last modification time
+ * @returns {object} ETag and (when known) Last-Modified headers
+ */
+export function validatorHeaders({ etag, lastModified }) {
+  const headers = { ETag: etag };
+  if (lastModified) {
+    headers['Last-Modified'] = lastModified.toUTCString();
+  }
+  return headers;
+}
+
+/**
+ * Last-Modified of a rebuilt document: the previous build's while the body
+ * (and so the ETag) is unchanged, otherwise the build time. Content dates
+ * such as the newest episode's don't move when an episode is edited or
+ * removed, and If-Modified-Since would then answer 304 for a changed body.
+ * @param {string} etag - ETag of the new build
+ * @param {{etag: string, lastModified: Date|null}|null} previous - Previous build, if any
+ * @param {Date} [now] - Build time
+ * @returns {Date}
+ */
+export function rebuiltLastModified(etag, previous, now = new Date()) {
+  return previous?.etag === etag && previous.lastModified ? previous.lastModified : now;
+}
+
+/**
+ * Check whether a conditional GET/HEAD can be answered with 304 Not Modified.
+ * If-None-Match takes precedence over If-Modified-Since (RFC 9110 §13.2.2).
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {object} validators
+ * @param {string} validators.etag - Quoted entity tag of the current representation
+ * @param {Date|null} [validators.lastModified] - Last modification time
+ * @returns {boolean}
+ */
+export function isNotModified(req, { etag, lastModified }) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    // Weak comparison: W/"x" matches "x"
+    return ifNoneMatch
+      .split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .some(tag => tag === '*' || tag === etag);
+  }
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    // HTTP dates have one-second resolution
+    return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+  }
+
+  return false;
+}
@@ -0,0 +1,148 @@
+import {
+  mkdirSync, readFileSync, writeFileSync, renameSync, unlinkSync, readdirSync,
+} from 'node:fs';
+import { createHash } from 'node:crypto';
+import { join } from 'node:path';
+
+// Writes sweep out expired entry files at most this often (10 minutes)
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Map a cache key to a file name (keys contain ":" and arbitrary IDs)
+ * @param {string} key
+ * @returns {string}
+ */
+function fileNameForKey(key) {
+  return createHash('sha256').update(key).digest('hex').slice(0, 40) + '.json';
+}
+
+/**
+ * Remove a file, ignoring files that are already gone
+ * @param {string} path
+ */
+function removeFile(path) {
+  try {
+    unlinkSync(path);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+/**
+ * Create a file-per-entry store for cached API responses.
+ *
+ * Each entry is a JSON file holding the key, value and absolute expiry time.
+ * Writes go through a temp file and rename so a crash never leaves a
+ * half-written entry; anything unreadable is deleted and treated as a miss.
+ * Entries that are never read again are deleted by a sweep, which writes
+ * run once the sweep interval has passed.
+ *
+ * @param {string} dir - Directory for entry files (created if missing)
+ * @param {object} [options]
+ * @param {number} [options.sweepIntervalMs] - Minimum time between sweeps run by writes
+ * @returns {object} Store with read, write, remove, clear and sweep functions
+ */
+export function createDiskStore(dir, { sweepIntervalMs = SWEEP_INTERVAL_MS } = {}) {
+  mkdirSync(dir, { recursive: true });
+  let lastSweepAt = 0;
+
+  /**
+   * Read an entry if present, unexpired and intact
+   * @param {string} key
+   * @returns {{value: object, expiresAt: number}|undefined}
+   */
+  function read(key) {
+    const path = join(dir, fileNameForKey(key));
+    let entry;
+    try {
+      entry = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      // Corrupt or truncated file: drop it so the next write starts clean
+      console.error(`Discarding unreadable cache file for ${key}: ${error.message}`);
+      removeFile(path);
+      return undefined;
+    }
+
+    if (entry?.key !== key || typeof entry.expiresAt !== 'number') {
+      removeFile(path);
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      removeFile(path);
+      return undefined;
+    }
+
+    return { value: entry.value, expiresAt: entry.expiresAt };
+  }
+
+  /**
+   * Write an entry atomically, sweeping first when the sweep interval has passed
+   * @param {string} key
+   * @param {object} value
+   * @param {number} expiresAt - Expiry as a Unix timestamp in milliseconds
+   */
+  function write(key, value, expiresAt) {
+    if (Date.now() - lastSweepAt >= sweepIntervalMs) sweep();
+
+    const path = join(dir, fileNameForKey(key));
+    const tmpPath = `${path}.${process.pid}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify({ key, expiresAt, value }));
+    renameSync(tmpPath, path);
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key
+   */
+  function remove(key) {
+    removeFile(join(dir, fileNameForKey(key)));
+  }
+
+  /**
+   * Delete all entries
+   */
+  function clear() {
+    for (const name of readdirSync(dir)) {
+      if (name.endsWith('.json') || name.endsWith('.tmp')) {
+        removeFile(join(dir, name));
+      }
+    }
+  }
+
+  /**
+   * Delete expired, corrupt and leftover temp files
+   * @returns {number} Number of entries that remain
+   */
+  function sweep() {
+    const now = Date.now();
+    // Set first: a sweep that throws isn't retried by every following write
+    lastSweepAt = now;
+    let remaining = 0;
+
+    for (const name of readdirSync(dir)) {
+      const path = join(dir, name);
+      if (name.endsWith('.tmp')) {
+        removeFile(path);
+        continue;
+      }
+      if (!name.endsWith('.json')) continue;
+
+      try {
+        const entry = JSON.parse(readFileSync(path, 'utf-8'));
+        if (typeof entry?.expiresAt !== 'number' || entry.expiresAt <= now) {
+          removeFile(path);
+        } else {
+          remaining++;
+        }
+      } catch {
+        removeFile(path);
+      }
+    }
+
+    return remaining;
+  }
+
+  return { read, write, remove, clear, sweep };
+}
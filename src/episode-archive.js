@@ -0,0 +1,146 @@
+/**
+ * Episode archive for the static feeds
+ *
+ * `npm run generate` fetches only the latest episodes, so a static feed
+ * built from them alone would drop older episodes on every run. The archive
+ * (archive.json, published next to the feeds) keeps every episode seen so
+ * far; each run loads the previous one, merges the fresh episodes in by ID
+ * and publishes the result.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fetchJson, HttpError } from './http-client.js';
+
+export const ARCHIVE_VERSION = 1;
+
+// Archives are small static files; one slow GitHub Pages response shouldn't fail a run
+const LOAD_TIMEOUT_MS = 30000;
+
+/**
+ * Serialize episodes as archive.json
+ * @param {string} seriesId - Series content ID
+ * @param {object[]} episodes - Parsed episodes, newest first
+ * @returns {string}
+ */
+export function serializeArchive(seriesId, episodes) {
+  return JSON.stringify({ version: ARCHIVE_VERSION, seriesId: String(seriesId), episodes }, null, 2) + '\n';
+}
+
+/**
+ * Read episodes back from a parsed archive.json, reviving dates.
+ * Entries without an ID, audio URL or valid date are skipped.
+ * @param {object} data - Parsed archive.json
+ * @param {string} seriesId - Expected series content ID
+ * @returns {object[]} Episodes in archive order
+ * @throws {Error} When the archive has another version or belongs to another series
+ */
+export function parseArchive(data, seriesId) {
+  if (data?.version !== ARCHIVE_VERSION || !Array.isArray(data.episodes)) {
+    throw new Error(`Unsupported archive format (version ${data?.version})`);
+  }
+  if (String(data.seriesId) !== String(seriesId)) {
+    throw new Error(`Archive belongs to series ${data.seriesId}, not ${seriesId}`);
+  }
+
+  return data.episodes.flatMap(entry => {
+    const pubDate = new Date(entry?.pubDate);
+    if (entry?.id == null || !entry.audioUrl || Number.isNaN(pubDate.getTime())) return [];
+
+    return [{ ...entry, pubDate, updated: optionalDate(entry.updated), availableUntil: optionalDate(entry.availableUntil) }];
+  });
+}
+
+function optionalDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Load a previously published archive from a file or URL
+ * @param {string} source - File path or http(s) URL of archive.json
+ * @param {string} seriesId - Expected series content ID
+ * @returns {Promise<object[]|null>} Episodes, or null when there's no archive yet (missing file, 404)
+ * @throws {Error} When the archive exists but can't be read or parsed
+ */
+export async function loadArchive(source, seriesId) {
+  let data;
+  if (/^https?:\/\//.test(source)) {
+    try {
+      data = await fetchJson(source, LOAD_TIMEOUT_MS);
+    } catch (error) {
+      if (error instanceof HttpError && error.status === 404) return null;
+      throw error;
+    }
+  } else {
+    let text;
+    try {
+      text = readFileSync(source, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    data = JSON.parse(text);
+  }
+
+  return parseArchive(data, seriesId);
+}
+
+/**
+ * Merge freshly fetched episodes into the archive by ID.
+ *
+ * A fetched episode replaces its archived copy unless the archived copy has
+ * a newer `updated` time (the fetch came from a stale cache). The fetched
+ * episodes cover upstream's listing from the oldest of them on, so archived
+ * episodes in that span that upstream no longer lists were removed and are
+ * dropped; older ones are kept. Episodes whose fetch failed keep their
+ * archived copy, and a fetched episode whose media probe failed keeps the
+ * archived enclosure size of the same file.
+ *
+ * @param {object[]} archived - Episodes from loadArchive()
+ * @param {object[]} fetched - Episodes from fetchSeries()
+ * @param {object} options
+ * @param {Array<string|number>} [options.failedIds] - Listed episodes that couldn't be fetched
+ * @param {number} options.maxEpisodes - Keep at most this many, newest first
+ * @returns {{episodes: object[], added: number, updated: number, removed: number, trimmed: number}}
+ */
+export function mergeArchive(archived, fetched, { failedIds = [], maxEpisodes }) {
+  const fetchedIds = new Set(fetched.map(ep => String(ep.id)));
+  const failed = new Set(failedIds.map(String));
+  const windowStart = fetched.reduce((oldest, ep) => (!oldest || ep.pubDate < oldest ? ep.pubDate : oldest), null);
+
+  const byId = new Map();
+  let removed = 0;
+  for (const ep of archived) {
+    const id = String(ep.id);
+    if (windowStart && ep.pubDate >= windowStart && !fetchedIds.has(id) && !failed.has(id)) {
+      removed++;
+      continue;
+    }
+    byId.set(id, ep);
+  }
+
+  let added = 0;
+  let updated = 0;
+  for (const ep of fetched) {
+    const id = String(ep.id);
+    const previous = byId.get(id);
+    if (!previous) {
+      added++;
+    } else if (previous.updated && ep.updated && previous.updated > ep.updated) {
+      continue;
+    } else if (previous.updated?.getTime() !== ep.updated?.getTime()) {
+      updated++;
+    }
+    const probeFailed = previous?.audioLength && !ep.audioLength && previous.audioUrl === ep.audioUrl;
+    byId.set(id, probeFailed ? { ...ep, audioLength: previous.audioLength, audioType: previous.audioType } : ep);
+  }
+
+  const episodes = [...byId.values()].sort((a, b) => b.pubDate - a.pubDate);
+  return {
+    episodes: episodes.slice(0, maxEpisodes),
+    added,
+    updated,
+    removed,
+    trimmed: Math.max(0, episodes.length - maxEpisodes),
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * JSON episodes API (schema version 1)
+ *
+ * Serializes parsed episodes for /api/episodes and /api/episodes/:id.
+ * Within a schema version fields are only ever added; renaming or removing
+ * one requires a new version.
+ */
+
+export const API_VERSION = 1;
+
+export const API_CONTENT_TYPE = 'application/json; charset=utf-8';
+
+const DEFAULT_PER_PAGE = 20;
+const MAX_PER_PAGE = 100;
+
+/**
+ * Convert an ERR Unix timestamp (seconds, possibly a string) to ISO 8601
+ * @param {number|string} seconds
+ * @returns {string|null}
+ */
+function isoFromUnix(seconds) {
+  const value = Number(seconds);
+  return value > 0 ? new Date(value * 1000).toISOString() : null;
+}
+
+function absoluteUrl(url) {
+  if (!url) return null;
+  return url.startsWith('//') ? `https:${url}` : url;
+}
+
+/**
+ * Serialize a parsed episode (see parseEpisode)
+ * @param {object} episode - Parsed episode, optionally with probed audioType/audioLength
+ * @returns {object}
+ */
+export function serializeEpisode(episode) {
+  return {
+    id: Number(episode.id),
+    title: episode.title,
+    description: episode.description,
+    link: episode.link,
+    publishedAt: episode.pubDate.toISOString(),
+    imageUrl: episode.imageUrl || null,
+    story: episode.story || null,
+    part: episode.part || null,
+    duration: episode.duration ? Math.floor(episode.duration) : null,
+    audio: {
+      url: episode.audioUrl,
+      type: episode.audioType || null,
+      length: episode.audioLength || null,
+    },
+    availableUntil: episode.availableUntil?.toISOString() || null,
+    geoBlocked: episode.geoBlocked === true,
+  };
+}
+
+/**
+ * Serialize a parsed episode with extras read from its raw getRadioPageData content
+ * @param {object} episode - Parsed episode
+ * @param {object} content - pageControlData.mainContent the episode was parsed from
+ * @returns {object}
+ */
+export function serializeEpisodeDetails(episode, content) {
+  const media = content.medias?.[0] || {};
+  return {
+    ...serializeEpisode(episode),
+    seriesId: Number(content.rootContentId || content.parentContentId) || null,
+    mediaHash: media.mediaHash || media.mediaId || null,
+    hlsUrl: absoluteUrl(media.src?.hls),
+    dashUrl: absoluteUrl(media.src?.dash),
+    endTime: isoFromUnix(content.endTime),
+    formatedTimes: content.formatedTimes || {},
+  };
+}
+
+/**
+ * Read page and perPage from a query string; invalid values fall back to the defaults
+ * @param {URLSearchParams} searchParams
+ * @returns {{page: number, perPage: number}}
+ */
+export function parsePagination(searchParams) {
+  const page = parseInt(searchParams.get('page'), 10);
+  const perPage = parseInt(searchParams.get('perPage'), 10);
+  return {
+    page: page > 0 ? page : 1,
+    perPage: perPage > 0 ? Math.min(perPage, MAX_PER_PAGE) : DEFAULT_PER_PAGE,
+  };
+}
+
+/**
+ * Build a page of the episode list
+ * @param {object[]} episodes - All matching parsed episodes, in list order
+ * @param {{page: number, perPage: number}} pagination
+ * @param {URL} url - Request URL, used for next/previous links
+ * @returns {object} Response body
+ */
+export function buildEpisodeList(episodes, { page, perPage }, url) {
+  const total = episodes.length;
+  const totalPages = Math.ceil(total / perPage);
+  const start = (page - 1) * perPage;
+
+  const pageUrl = (n) => {
+    const link = new URL(url);
+    link.searchParams.set('page', String(n));
+    link.searchParams.set('perPage', String(perPage));
+    return link.toString();
+  };
+
+  return {
+    version: API_VERSION,
+    data: episodes.slice(start, start + perPage).map(serializeEpisode),
+    pagination: {
+      page,
+      perPage,
+      total,
+      totalPages,
+      next: page < totalPages ? pageUrl(page + 1) : null,
+      previous: page > 1 && total > 0 ? pageUrl(Math.min(page - 1, totalPages)) : null,
+    },
+  };
+}
+
+/**
+ * Wrap a single episode in the response envelope
+ * @param {object} details - Result of serializeEpisodeDetails()
+ * @returns {object}
+ */
+export function buildEpisodeResponse(details) {
+  return { version: API_VERSION, data: details };
+}
+
+/**
+ * Build an error response body
+ * @param {number} status - HTTP status
+ * @param {string} message
+ * @returns {object}
+ */
+export function buildApiError(status, message) {
+  return { version: API_VERSION, error: { status, message } };
+}
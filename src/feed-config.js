@@ -0,0 +1,134 @@
+/**
+ * Channel metadata configuration (feed.config.json)
+ *
+ * Every channel-level field of the generated feeds can be set in a JSON file.
+ * Fields left out fall back to the series metadata from ERR and then to
+ * DEFAULT_CHANNEL in feed-model.js. The file is validated on load so that a
+ * typo fails at startup instead of producing a broken feed.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { PODCAST_MEDIUMS } from './podcast-namespace.js';
+
+export const DEFAULT_CONFIG_PATH = fileURLToPath(new URL('../feed.config.json', import.meta.url));
+
+// Fields describing one particular series; feeds for other series only take the shared fields
+export const SERIES_FIELDS = ['title', 'description', 'summary', 'link', 'author', 'ownerName', 'imageUrl', 'newFeedUrl', 'podcastGuid'];
+
+const ITUNES_TYPES = ['episodic', 'serial'];
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isHttpUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+function isCategory(value) {
+  return value !== null && typeof value === 'object'
+    && isNonEmptyString(value.text)
+    && (value.subcategories === undefined
+      || (Array.isArray(value.subcategories) && value.subcategories.every(isNonEmptyString)))
+    && Object.keys(value).every(key => key === 'text' || key === 'subcategories');
+}
+
+// Validators per field, with the message shown when a value is rejected
+const FIELDS = {
+  title: [isNonEmptyString, 'a non-empty string'],
+  description: [isNonEmptyString, 'a non-empty string'],
+  summary: [isNonEmptyString, 'a non-empty string'],
+  link: [isHttpUrl, 'an http(s) URL'],
+  author: [isNonEmptyString, 'a non-empty string'],
+  ownerName: [isNonEmptyString, 'a non-empty string'],
+  ownerEmail: [value => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), 'an email address'],
+  language: [value => typeof value === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]{1,8})*$/.test(value), 'a language tag such as "et"'],
+  imageUrl: [value => value === '' || isHttpUrl(value), 'an http(s) URL or ""'],
+  fallbackImageUrl: [isHttpUrl, 'an http(s) URL'],
+  categories: [value => Array.isArray(value) && value.length > 0 && value.every(isCategory),
+    'a non-empty array of {"text", "subcategories"} objects'],
+  explicit: [value => typeof value === 'boolean', 'true or false'],
+  copyright: [isNonEmptyString, 'a non-empty string'],
+  type: [value => ITUNES_TYPES.includes(value), `one of ${ITUNES_TYPES.join(', ')}`],
+  newFeedUrl: [isHttpUrl, 'an http(s) URL'],
+  block: [value => typeof value === 'boolean', 'true or false'],
+  locked: [value => typeof value === 'boolean', 'true or false'],
+  podcastGuid: [value => typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+    'a UUID'],
+  medium: [value => PODCAST_MEDIUMS.includes(value), `one of ${PODCAST_MEDIUMS.join(', ')}`],
+};
+
+/**
+ * Check a parsed config object
+ * @param {*} config
+ * @returns {string[]} Problems found, empty when valid
+ */
+export function validateFeedConfig(config) {
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    return ['config must be a JSON object'];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(config)) {
+    // "$schema", "$comment" and the like are left for editors and humans
+    if (key.startsWith('$')) continue;
+
+    const field = FIELDS[key];
+    if (!field) {
+      errors.push(`unknown field "${key}"`);
+    } else if (!field[0](value)) {
+      errors.push(`"${key}" must be ${field[1]}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Load and validate the feed config
+ * @param {string} [path] - Config file; a missing file is only an error when the path was given explicitly
+ * @returns {object} Configured channel fields
+ * @throws {Error} When the file can't be read or parsed, or fails validation
+ */
+export function loadFeedConfig(path) {
+  const configPath = path || DEFAULT_CONFIG_PATH;
+
+  let text;
+  try {
+    text = readFileSync(configPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !path) return {};
+    throw new Error(`Cannot read feed config ${configPath}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Feed config ${configPath} is not valid JSON: ${error.message}`);
+  }
+
+  const errors = validateFeedConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid feed config ${configPath}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  return Object.fromEntries(Object.entries(config).filter(([key]) => !key.startsWith('$')));
+}
+
+/**
+ * Pick the configured fields that apply to a feed
+ * @param {object} config - Result of loadFeedConfig()
+ * @param {boolean} isDefaultSeries - Whether the feed is for the configured series
+ * @returns {object}
+ */
+export function configuredChannelFields(config, isDefaultSeries) {
+  if (isDefaultSeries) return config;
+  return Object.fromEntries(Object.entries(config).filter(([key]) => !SERIES_FIELDS.includes(key)));
+}
@@ -0,0 +1,271 @@
+/**
+ * Feed serializers: RSS 2.0 (with iTunes tags), Atom 1.0 and JSON Feed 1.1
+ *
+ * Each serializer renders the model from feed-model.js, so all formats
+ * expose the same episodes with the same metadata.
+ */
+
+import { buildFeedModel } from './feed-model.js';
+import { PODCAST_NAMESPACE } from './podcast-namespace.js';
+
+/**
+ * Supported feed formats keyed by name, with the path extension they are served under
+ */
+export const FEED_FORMATS = {
+  rss: { extension: 'xml', contentType: 'application/xml; charset=utf-8', mediaType: 'application/rss+xml' },
+  atom: { extension: 'atom', contentType: 'application/atom+xml; charset=utf-8', mediaType: 'application/atom+xml' },
+  json: { extension: 'json', contentType: 'application/feed+json; charset=utf-8', mediaType: 'application/feed+json' },
+};
+
+// Media types accepted in content negotiation, mapped to format names
+const ACCEPTED_MEDIA_TYPES = {
+  'application/rss+xml': 'rss',
+  'application/xml': 'rss',
+  'text/xml': 'rss',
+  'application/atom+xml': 'atom',
+  'application/feed+json': 'json',
+  'application/json': 'json',
+};
+
+export function escapeXml(str) {
+  if (!str) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Pick a feed format from an Accept header.
+ * Falls back to RSS when nothing specific is preferred (missing header, * / *).
+ * @param {string} [accept] - Accept request header
+ * @returns {string} Format name from FEED_FORMATS
+ */
+export function negotiateFeedFormat(accept) {
+  if (!accept) return 'rss';
+
+  let best = { format: 'rss', q: 0 };
+  for (const part of accept.split(',')) {
+    const [mediaType, ...params] = part.trim().toLowerCase().split(';');
+    const format = ACCEPTED_MEDIA_TYPES[mediaType.trim()];
+    if (!format) continue;
+
+    const qParam = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+    // On equal q, RSS (the native format of /feed.xml) wins
+    if (q > best.q || (q === best.q && format === 'rss')) {
+      best = { format, q };
+    }
+  }
+
+  return best.q > 0 ? best.format : 'rss';
+}
+
+/**
+ * Render itunes:season and itunes:episode: ERR's own numbering when it has
+ * one (matching podcast:season/episode), else the story and part of a
+ * multi-part story
+ * @param {object} item - Item of the feed model
+ * @returns {string}
+ */
+function renderStoryTags(item) {
+  const [season, episode] = item.season > 0 || item.episode > 0
+    ? [item.season, item.episode]
+    : [item.storyNumber, item.storyNumber && item.part];
+  return (season > 0 ? `\n      <itunes:season>${season}</itunes:season>` : '')
+    + (episode > 0 ? `\n      <itunes:episode>${episode}</itunes:episode>` : '');
+}
+
+/**
+ * Render an item's podcast: namespace tags (season, episode, person, images)
+ * @param {object} item - Item of the feed model
+ * @returns {string} Tags, each on its own line, or ''
+ */
+function renderPodcastItemTags(item) {
+  const tags = [
+    item.season > 0 && `<podcast:season>${item.season}</podcast:season>`,
+    item.episode > 0 && `<podcast:episode>${item.episode}</podcast:episode>`,
+    ...item.people.map(person => {
+      const role = person.role ? ` role="${escapeXml(person.role)}"` : '';
+      const group = person.group ? ` group="${escapeXml(person.group)}"` : '';
+      return `<podcast:person${role}${group}>${escapeXml(person.name)}</podcast:person>`;
+    }),
+    item.imageSrcset && `<podcast:images srcset="${escapeXml(item.imageSrcset)}" />`,
+  ];
+  return tags.filter(Boolean).map(tag => `\n      ${tag}`).join('');
+}
+
+/**
+ * Render a feed model as RSS 2.0 with iTunes tags
+ * @param {object} model - Model from buildFeedModel()
+ * @returns {string}
+ */
+export function renderRSS(model) {
+  const updated = model.updated.toUTCString();
+
+  const items = model.items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <description>${escapeXml(item.description)}</description>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="true">${escapeXml(item.guid)}</guid>
+      <pubDate>${item.pubDate.toUTCString()}</pubDate>
+      <enclosure url="${escapeXml(item.enclosure.url)}" type="${escapeXml(item.enclosure.type)}" length="${item.enclosure.length}" />
+      ${item.imageUrl ? `<itunes:image href="${escapeXml(item.imageUrl)}" />` : ''}
+      ${item.duration ? `<itunes:duration>${item.duration}</itunes:duration>` : ''}${renderStoryTags(item)}${renderPodcastItemTags(item)}
+    </item>
+  `).join('\n');
+
+  const categories = model.categories.map(category => {
+    const subcategories = (category.subcategories || [])
+      .map(sub => `\n      <itunes:category text="${escapeXml(sub)}" />`).join('');
+    return subcategories
+      ? `<itunes:category text="${escapeXml(category.text)}">${subcategories}\n    </itunes:category>`
+      : `<itunes:category text="${escapeXml(category.text)}" />`;
+  }).join('\n    ');
+
+  // Optional channel tags, emitted only when configured
+  const optional = [
+    model.copyright && `<copyright>${escapeXml(model.copyright)}</copyright>`,
+    model.type && `<itunes:type>${model.type}</itunes:type>`,
+    model.newFeedUrl && `<itunes:new-feed-url>${escapeXml(model.newFeedUrl)}</itunes:new-feed-url>`,
+    model.block && '<itunes:block>Yes</itunes:block>',
+    typeof model.locked === 'boolean'
+      && `<podcast:locked owner="${escapeXml(model.ownerEmail)}">${model.locked ? 'yes' : 'no'}</podcast:locked>`,
+  ].filter(Boolean).map(tag => `\n    ${tag}`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+     xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"
+     xmlns:atom="http://www.w3.org/2005/Atom"
+     xmlns:content="http://purl.org/rss/1.0/modules/content/"
+     xmlns:podcast="${PODCAST_NAMESPACE}">
+  <channel>
+    <title>${escapeXml(model.title)}</title>
+    <description>${escapeXml(model.description)}</description>
+    <link>${escapeXml(model.link)}</link>
+    <atom:link href="${escapeXml(model.selfUrl)}" rel="self" type="application/rss+xml" />
+    <language>${escapeXml(model.language)}</language>
+    <lastBuildDate>${updated}</lastBuildDate>
+    <pubDate>${updated}</pubDate>
+    <itunes:author>${escapeXml(model.author)}</itunes:author>
+    <itunes:summary>${escapeXml(model.summary)}</itunes:summary>
+    <itunes:owner>
+      <itunes:name>${escapeXml(model.ownerName)}</itunes:name>
+      <itunes:email>${escapeXml(model.ownerEmail)}</itunes:email>
+    </itunes:owner>
+    <itunes:image href="${escapeXml(model.imageUrl)}" />
+    ${categories}
+    <itunes:explicit>${model.explicit ? 'true' : 'false'}</itunes:explicit>
+    <podcast:guid>${escapeXml(model.podcastGuid)}</podcast:guid>
+    <podcast:medium>${escapeXml(model.medium)}</podcast:medium>${optional}
+    ${items}
+  </channel>
+</rss>`;
+}
+
+/**
+ * Render a feed model as Atom 1.0
+ * @param {object} model - Model from buildFeedModel()
+ * @returns {string}
+ */
+export function renderAtom(model) {
+  const entries = model.items.map(item => {
+    const length = item.enclosure.length ? ` length="${item.enclosure.length}"` : '';
+    const fileSize = item.enclosure.length ? ` fileSize="${item.enclosure.length}"` : '';
+    const duration = item.duration ? ` duration="${item.duration}"` : '';
+    return `
+  <entry>
+    <id>${escapeXml(item.guid)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.link)}" />
+    <link rel="enclosure" type="${escapeXml(item.enclosure.type)}" href="${escapeXml(item.enclosure.url)}"${length} />
+    <media:content url="${escapeXml(item.enclosure.url)}" type="${escapeXml(item.enclosure.type)}" medium="audio"${fileSize}${duration} />
+    ${item.imageUrl ? `<media:thumbnail url="${escapeXml(item.imageUrl)}" />` : ''}
+    <published>${item.pubDate.toISOString()}</published>
+    <updated>${item.pubDate.toISOString()}</updated>
+    ${item.description ? `<summary>${escapeXml(item.description)}</summary>` : ''}
+  </entry>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/" xml:lang="${escapeXml(model.language)}">
+  <id>${escapeXml(model.link)}</id>
+  <title>${escapeXml(model.title)}</title>
+  <subtitle>${escapeXml(model.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(model.selfUrl)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(model.link)}" />
+  <updated>${model.updated.toISOString()}</updated>${model.copyright ? `
+  <rights>${escapeXml(model.copyright)}</rights>` : ''}
+  <author>
+    <name>${escapeXml(model.author)}</name>
+  </author>
+  <icon>${escapeXml(model.imageUrl)}</icon>
+  <logo>${escapeXml(model.imageUrl)}</logo>
+${entries}
+</feed>`;
+}
+
+/**
+ * Render a feed model as JSON Feed 1.1
+ * @param {object} model - Model from buildFeedModel()
+ * @returns {string}
+ */
+export function renderJsonFeed(model) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: model.title,
+    home_page_url: model.link,
+    feed_url: model.selfUrl,
+    description: model.description,
+    icon: model.imageUrl,
+    authors: [{ name: model.author }],
+    language: model.language,
+    items: model.items.map(item => {
+      const attachment = { url: item.enclosure.url, mime_type: item.enclosure.type };
+      if (item.enclosure.length) attachment.size_in_bytes = item.enclosure.length;
+      if (item.duration) attachment.duration_in_seconds = item.duration;
+
+      const entry = {
+        id: item.guid,
+        url: item.link,
+        title: item.title,
+        content_text: item.description,
+        date_published: item.pubDate.toISOString(),
+        attachments: [attachment],
+      };
+      if (item.imageUrl) entry.image = item.imageUrl;
+      return entry;
+    }),
+  };
+
+  return JSON.stringify(feed, null, 2);
+}
+
+const RENDERERS = { rss: renderRSS, atom: renderAtom, json: renderJsonFeed };
+
+/**
+ * Render episodes in the given format
+ * @param {string} format - Format name from FEED_FORMATS
+ * @param {object[]} episodes - Parsed episodes
+ * @param {string} selfUrl - Absolute URL the feed is served from
+ * @param {object} [channel] - Channel metadata
+ * @returns {string}
+ */
+export function generateFeed(format, episodes, selfUrl, channel) {
+  return RENDERERS[format](buildFeedModel(episodes, selfUrl, channel));
+}
+
+export function generateRSS(episodes, selfUrl, channel) {
+  return generateFeed('rss', episodes, selfUrl, channel);
+}
+
+export function generateAtom(episodes, selfUrl, channel) {
+  return generateFeed('atom', episodes, selfUrl, channel);
+}
+
+export function generateJsonFeed(episodes, selfUrl, channel) {
+  return generateFeed('json', episodes, selfUrl, channel);
+}
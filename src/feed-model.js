@@ -0,0 +1,125 @@
+/**
+ * Format-neutral feed model
+ *
+ * Turns parsed episodes and channel metadata into the structure that the
+ * RSS, Atom and JSON Feed serializers in feed-formats.js render.
+ */
+
+import { mimeTypeForUrl } from './media-probe.js';
+import { podcastGuid } from './podcast-namespace.js';
+import { GEO_BLOCK_NOTICE } from './availability.js';
+
+export const FALLBACK_IMAGE_URL = 'https://vikerraadio.err.ee/img/vikerraadio_logo.png';
+
+// Channel metadata for the default series; also the fallback for fields that
+// neither feed.config.json nor the series provide (see feed-config.js)
+export const DEFAULT_CHANNEL = {
+  title: 'Vikerraadio Õhtujutt',
+  description: 'Igaõhtused lastejutud Vikerraadio Õhtujutu saatest. Eesti Rahvusringhääling (ERR) lastele mõeldud õhtused muinasjutud ja lood.',
+  summary: 'Igaõhtused lastejutud Vikerraadio Õhtujutu saatest. Eesti näitlejate esitatud muinasjutud ja lood lastele.',
+  link: 'https://vikerraadio.err.ee/ohtujutt_lastele',
+  author: 'Vikerraadio / ERR',
+  ownerName: 'Vikerraadio',
+  ownerEmail: 'info@err.ee',
+  language: 'et',
+  imageUrl: '',
+  fallbackImageUrl: FALLBACK_IMAGE_URL,
+  categories: [{ text: 'Kids & Family', subcategories: ['Stories for Kids'] }],
+  explicit: false,
+  // podcast:guid; derived from the feed URL when empty
+  podcastGuid: '',
+  medium: 'podcast',
+  // Optional tags, left out of the feed unless configured
+  copyright: '',
+  type: '',
+  newFeedUrl: '',
+  block: false,
+  locked: null,
+};
+
+/**
+ * Newest publication date among already published episodes
+ * @param {object[]} episodes - Parsed episodes
+ * @returns {Date|null}
+ */
+export function latestPubDate(episodes) {
+  const now = new Date();
+  let latest = null;
+  for (const ep of episodes) {
+    if (ep.pubDate <= now && (!latest || ep.pubDate > latest)) {
+      latest = ep.pubDate;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Build the feed model from parsed episodes
+ * @param {object[]} episodes - Episodes from parseEpisode(), newest first
+ * @param {string} selfUrl - Absolute URL the feed is served from
+ * @param {object} [channelFields] - Channel metadata; missing fields come from DEFAULT_CHANNEL
+ * @returns {object} Feed model with channel fields, `updated` and `items`
+ */
+export function buildFeedModel(episodes, selfUrl, channelFields = DEFAULT_CHANNEL) {
+  const now = new Date();
+  const channel = { ...DEFAULT_CHANNEL, ...channelFields };
+
+  // Filter out future episodes
+  const pastEpisodes = episodes.filter(ep => ep.pubDate <= now);
+
+  // Prefer the series artwork, then a representative image from the first episode
+  const imageUrl = channel.imageUrl
+    || (pastEpisodes.length > 0 && pastEpisodes[0].imageUrl)
+    || channel.fallbackImageUrl;
+
+  return {
+    title: channel.title,
+    description: channel.description,
+    summary: channel.summary,
+    link: channel.link,
+    author: channel.author,
+    ownerName: channel.ownerName,
+    ownerEmail: channel.ownerEmail,
+    imageUrl,
+    language: channel.language,
+    categories: channel.categories,
+    explicit: channel.explicit,
+    copyright: channel.copyright,
+    type: channel.type,
+    newFeedUrl: channel.newFeedUrl,
+    block: channel.block,
+    locked: channel.locked,
+    // Filtered views (?limit=, ?q=, ...) are the same podcast
+    podcastGuid: channel.podcastGuid || podcastGuid(selfUrl.split('?')[0]),
+    medium: channel.medium,
+    selfUrl,
+    // Follows the content rather than the clock, so identical episode sets render identically
+    updated: latestPubDate(pastEpisodes) || now,
+    items: pastEpisodes.map(ep => ({
+      id: ep.id,
+      guid: ep.link,
+      title: ep.title,
+      // Listeners abroad learn why a geo-blocked episode won't play
+      description: ep.geoBlocked ? [ep.description, GEO_BLOCK_NOTICE].filter(Boolean).join('\n\n') : ep.description,
+      link: ep.link,
+      pubDate: ep.pubDate,
+      imageUrl: ep.imageUrl || '',
+      imageSrcset: ep.imageSrcset || '',
+      duration: ep.duration ? Math.floor(ep.duration) : 0,
+      // Podcasting 2.0 credits and numbering; 0 when ERR doesn't number the episode
+      people: ep.people || [],
+      season: ep.season || 0,
+      episode: ep.episode || 0,
+      // Multi-part story and part from title analysis, published as itunes:season / itunes:episode
+      // unless ERR numbers the episode
+      storyNumber: ep.storyNumber || 0,
+      part: ep.part || 0,
+      // Probed values when available, else a type guessed from the file extension
+      enclosure: {
+        url: ep.audioUrl,
+        type: ep.audioType || mimeTypeForUrl(ep.audioUrl),
+        length: ep.audioLength || 0,
+      },
+    })),
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * Feed query parameters: limit, archive, since/until, q (search) and order
+ *
+ * Parses the query string of a feed request into a normalized form and
+ * applies the post-fetch part of it (search, limit, order) to parsed episodes.
+ * Date bounds are applied while crawling broadcasts, see fetchSeries().
+ */
+
+import { serialOrder } from './title-analysis.js';
+
+// Longest accepted search string; longer input is truncated
+const MAX_QUERY_LENGTH = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// newest/oldest by broadcast time; serial keeps the parts of a story together, in order
+export const FEED_ORDERS = ['newest', 'oldest', 'serial'];
+
+/**
+ * @typedef {object} FeedQuery
+ * @property {number} limit - Episodes in the feed
+ * @property {number} window - Newest broadcasts to look at before searching
+ * @property {Date|null} since - Oldest broadcast time (inclusive, midnight UTC)
+ * @property {Date|null} until - Newest broadcast time (exclusive, midnight UTC)
+ * @property {string} q - Search string, case and diacritics folded; '' for none
+ * @property {'newest'|'oldest'|'serial'} order - Item order
+ * @property {string} search - Canonical query string ('' or '?...'), used for cache keys and self links
+ */
+
+/**
+ * Parse a date parameter; date-only values ("2024-05-01") are midnight UTC
+ * @param {string|null} value
+ * @returns {Date|null} Null when missing or invalid
+ */
+function parseDateParam(value) {
+  if (!value) return null;
+  const date = new Date(value.trim());
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function isDateOnly(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value.trim());
+}
+
+/**
+ * Round a date down to midnight UTC
+ * @param {Date} date
+ * @returns {Date}
+ */
+function startOfDay(date) {
+  return new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Fold case and strip diacritics, so "opetlik" finds "Õpetlik"
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+}
+
+/**
+ * Parse feed query parameters. Invalid values are ignored, like an absent parameter.
+ * Dates are widened to whole days (UTC) and the search string is folded, so
+ * the canonical query (a cache key) has few variants.
+ * @param {URLSearchParams} searchParams
+ * @param {object} limits
+ * @param {number} limits.defaultLimit - Episodes in an unfiltered feed
+ * @param {number} limits.maxLimit - Ceiling for ?limit= and the ?archive depth
+ * @param {string} [limits.defaultOrder] - Order without ?order= (one of FEED_ORDERS)
+ * @returns {FeedQuery}
+ */
+export function parseFeedQuery(searchParams, { defaultLimit, maxLimit, defaultOrder = 'newest' }) {
+  const parts = [];
+
+  const archive = searchParams.has('archive');
+  if (archive) parts.push('archive');
+
+  const requestedLimit = parseInt(searchParams.get('limit'), 10);
+  let limit = archive ? maxLimit : defaultLimit;
+  if (requestedLimit > 0) {
+    limit = Math.min(requestedLimit, maxLimit);
+    parts.push(`limit=${limit}`);
+  }
+
+  const sinceParam = searchParams.get('since');
+  const parsedSince = parseDateParam(sinceParam);
+  const since = parsedSince && startOfDay(parsedSince);
+  if (since) parts.push(`since=${formatDay(since)}`);
+
+  const untilParam = searchParams.get('until');
+  const parsedUntil = parseDateParam(untilParam);
+  let until = null;
+  if (parsedUntil) {
+    // A date-only bound includes that whole day; a time is rounded up to the end of its day
+    until = isDateOnly(untilParam)
+      ? new Date(parsedUntil.getTime() + DAY_MS)
+      : startOfDay(new Date(parsedUntil.getTime() + DAY_MS - 1));
+    parts.push(`until=${formatDay(new Date(until.getTime() - DAY_MS))}`);
+  }
+
+  const q = normalizeSearchText(searchParams.get('q')).trim().replace(/\s+/g, ' ').slice(0, MAX_QUERY_LENGTH);
+  if (q) parts.push(`q=${encodeURIComponent(q)}`);
+
+  const requestedOrder = searchParams.get('order');
+  const order = FEED_ORDERS.includes(requestedOrder) ? requestedOrder : defaultOrder;
+  if (order !== defaultOrder) parts.push(`order=${order}`);
+
+  // A search looks through a default-sized feed (or the archive), then keeps `limit` matches
+  let window = limit;
+  if (q) window = archive ? maxLimit : Math.max(limit, defaultLimit);
+
+  return { limit, window, since, until, q, order, search: parts.length > 0 ? `?${parts.join('&')}` : '' };
+}
+
+/**
+ * Check whether an episode's title or description contains every search word
+ * @param {object} episode - Parsed episode
+ * @param {string} q - Search string
+ * @returns {boolean}
+ */
+export function matchesSearch(episode, q) {
+  const text = normalizeSearchText(`${episode.title} ${episode.description}`);
+  return normalizeSearchText(q).split(' ').every(word => text.includes(word));
+}
+
+/**
+ * Apply search, limit and order to episodes fetched for a query
+ * @param {object[]} episodes - Parsed episodes (see analyzeEpisodeTitles), newest first
+ * @param {FeedQuery} query
+ * @returns {object[]}
+ */
+export function applyFeedQuery(episodes, query) {
+  const matching = query.q ? episodes.filter(ep => matchesSearch(ep, query.q)) : episodes;
+  const limited = matching.slice(0, query.limit);
+  if (query.order === 'oldest') return [...limited].reverse();
+  if (query.order === 'serial') return serialOrder(limited);
+  return limited;
+}
@@ -0,0 +1,194 @@
+/**
+ * Stale-while-revalidate store for built feeds
+ *
+ * Feeds are served from memory. Once older than the refresh interval they
+ * are rebuilt in the background while the previous version keeps being
+ * served, and a failed rebuild keeps the last good feed. A feed with an
+ * `expiresAt` date (an episode's availability window closes) is rebuilt
+ * before it is served past that date, unless that rebuild failed. A timer can rebuild all recently
+ * requested feeds ahead of the next request, except variants registered
+ * without background refresh, which are only rebuilt when requested.
+ */
+
+import { LRUCache } from 'lru-cache';
+import { createGauge, createHistogram, secondsSince } from './metrics.js';
+
+// Feeds nobody asked for in this long are dropped instead of refreshed (24 hours)
+const IDLE_FEED_MS = 24 * 60 * 60 * 1000;
+
+// Most feeds kept at once; the least recently requested ones are dropped beyond this (10-1000)
+const MAX_FEEDS = Math.min(
+  Math.max(parseInt(process.env.MAX_FEEDS, 10) || 100, 10),
+  1000
+);
+
+/**
+ * @typedef {object} FeedEntry
+ * @property {(previous: object|null) => Promise<object>} build - Builds the feed
+ * @property {object|null} value - Last successfully built feed
+ * @property {number} builtAt - When `value` was built (ms)
+ * @property {boolean} background - Whether refreshAll() rebuilds it
+ * @property {number} lastRequestedAt - When the feed was last served (ms)
+ * @property {number|null} lastFailureAt - When the last rebuild failed (ms)
+ * @property {string|null} lastError - Message of the last failed rebuild
+ * @property {Promise<object>|null} pending - Rebuild in progress
+ */
+
+/** @type {LRUCache<string, FeedEntry>} */
+const entries = new LRUCache({ max: MAX_FEEDS });
+
+let timer = null;
+
+const buildDuration = createHistogram(
+  'ohtujutt_feed_build_duration_seconds',
+  'Time spent building a feed, by result',
+  ['result']
+);
+createGauge('ohtujutt_feeds', 'Feeds kept for serving and background refresh', () => entries.size);
+
+/**
+ * Rebuild a feed, sharing one build between concurrent callers.
+ * Resolves with the new feed, or the previous one if the build fails.
+ * @param {FeedEntry} entry
+ * @param {string} key
+ * @returns {Promise<object>}
+ */
+function rebuild(entry, key) {
+  if (entry.pending) return entry.pending;
+
+  const start = process.hrtime.bigint();
+  entry.pending = entry.build(entry.value)
+    .then((value) => {
+      buildDuration.observe({ result: 'success' }, secondsSince(start));
+      entry.value = value;
+      entry.builtAt = Date.now();
+      entry.lastError = null;
+      return value;
+    })
+    .catch((error) => {
+      buildDuration.observe({ result: 'failure' }, secondsSince(start));
+      entry.lastFailureAt = Date.now();
+      entry.lastError = error.message;
+      if (!entry.value) throw error;
+      console.error(`Feed refresh failed for ${key}, serving feed from ${new Date(entry.builtAt).toISOString()}: ${error.message}`);
+      return entry.value;
+    })
+    .finally(() => {
+      entry.pending = null;
+    });
+
+  return entry.pending;
+}
+
+/**
+ * Get a feed, building it on first use and revalidating it in the background when stale
+ * @param {string} key - Feed cache key
+ * @param {(previous: object|null) => Promise<object>} build - Builds the feed, optionally with an `expiresAt` Date;
+ *   throw to keep the previous one, which is passed in (null on the first build)
+ * @param {number} maxAgeMs - Age after which a served feed is rebuilt in the background
+ * @param {object} [options]
+ * @param {boolean} [options.background] - Rebuild it on refreshAll() too; false for variants
+ *   that are cheap to build from cached data and only worth rebuilding when requested
+ * @returns {Promise<object>}
+ */
+export async function getFeed(key, build, maxAgeMs, { background = true } = {}) {
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = {
+      build, background, value: null, builtAt: 0, lastRequestedAt: 0, lastFailureAt: null, lastError: null, pending: null,
+    };
+    entries.set(key, entry);
+  }
+
+  entry.build = build;
+  entry.background = background;
+  entry.lastRequestedAt = Date.now();
+
+  if (!entry.value) {
+    try {
+      return await rebuild(entry, key);
+    } catch (error) {
+      // Never built successfully: forget it so the next request starts over
+      entries.delete(key);
+      throw error;
+    }
+  }
+
+  // Past its expiry the feed would list episodes that can no longer be played. Once a rebuild
+  // has failed since then, requests stop waiting on it: the feed is served stale like any other
+  const expiresAt = entry.value.expiresAt?.getTime();
+  if (expiresAt && Date.now() >= expiresAt && !(entry.lastFailureAt >= expiresAt)) {
+    return rebuild(entry, key);
+  }
+
+  if (Date.now() - entry.builtAt >= maxAgeMs) {
+    rebuild(entry, key).catch(() => {});
+  }
+
+  return entry.value;
+}
+
+/**
+ * Rebuild every recently requested feed that has background refresh, and drop idle ones
+ * @returns {Promise<void>}
+ */
+export async function refreshAll() {
+  const now = Date.now();
+  const builds = [];
+
+  // Collected first: deleting while iterating the cache would skip entries
+  for (const [key, entry] of [...entries.entries()]) {
+    if (now - entry.lastRequestedAt > IDLE_FEED_MS) {
+      entries.delete(key);
+      continue;
+    }
+    if (entry.background) builds.push(rebuild(entry, key).catch(() => {}));
+  }
+
+  await Promise.all(builds);
+}
+
+/**
+ * Start rebuilding feeds on a fixed interval
+ * @param {number} intervalMs - Refresh interval in milliseconds
+ */
+export function startBackgroundRefresh(intervalMs) {
+  stopBackgroundRefresh();
+  timer = setInterval(() => {
+    refreshAll().catch(error => console.error(`Background feed refresh failed: ${error.message}`));
+  }, intervalMs);
+  // Don't keep the process alive just for refreshing
+  timer.unref();
+}
+
+/**
+ * Stop the background refresh timer
+ */
+export function stopBackgroundRefresh() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Get refresh state for each feed (for monitoring)
+ * @returns {object[]}
+ */
+export function getRefreshStatus() {
+  return [...entries.entries()].map(([key, entry]) => ({
+    key,
+    background: entry.background,
+    lastSuccessAt: entry.value ? new Date(entry.builtAt).toISOString() : null,
+    lastFailureAt: entry.lastFailureAt ? new Date(entry.lastFailureAt).toISOString() : null,
+    lastError: entry.lastError,
+    refreshing: entry.pending !== null,
+  }));
+}
+
+/**
+ * Drop all feeds (for testing)
+ */
+export function clearFeeds() {
+  entries.clear();
+}
@@ -0,0 +1,356 @@
+/**
+ * Podcast feed validator
+ *
+ * Parses rendered RSS and checks it against RSS 2.0 and Apple Podcasts
+ * requirements. Errors are problems that make directories reject the feed or
+ * players mishandle it; warnings are recommendations.
+ */
+
+const ITUNES_NS = 'http://www.itunes.com/dtds/podcast-1.0.dtd';
+
+// Characters allowed by XML 1.0: tab, LF, CR and everything from space up, minus surrogates and U+FFFE/U+FFFF
+const INVALID_XML_CHAR = /[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+const PREDEFINED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// RFC 822 date-time as updated by RFC 1123: optional weekday, 2-4 digit year, optional seconds
+const RFC822_DATE = /^(?:(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun), )?\d{1,2} (?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) (?:\d{2}|\d{4}) \d{2}:\d{2}(?::\d{2})? (?:UT|GMT|[ECMP][SD]T|[A-IK-Z]|[+-]\d{4})$/;
+
+// Values Apple accepts for itunes:explicit
+const EXPLICIT_VALUES = ['true', 'false', 'yes', 'no', 'clean'];
+
+// Report at most this many invalid characters; one bad string tends to repeat
+const MAX_CHARACTER_ERRORS = 5;
+
+/**
+ * @typedef {object} XmlElement
+ * @property {string} name - Qualified name, e.g. "itunes:image"
+ * @property {Object<string, string>} attributes
+ * @property {XmlElement[]} children
+ * @property {string} text - Concatenated character data directly inside the element
+ * @property {number} line - Line of the start tag
+ */
+
+/**
+ * @typedef {object} ValidationResult
+ * @property {string[]} errors
+ * @property {string[]} warnings
+ */
+
+function lineAt(text, index) {
+  let line = 1;
+  for (let i = text.indexOf('\n'); i !== -1 && i < index; i = text.indexOf('\n', i + 1)) line++;
+  return line;
+}
+
+function decodeEntities(text, fail) {
+  return text.replace(/&([^;&\s]*);?/g, (match, name) => {
+    if (!match.endsWith(';')) fail(`unescaped "&"`);
+    if (name.startsWith('#x')) return String.fromCodePoint(parseInt(name.slice(2), 16));
+    if (name.startsWith('#')) return String.fromCodePoint(parseInt(name.slice(1), 10));
+    if (!(name in PREDEFINED_ENTITIES)) fail(`undefined entity "&${name};"`);
+    return PREDEFINED_ENTITIES[name];
+  });
+}
+
+/**
+ * Parse an XML document into an element tree. Non-validating: the prolog,
+ * comments, processing instructions and DOCTYPE are skipped.
+ * @param {string} xml
+ * @returns {XmlElement} Root element
+ * @throws {Error} When the document isn't well-formed, with the line number
+ */
+export function parseXml(xml) {
+  let pos = 0;
+  let root = null;
+  const stack = [];
+
+  const fail = (message, at = pos) => {
+    throw new Error(`line ${lineAt(xml, at)}: ${message}`);
+  };
+  const skipPast = (terminator, what) => {
+    const end = xml.indexOf(terminator, pos);
+    if (end === -1) fail(`unterminated ${what}`);
+    const content = xml.slice(pos, end);
+    pos = end + terminator.length;
+    return content;
+  };
+  const addText = (text) => {
+    if (stack.length > 0) stack[stack.length - 1].text += text;
+    else if (text.trim()) fail('text outside the root element');
+  };
+
+  while (pos < xml.length) {
+    const lt = xml.indexOf('<', pos);
+    const textEnd = lt === -1 ? xml.length : lt;
+    if (textEnd > pos) {
+      const start = pos;
+      addText(decodeEntities(xml.slice(pos, textEnd), (message) => fail(message, start)));
+      pos = textEnd;
+      continue;
+    }
+
+    if (xml.startsWith('<!--', pos)) {
+      pos += 4;
+      skipPast('-->', 'comment');
+    } else if (xml.startsWith('<![CDATA[', pos)) {
+      pos += 9;
+      addText(skipPast(']]>', 'CDATA section'));
+    } else if (xml.startsWith('<?', pos)) {
+      pos += 2;
+      skipPast('?>', 'processing instruction');
+    } else if (xml.startsWith('<!', pos)) {
+      pos += 2;
+      skipPast('>', 'declaration');
+    } else if (xml.startsWith('</', pos)) {
+      const start = pos;
+      pos += 2;
+      const name = skipPast('>', 'end tag').trim();
+      const open = stack.pop();
+      if (!open) fail(`unexpected </${name}>`, start);
+      if (open.name !== name) fail(`</${name}> closes <${open.name}> from line ${open.line}`, start);
+    } else {
+      const start = pos;
+      const match = /^<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>/.exec(xml.slice(pos));
+      if (!match) fail('malformed start tag');
+      pos += match[0].length;
+
+      const element = { name: match[1], attributes: {}, children: [], text: '', line: lineAt(xml, start) };
+      for (const [, attr, , value] of match[2].matchAll(/([A-Za-z_][\w.:-]*)\s*=\s*(["'])(.*?)\2/gs)) {
+        if (attr in element.attributes) fail(`duplicate attribute "${attr}" on <${element.name}>`, start);
+        element.attributes[attr] = decodeEntities(value, (message) => fail(message, start));
+      }
+
+      if (stack.length > 0) stack[stack.length - 1].children.push(element);
+      else if (root) fail('more than one root element', start);
+      else root = element;
+
+      if (!match[3]) stack.push(element);
+    }
+  }
+
+  if (stack.length > 0) fail(`<${stack[stack.length - 1].name}> from line ${stack[stack.length - 1].line} is never closed`);
+  if (!root) fail('no root element');
+  return root;
+}
+
+function child(element, name) {
+  return element.children.find(c => c.name === name);
+}
+
+function childText(element, name) {
+  return child(element, name)?.text.trim() || '';
+}
+
+function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check an RFC 822 date as used by RSS 2.0 (pubDate, lastBuildDate)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isRfc822Date(value) {
+  return RFC822_DATE.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Find characters that XML 1.0 doesn't allow anywhere in a document
+ * @param {string} xml
+ * @returns {string[]} Error messages
+ */
+function findInvalidCharacters(xml) {
+  const errors = [];
+  let count = 0;
+  for (const match of xml.matchAll(INVALID_XML_CHAR)) {
+    if (++count <= MAX_CHARACTER_ERRORS) {
+      const code = match[0].codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+      errors.push(`line ${lineAt(xml, match.index)}: invalid XML character U+${code}`);
+    }
+  }
+  if (count > MAX_CHARACTER_ERRORS) {
+    errors.push(`${count - MAX_CHARACTER_ERRORS} more invalid XML characters`);
+  }
+  return errors;
+}
+
+/**
+ * Check every prefixed element and attribute against the namespaces declared on it or its ancestors
+ * @param {XmlElement} element
+ * @param {Set<string>} declared - Prefixes in scope
+ * @param {Set<string>} reported - Prefixes already reported, to report each once
+ * @param {string[]} errors
+ */
+function checkNamespaces(element, declared, reported, errors) {
+  const scope = new Set(declared);
+  for (const name of Object.keys(element.attributes)) {
+    if (name.startsWith('xmlns:')) scope.add(name.slice(6));
+  }
+
+  const names = [element.name, ...Object.keys(element.attributes).filter(name => !name.startsWith('xmlns'))];
+  for (const name of names) {
+    const prefix = name.includes(':') ? name.split(':')[0] : null;
+    if (prefix && prefix !== 'xml' && !scope.has(prefix) && !reported.has(prefix)) {
+      reported.add(prefix);
+      errors.push(`line ${element.line}: namespace prefix "${prefix}" is not declared`);
+    }
+  }
+
+  for (const c of element.children) checkNamespaces(c, scope, reported, errors);
+}
+
+function checkImage(element, where, errors) {
+  const image = child(element, 'itunes:image');
+  if (!image) return false;
+  const href = image.attributes.href || '';
+  if (!isHttpsUrl(href)) errors.push(`${where}: itunes:image href must be an absolute https URL, got "${href}"`);
+  return true;
+}
+
+function checkChannel(channel, errors, warnings) {
+  for (const name of ['title', 'link', 'description']) {
+    if (!childText(channel, name)) errors.push(`channel: missing <${name}>`);
+  }
+
+  if (!childText(channel, 'language')) errors.push('channel: missing <language>');
+
+  if (!checkImage(channel, 'channel', errors)) errors.push('channel: missing <itunes:image>');
+  const rssImage = child(channel, 'image');
+  if (rssImage && !isHttpsUrl(childText(rssImage, 'url'))) {
+    errors.push(`channel: image url must be an absolute https URL, got "${childText(rssImage, 'url')}"`);
+  }
+
+  const categories = channel.children.filter(c => c.name === 'itunes:category');
+  if (categories.length === 0) errors.push('channel: missing <itunes:category>');
+  for (const category of categories) {
+    if (!category.attributes.text) errors.push(`line ${category.line}: itunes:category without a text attribute`);
+  }
+
+  const explicit = childText(channel, 'itunes:explicit');
+  if (!explicit) errors.push('channel: missing <itunes:explicit>');
+  else if (!EXPLICIT_VALUES.includes(explicit.toLowerCase())) {
+    errors.push(`channel: itunes:explicit must be "true" or "false", got "${explicit}"`);
+  }
+
+  for (const name of ['pubDate', 'lastBuildDate']) {
+    const value = childText(channel, name);
+    if (value && !isRfc822Date(value)) errors.push(`channel: ${name} is not an RFC 822 date: "${value}"`);
+  }
+
+  if (!childText(channel, 'itunes:author')) warnings.push('channel: missing <itunes:author>');
+  const owner = child(channel, 'itunes:owner');
+  if (!owner || !childText(owner, 'itunes:email')) warnings.push('channel: missing <itunes:owner> email');
+  const self = channel.children.find(c => c.name === 'atom:link' && c.attributes.rel === 'self');
+  if (!self) warnings.push('channel: missing <atom:link rel="self">');
+}
+
+function checkItem(item, index, guids, errors, warnings) {
+  const title = childText(item, 'title');
+  const guid = childText(item, 'guid');
+  const where = `item ${index + 1}${guid ? ` (${guid})` : title ? ` (${title})` : ''}`;
+
+  if (!title) errors.push(`${where}: missing <title>`);
+
+  if (!guid) {
+    warnings.push(`${where}: missing <guid>`);
+  } else if (guids.has(guid)) {
+    errors.push(`${where}: duplicate guid, first used by item ${guids.get(guid) + 1}`);
+  } else {
+    guids.set(guid, index);
+  }
+
+  const pubDate = childText(item, 'pubDate');
+  if (!pubDate) warnings.push(`${where}: missing <pubDate>`);
+  else if (!isRfc822Date(pubDate)) errors.push(`${where}: pubDate is not an RFC 822 date: "${pubDate}"`);
+
+  const enclosure = child(item, 'enclosure');
+  if (!enclosure) {
+    errors.push(`${where}: missing <enclosure>`);
+  } else {
+    const { url = '', type = '', length = '' } = enclosure.attributes;
+    if (!isHttpUrl(url)) errors.push(`${where}: enclosure url must be an absolute http(s) URL, got "${url}"`);
+    if (!type) errors.push(`${where}: enclosure has no type`);
+    if (!/^\d+$/.test(length)) {
+      errors.push(`${where}: enclosure length must be a number of bytes, got "${length}"`);
+    } else if (Number(length) === 0) {
+      // What a failed media probe leaves behind; directories accept it, apps just show no file size
+      warnings.push(`${where}: enclosure length is 0 (unknown)`);
+    }
+  }
+
+  checkImage(item, where, errors);
+
+  const duration = childText(item, 'itunes:duration');
+  if (duration && !/^(?:\d+|(?:\d+:)?[0-5]?\d:[0-5]\d)$/.test(duration)) {
+    warnings.push(`${where}: itunes:duration should be seconds or [HH:]MM:SS, got "${duration}"`);
+  }
+}
+
+/**
+ * Validate an RSS podcast feed
+ * @param {string} xml - Rendered feed
+ * @returns {ValidationResult}
+ */
+export function validateFeed(xml) {
+  const errors = findInvalidCharacters(xml);
+  const warnings = [];
+
+  let root;
+  try {
+    root = parseXml(xml);
+  } catch (error) {
+    errors.push(`not well-formed XML: ${error.message}`);
+    return { errors, warnings };
+  }
+
+  if (root.name !== 'rss') {
+    errors.push(`root element must be <rss>, got <${root.name}>`);
+    return { errors, warnings };
+  }
+  if (root.attributes.version !== '2.0') errors.push('rss: version must be "2.0"');
+  if (root.attributes['xmlns:itunes'] !== ITUNES_NS) errors.push(`rss: xmlns:itunes must be "${ITUNES_NS}"`);
+  checkNamespaces(root, new Set(), new Set(), errors);
+
+  const channels = root.children.filter(c => c.name === 'channel');
+  if (channels.length !== 1) {
+    errors.push(`rss: expected one <channel>, found ${channels.length}`);
+    return { errors, warnings };
+  }
+
+  const [channel] = channels;
+  checkChannel(channel, errors, warnings);
+
+  const items = channel.children.filter(c => c.name === 'item');
+  if (items.length === 0) warnings.push('channel: no items');
+  const guids = new Map();
+  items.forEach((item, index) => checkItem(item, index, guids, errors, warnings));
+
+  return { errors, warnings };
+}
+
+/**
+ * Format a validation result for the console
+ * @param {ValidationResult} result
+ * @returns {string}
+ */
+export function formatValidationReport({ errors, warnings }) {
+  const lines = [
+    ...errors.map(message => `  error: ${message}`),
+    ...warnings.map(message => `  warning: ${message}`),
+  ];
+  const summary = `${errors.length} error${errors.length === 1 ? '' : 's'}, ${warnings.length} warning${warnings.length === 1 ? '' : 's'}`;
+  return [summary, ...lines].join('\n');
+}
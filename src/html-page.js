@@ -0,0 +1,254 @@
+/**
+ * HTML pages: the landing page and one page per episode
+ *
+ * Renders the feed model from feed-model.js as browsable pages with
+ * subscribe links and audio players. The server and the static site
+ * generator share these renderers, so both publish the same markup.
+ * Markup is built with the `html` tagged template, which escapes every
+ * interpolated value unless it is itself a rendered fragment.
+ */
+
+import { createHash } from 'node:crypto';
+
+export const HTML_CONTENT_TYPE = 'text/html; charset=utf-8';
+
+const STYLESHEET = `
+body { margin: 0 auto; max-width: 48rem; padding: 1rem; font-family: system-ui, sans-serif; line-height: 1.5; color: #222; background: #fdfbf7; }
+header { display: flex; gap: 1.5rem; align-items: flex-start; flex-wrap: wrap; }
+header img { width: 12rem; height: 12rem; object-fit: cover; border-radius: 0.5rem; }
+header div { flex: 1; min-width: 16rem; }
+h1 { margin: 0 0 0.5rem; font-size: 1.75rem; }
+.subscribe { display: flex; flex-wrap: wrap; gap: 0.5rem; padding: 0; list-style: none; }
+.subscribe a { display: inline-block; padding: 0.3rem 0.8rem; border: 1px solid #b45309; border-radius: 1rem; color: #b45309; text-decoration: none; }
+.subscribe a:hover { background: #b45309; color: #fff; }
+ol { padding: 0; list-style: none; }
+li.episode { padding: 1rem 0; border-bottom: 1px solid #e5e0d8; }
+li.episode h3 { margin: 0; font-size: 1.1rem; }
+.meta { color: #666; font-size: 0.9rem; }
+audio { width: 100%; margin-top: 0.5rem; }
+.credits { padding: 0; list-style: none; }
+`;
+
+/**
+ * Content-Security-Policy for the pages: the inline stylesheet by hash,
+ * artwork and audio from ERR (or this server, when relaying), nothing else
+ */
+export const LANDING_PAGE_CSP = [
+  "default-src 'none'",
+  `style-src 'sha256-${createHash('sha256').update(STYLESHEET).digest('base64')}'`,
+  "img-src 'self' https: data:",
+  "media-src 'self' https:",
+  "base-uri 'none'",
+  "form-action 'none'",
+  "frame-ancestors 'none'",
+].join('; ');
+
+const dateFormat = new Intl.DateTimeFormat('et-EE', {
+  day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Europe/Tallinn',
+});
+
+// Marks markup that is already escaped
+const SAFE_HTML = Symbol('safe html');
+
+function safeHtml(value) {
+  return { [SAFE_HTML]: value, toString: () => value };
+}
+
+/**
+ * Escape text for HTML element content and quoted attribute values
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderValue(value) {
+  if (value?.[SAFE_HTML] !== undefined) return value[SAFE_HTML];
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value === false) return '';
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template that escapes interpolated values; arrays are concatenated,
+ * `false` renders nothing so `${cond && html`...`}` works
+ * @returns {{toString: () => string}} Rendered fragment
+ */
+export function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += renderValue(value) + strings[i + 1];
+  });
+  return safeHtml(out);
+}
+
+/**
+ * Format seconds as M:SS or H:MM:SS
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Swap a feed URL's scheme for a podcast app scheme, e.g. podcast://host/feed.xml
+ * @param {string} scheme - "podcast" or "pcast"
+ * @param {string} feedUrl - http(s) feed URL
+ * @returns {string}
+ */
+export function subscribeUrl(scheme, feedUrl) {
+  return feedUrl.replace(/^https?:\/\//, `${scheme}://`);
+}
+
+/**
+ * Path of an episode's page, relative to the landing page
+ * @param {object} item - Item of the feed model
+ * @returns {string} e.g. "episodes/1609912691.html"
+ */
+export function episodePagePath(item) {
+  return `episodes/${item.id}.html`;
+}
+
+function renderEpisodeMeta(item) {
+  return html`<p class="meta"><time datetime="${item.pubDate.toISOString()}">${dateFormat.format(item.pubDate)}</time>${item.duration > 0 && html` · ${formatDuration(item.duration)}`}</p>`;
+}
+
+function renderEpisode(item) {
+  return html`
+    <li class="episode">
+      <h3><a href="${episodePagePath(item)}">${item.title}</a></h3>
+      ${renderEpisodeMeta(item)}
+      ${item.description && html`<p>${item.description}</p>`}
+      <audio controls preload="none" src="${item.enclosure.url}"></audio>
+    </li>`;
+}
+
+function renderSubscribeLinks(feedUrls) {
+  return html`<ul class="subscribe">
+        <li><a href="${subscribeUrl('podcast', feedUrls.rss)}">Telli taskuhäälingu rakenduses</a></li>
+        <li><a href="${subscribeUrl('pcast', feedUrls.rss)}">pcast</a></li>
+        <li><a href="${feedUrls.rss}">RSS</a></li>
+        <li><a href="${feedUrls.atom}">Atom</a></li>
+        <li><a href="${feedUrls.json}">JSON Feed</a></li>
+      </ul>`;
+}
+
+/**
+ * Wrap page content in the shared document: head with feed discovery links,
+ * Open Graph tags for link previews, and the stylesheet
+ * @param {object} model - Model from buildFeedModel()
+ * @param {object} feedUrls - Absolute feed URLs by format
+ * @param {object} page
+ * @param {string} page.title
+ * @param {string} page.description
+ * @param {string} page.imageUrl - Cover art for link previews
+ * @param {string} [page.audioUrl] - Episode audio, for og:audio
+ * @param {object} page.body - Rendered fragment for <body>
+ * @returns {string}
+ */
+function renderDocument(model, feedUrls, { title, description, imageUrl, audioUrl, body }) {
+  return html`<!DOCTYPE html>
+<html lang="${model.language}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  <meta name="description" content="${description}">
+  <meta property="og:type" content="${audioUrl ? 'music.song' : 'website'}">
+  <meta property="og:title" content="${title}">
+  <meta property="og:description" content="${description}">
+  <meta property="og:image" content="${imageUrl}">${audioUrl && html`
+  <meta property="og:audio" content="${audioUrl}">`}
+  <link rel="alternate" type="application/rss+xml" title="${model.title}" href="${feedUrls.rss}">
+  <link rel="alternate" type="application/atom+xml" title="${model.title}" href="${feedUrls.atom}">
+  <link rel="alternate" type="application/feed+json" title="${model.title}" href="${feedUrls.json}">
+  <style>${safeHtml(STYLESHEET)}</style>
+</head>
+<body>${body}
+  <footer>
+    <p class="meta"><a href="${model.link}">${model.author}</a></p>
+  </footer>
+</body>
+</html>
+`.toString();
+}
+
+/**
+ * Render the landing page
+ * @param {object} model - Model from buildFeedModel()
+ * @param {object} feedUrls - Absolute feed URLs by format
+ * @param {string} feedUrls.rss
+ * @param {string} feedUrls.atom
+ * @param {string} feedUrls.json
+ * @returns {string}
+ */
+export function renderLandingPage(model, feedUrls) {
+  return renderDocument(model, feedUrls, {
+    title: model.title,
+    description: model.description,
+    imageUrl: model.imageUrl,
+    body: html`
+  <header>
+    <img src="${model.imageUrl}" alt="${model.title}">
+    <div>
+      <h1>${model.title}</h1>
+      <p>${model.description}</p>
+      ${renderSubscribeLinks(feedUrls)}
+    </div>
+  </header>
+  <main>
+    <h2>Viimased jutud</h2>
+    <ol>${model.items.map(renderEpisode)}
+    </ol>
+  </main>`,
+  });
+}
+
+/**
+ * Render an episode's page, served at episodePagePath(item) next to the landing page
+ * @param {object} model - Model from buildFeedModel()
+ * @param {object} item - One of model.items
+ * @param {object} feedUrls - Absolute feed URLs by format
+ * @returns {string}
+ */
+export function renderEpisodePage(model, item, feedUrls) {
+  const imageUrl = item.imageUrl || model.imageUrl;
+  const credits = item.people.map(person => html`
+        <li>${person.name}${person.role && html` (${person.role})`}</li>`);
+
+  return renderDocument(model, feedUrls, {
+    title: `${item.title} – ${model.title}`,
+    description: item.description || model.description,
+    imageUrl,
+    audioUrl: item.enclosure.url,
+    body: html`
+  <header>
+    <img src="${imageUrl}" alt="${item.title}">
+    <div>
+      <p class="meta"><a href="../">${model.title}</a></p>
+      <h1>${item.title}</h1>
+      ${renderEpisodeMeta(item)}
+      <audio controls preload="none" src="${item.enclosure.url}"></audio>
+    </div>
+  </header>
+  <main>
+    ${item.description && html`<p>${item.description}</p>`}
+    ${credits.length > 0 && html`<ul class="credits">${credits}
+    </ul>`}
+    <p class="meta"><a href="${item.link}">Kuula ERR-i lehel</a> · <a href="${item.enclosure.url}" download>Laadi alla</a></p>
+    ${renderSubscribeLinks(feedUrls)}
+  </main>`,
+  });
+}
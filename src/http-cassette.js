@@ -0,0 +1,292 @@
+/**
+ * Record and replay upstream HTTP traffic
+ *
+ * A cassette sits in front of fetch() in http-client.js:
+ *
+ * passthrough - plain fetch (the default)
+ * record      - fetch, and save each request with its outcome (status,
+ *               selected headers and body, or the network error/timeout)
+ *               to a JSON file
+ * replay      - answer from that file without touching the network; a
+ *               request that wasn't recorded throws CassetteMissError
+ *
+ * A response whose body broke off while it was read is recorded with the
+ * error, and replayed as a body that fails the same way.
+ *
+ * A run against the live API can so be captured and replayed later, e.g. in tests.
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { TimeoutError, NetworkError } from './http-errors.js';
+
+export const CASSETTE_MODES = ['passthrough', 'record', 'replay'];
+
+export const CASSETTE_VERSION = 1;
+
+// Bodies beyond this are cut off in the cassette file (a Range probe answered with a whole audio file);
+// the caller still gets the whole body
+const MAX_RECORDED_BODY_BYTES = 1024 * 1024;
+
+// Recordings are written at most this often, and once more on exit
+const SAVE_DELAY_MS = 1000;
+
+// Statuses whose responses can't have a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Request that a replay cassette has no recording for
+ */
+export class CassetteMissError extends Error {
+  /**
+   * @param {object} details
+   * @param {string} details.key - Request key (method, URL and Range)
+   * @param {string} details.path - Cassette file
+   */
+  constructor({ key, path }) {
+    super(`No recording for ${key} in cassette ${path}`);
+    this.name = 'CassetteMissError';
+    this.code = 'CASSETTE_MISS';
+    this.key = key;
+    this.path = path;
+  }
+}
+
+/**
+ * Key that identifies a request in a cassette
+ * @param {string} url
+ * @param {RequestInit} [options]
+ * @returns {string} e.g. "GET https://…/a.m4a bytes=0-0"
+ */
+export function requestKey(url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const range = new Headers(options.headers).get('range');
+  return range ? `${method} ${url} ${range}` : `${method} ${url}`;
+}
+
+function isTextType(contentType) {
+  return /json|text|xml|javascript/i.test(contentType || '');
+}
+
+// Cassettes in record mode, saved once more when the process exits
+const recording = new Set();
+
+function saveAllOnExit() {
+  for (const cassette of recording) cassette.save();
+}
+
+/**
+ * Describe a failed request or body read for the cassette file
+ * @param {Error} error
+ * @param {AbortSignal} [signal] - The request's signal; aborted means our timeout
+ * @param {number} elapsedMs
+ * @returns {object}
+ */
+function recordedError(error, signal, elapsedMs) {
+  return signal?.aborted
+    ? { type: 'timeout', elapsedMs }
+    : { type: 'network', message: error.message, code: error.cause?.code || null, elapsedMs };
+}
+
+/**
+ * Recreate a recorded failure as the error http-client.js would have classified it
+ * @param {string} url
+ * @param {object} recorded - Result of recordedError()
+ * @returns {TimeoutError|NetworkError}
+ */
+function replayedError(url, recorded) {
+  if (recorded.type === 'timeout') {
+    return new TimeoutError({ url, timeoutMs: recorded.elapsedMs, elapsedMs: recorded.elapsedMs });
+  }
+  const cause = Object.assign(new TypeError(recorded.message), { cause: { code: recorded.code } });
+  return new NetworkError({ url, elapsedMs: recorded.elapsedMs, cause });
+}
+
+/**
+ * Read a whole response body
+ * @param {Response} response
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(response) {
+  if (!response.body) return Buffer.alloc(0);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Create a cassette
+ * @param {object} options
+ * @param {string} [options.mode] - One of CASSETTE_MODES
+ * @param {string} [options.path] - Cassette file; required for record and replay
+ * @param {string[]} [options.headers] - Response headers to record (lowercase)
+ * @returns {object} Cassette with mode, path, fetch, save and entries
+ * @throws {Error} In replay mode, when the cassette file can't be read
+ */
+export function createCassette({ mode = 'passthrough', path = '', headers = [] }) {
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(`Unknown cassette mode "${mode}" (expected ${CASSETTE_MODES.join(', ')})`);
+  }
+
+  /** @type {object[]} Recorded or loaded entries, in request order */
+  let entries = [];
+  // Replay position per request key: retries replay the recorded sequence, then the last one repeats
+  const replayed = new Map();
+  let saveTimer = null;
+
+  if (mode === 'replay') {
+    let data;
+    try {
+      data = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read cassette ${path}: ${error.message}`);
+    }
+    if (data?.version !== CASSETTE_VERSION || !Array.isArray(data.entries)) {
+      throw new Error(`Unsupported cassette format in ${path} (version ${data?.version})`);
+    }
+    entries = data.entries;
+  }
+
+  if (mode === 'record') {
+    // Flush whatever the debounce hasn't written yet; one listener for all cassettes
+    if (recording.size === 0) process.once('exit', saveAllOnExit);
+    recording.add({ save });
+  }
+
+  /**
+   * Write recorded entries to the cassette file (atomically)
+   */
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (mode !== 'record') return;
+
+    mkdirSync(dirname(path), { recursive: true });
+    const tmpPath = `${path}.${process.pid}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify({ version: CASSETTE_VERSION, entries }, null, 2) + '\n');
+    renameSync(tmpPath, path);
+  }
+
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(save, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  async function record(url, options, key) {
+    const startTime = Date.now();
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (error) {
+      entries.push({
+        key,
+        recordedAt: new Date(startTime).toISOString(),
+        error: recordedError(error, options.signal, Date.now() - startTime),
+      });
+      scheduleSave();
+      throw error;
+    }
+
+    const recordedHeaders = {};
+    for (const name of headers) {
+      const value = response.headers.get(name);
+      if (value) recordedHeaders[name] = value;
+    }
+
+    let bytes;
+    try {
+      bytes = await readBody(response);
+    } catch (error) {
+      // The request was made: replay has to fail it the same way instead of missing it
+      entries.push({
+        key,
+        recordedAt: new Date(startTime).toISOString(),
+        status: response.status,
+        statusText: response.statusText,
+        headers: recordedHeaders,
+        bodyError: recordedError(error, options.signal, Date.now() - startTime),
+      });
+      scheduleSave();
+      throw error;
+    }
+    const truncated = bytes.length > MAX_RECORDED_BODY_BYTES;
+    const recorded = truncated ? bytes.subarray(0, MAX_RECORDED_BODY_BYTES) : bytes;
+    const text = isTextType(recordedHeaders['content-type']);
+    entries.push({
+      key,
+      recordedAt: new Date(startTime).toISOString(),
+      status: response.status,
+      statusText: response.statusText,
+      headers: recordedHeaders,
+      ...(text ? { body: recorded.toString('utf-8') } : { base64: recorded.toString('base64') }),
+      ...(truncated && { truncated }),
+    });
+    scheduleSave();
+
+    // The body has been consumed; hand the caller a full copy, so recording doesn't change what it sees
+    return new Response(NULL_BODY_STATUSES.includes(response.status) ? null : bytes, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  }
+
+  function replay(url, options, key) {
+    const matches = entries.filter(entry => entry.key === key);
+    if (matches.length === 0) {
+      const error = new CassetteMissError({ key, path });
+      console.error(error.message);
+      throw error;
+    }
+
+    const index = Math.min(replayed.get(key) || 0, matches.length - 1);
+    replayed.set(key, index + 1);
+    const entry = matches[index];
+
+    if (entry.error) throw replayedError(url, entry.error);
+
+    const hasBody = (options.method || 'GET').toUpperCase() !== 'HEAD' && !NULL_BODY_STATUSES.includes(entry.status);
+    let body = entry.base64 !== undefined ? Buffer.from(entry.base64, 'base64') : Buffer.from(entry.body || '');
+    if (entry.bodyError) {
+      const error = replayedError(url, entry.bodyError);
+      body = new ReadableStream({ start: controller => controller.error(error) });
+    }
+    return new Response(hasBody ? body : null, {
+      status: entry.status,
+      statusText: entry.statusText,
+      headers: entry.headers,
+    });
+  }
+
+  return {
+    mode,
+    path,
+    save,
+
+    /**
+     * fetch() through the cassette. Errors replayed from a recording are
+     * already TimeoutError or NetworkError.
+     * @param {string} url
+     * @param {RequestInit} [options]
+     * @param {object} [behaviour]
+     * @param {boolean} [behaviour.stream] - The caller streams the body: not recorded, and not replayable
+     * @returns {Promise<Response>}
+     */
+    async fetch(url, options = {}, { stream = false } = {}) {
+      const key = requestKey(url, options);
+      if (mode === 'replay') {
+        if (stream) throw new CassetteMissError({ key, path });
+        return replay(url, options, key);
+      }
+      if (mode === 'record' && !stream) return record(url, options, key);
+      return fetch(url, options);
+    },
+
+    /**
+     * Entries recorded or loaded so far
+     * @returns {object[]}
+     */
+    entries() {
+      return entries;
+    },
+  };
+}
@@ -1,10 +1,25 @@
 import pLimit from 'p-limit';
+import { createCounter, createGauge } from './metrics.js';
+import { createCircuitBreaker } from './circuit-breaker.js';
+import { HttpError, TimeoutError, NetworkError, ParseError } from './http-errors.js';
+import { isRetryableError, resolveRetryPolicy, retryDelay } from './retry-policy.js';
+import { CassetteMissError, createCassette } from './http-cassette.js';
+
+export { CircuitOpenError } from './circuit-breaker.js';
+export { HttpError, TimeoutError, NetworkError, ParseError } from './http-errors.js';
+export { CassetteMissError } from './http-cassette.js';
 
 // Configuration with environment variable overrides
 const MAX_CONCURRENT_REQUESTS = Math.min(
   Math.max(parseInt(process.env.MAX_CONCURRENT_REQUESTS, 10) || 5, 1),
   20
 );
+// How many of those slots relayed audio downloads may hold at once; the rest stay free
+// for API requests, so listeners can't stall feed builds (1 to MAX_CONCURRENT_REQUESTS - 1)
+const MAX_CONCURRENT_STREAMS = Math.min(
+  Math.max(parseInt(process.env.MAX_CONCURRENT_STREAMS, 10) || MAX_CONCURRENT_REQUESTS - 1, 1),
+  Math.max(MAX_CONCURRENT_REQUESTS - 1, 1)
+);
 const MAX_RETRIES = Math.min(
   Math.max(parseInt(process.env.MAX_RETRIES, 10) || 2, 0),
   5
@@ -13,46 +28,99 @@ const INITIAL_RETRY_DELAY_MS = Math.min(
   Math.max(parseInt(process.env.RETRY_DELAY_MS, 10) || 500, 100),
   5000
 );
+// Ceiling for the exponential backoff; Retry-After may ask for longer (1000-60000)
+const MAX_RETRY_DELAY_MS = Math.min(
+  Math.max(parseInt(process.env.MAX_RETRY_DELAY_MS, 10) || 10000, 1000),
+  60000
+);
+// Time budget for one call, all attempts and waits included (5-300 seconds)
+const FETCH_DEADLINE_MS = Math.min(
+  Math.max(parseInt(process.env.FETCH_DEADLINE_SECONDS, 10) || 60, 5),
+  300
+) * 1000;
+
+/** @type {import('./retry-policy.js').RetryPolicy} */
+const DEFAULT_RETRY_POLICY = {
+  retries: MAX_RETRIES,
+  initialDelayMs: INITIAL_RETRY_DELAY_MS,
+  maxDelayMs: MAX_RETRY_DELAY_MS,
+  deadlineMs: FETCH_DEADLINE_MS,
+};
+
+// Consecutive failed attempts against one host that open its circuit (1-100)
+const CIRCUIT_FAILURE_THRESHOLD = Math.min(
+  Math.max(parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5, 1),
+  100
+);
+// How long an open circuit fails fast before letting a trial request through (1-600 seconds)
+const CIRCUIT_RESET_MS = Math.min(
+  Math.max(parseInt(process.env.CIRCUIT_RESET_SECONDS, 10) || 30, 1),
+  600
+) * 1000;
+
+// Record or replay upstream traffic: passthrough (default), record or replay.
+// Not clamped: a mistyped mode fails at startup (createCassette throws) rather than hitting the live API
+const CASSETTE_MODE = process.env.HTTP_CASSETTE_MODE || 'passthrough';
+// Cassette file for record and replay
+const CASSETTE_PATH = process.env.HTTP_CASSETTE || '.cache/cassette.json';
 
 const limit = pLimit(MAX_CONCURRENT_REQUESTS);
+// Admits downloads to `limit`; past it they wait here, behind no API request
+const streamLimit = pLimit(MAX_CONCURRENT_STREAMS);
+// Downloads holding a `limit` slot
+let activeStreams = 0;
+
+/** @type {Map<string, object>} Circuit breakers by upstream host */
+const circuits = new Map();
+
+const upstreamRequests = createCounter(
+  'ohtujutt_upstream_requests_total',
+  'Upstream fetch attempts by HTTP status ("error" for network failures and timeouts)',
+  ['status']
+);
+const upstreamRetries = createCounter(
+  'ohtujutt_upstream_retries_total',
+  'Upstream fetch attempts that were retried'
+);
+createGauge('ohtujutt_upstream_active_requests', 'Upstream requests currently running', () => limit.activeCount);
+createGauge('ohtujutt_upstream_pending_requests', 'Upstream requests waiting for a free slot', () => limit.pendingCount);
+createGauge('ohtujutt_upstream_active_streams', 'Relayed audio downloads currently running', () => activeStreams);
+createGauge('ohtujutt_upstream_pending_streams', 'Relayed audio downloads waiting for a free slot',
+  () => streamLimit.pendingCount + streamLimit.activeCount - activeStreams);
+createGauge('ohtujutt_upstream_circuit_open', 'Whether the circuit for an upstream host is open (1) or not (0)',
+  () => [...circuits].map(([host, circuit]) => ({ labels: { host }, value: circuit.isOpen() ? 1 : 0 })));
 
 /**
- * Sleep for a specified duration
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
+ * Get the circuit breaker for a URL's host
+ * @param {string} url
+ * @returns {object}
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function circuitFor(url) {
+  const host = new URL(url).host;
+  let circuit = circuits.get(host);
+  if (!circuit) {
+    circuit = createCircuitBreaker(host, { failureThreshold: CIRCUIT_FAILURE_THRESHOLD, resetTimeoutMs: CIRCUIT_RESET_MS });
+    circuits.set(host, circuit);
+  }
+  return circuit;
 }
 
 /**
- * Check if an error is retryable
- * @param {Error} error - The error to check
+ * Whether a response status means the upstream is struggling (counts against its circuit)
+ * @param {number} status
  * @returns {boolean}
  */
-function isRetryableError(error) {
-  // Network errors are retryable
-  if (error.name === 'AbortError' || error.name === 'TypeError') {
-    return true;
-  }
-
-  // HTTP 5xx errors are retryable
-  if (error.message?.includes('HTTP 5')) {
-    return true;
-  }
-
-  // Rate limiting (429) is retryable
-  if (error.message?.includes('HTTP 429')) {
-    return true;
-  }
-
-  // Client errors (4xx except 429) are not retryable
-  if (error.message?.includes('HTTP 4')) {
-    return false;
-  }
+function isUpstreamFailureStatus(status) {
+  return status >= 500 || status === 429;
+}
 
-  // Default to retryable for unknown errors
-  return true;
+/**
+ * Sleep for a specified duration
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 /**
@@ -65,10 +133,13 @@ const DIAGNOSTIC_HEADERS = [
   'x-cache', 'x-cache-hits', 'x-served-by', 'x-timer',
   'retry-after', 'www-authenticate',
   'x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset',
-  'content-type', 'content-length', 'date', 'age',
+  'content-type', 'content-length', 'content-range', 'date', 'age',
   'x-amz-request-id', 'x-amz-cf-id', 'x-edge-location',
 ];
 
+// Cassettes keep the diagnostic headers, which include everything the callers read
+let cassette = createCassette({ mode: CASSETTE_MODE, path: CASSETTE_PATH, headers: DIAGNOSTIC_HEADERS });
+
 /**
  * Build a detailed error for a non-ok HTTP response.
  * Reads selected response headers and a truncated body snippet so that
@@ -77,7 +148,7 @@ const DIAGNOSTIC_HEADERS = [
  * @param {Response} response
  * @param {string} url
  * @param {number} elapsedMs
- * @returns {Promise<Error>}
+ * @returns {Promise<HttpError>}
  */
 async function buildHttpError(response, url, elapsedMs) {
   const { status, statusText } = response;
@@ -98,13 +169,25 @@ async function buildHttpError(response, url, elapsedMs) {
     bodySnippet = '(unable to read body)';
   }
 
-  const error = new Error(`HTTP ${status}: ${statusText}`);
-  error.status = status;
-  error.url = url;
-  error.elapsedMs = elapsedMs;
-  error.responseHeaders = headers;
-  error.bodySnippet = bodySnippet;
-  return error;
+  return new HttpError({ status, statusText, url, elapsedMs, responseHeaders: headers, bodySnippet });
+}
+
+/**
+ * Turn an error thrown by fetch() into a TimeoutError or NetworkError
+ * @param {Error} error
+ * @param {object} request
+ * @param {string} request.url
+ * @param {AbortSignal} request.signal - Signal aborted by our timeout
+ * @param {number} request.timeoutMs
+ * @param {number} request.startTime
+ * @returns {Error}
+ */
+function classifyFetchError(error, { url, signal, timeoutMs, startTime }) {
+  // Failures replayed from a cassette are classified already
+  if (error instanceof TimeoutError || error instanceof NetworkError) return error;
+  const elapsedMs = Date.now() - startTime;
+  if (signal.aborted) return new TimeoutError({ url, timeoutMs, elapsedMs });
+  return new NetworkError({ url, elapsedMs, cause: error });
 }
 
 /**
@@ -112,7 +195,7 @@ async function buildHttpError(response, url, elapsedMs) {
  * @param {Error} error
  */
 function logHttpErrorDetails(error) {
-  if (!error.status) return; // Not an HTTP error, skip detailed log
+  if (!(error instanceof HttpError)) return; // Not an HTTP error, skip detailed log
 
   const parts = [
     `  URL: ${error.url}`,
@@ -135,63 +218,198 @@ function logHttpErrorDetails(error) {
 }
 
 /**
- * Fetch with concurrency limiting, retries, and timeout
+ * Fetch with concurrency limiting, retries, and timeout.
+ * Failures are thrown as HttpError, TimeoutError, NetworkError or CircuitOpenError.
+ *
  * @param {string} url - URL to fetch
- * @param {number} timeoutMs - Request timeout in milliseconds
+ * @param {number} timeoutMs - Timeout per attempt in milliseconds
+ * @param {RequestInit & {retry?: Partial<import('./retry-policy.js').RetryPolicy>|false}} [options] - Extra fetch
+ *   options (method, headers; the signal is managed here) and per-request retry settings
  * @returns {Promise<Response>}
  */
-export async function fetchWithRetry(url, timeoutMs) {
+export async function fetchWithRetry(url, timeoutMs, options = {}) {
+  return fetchAndRead(url, timeoutMs, options, response => response);
+}
+
+/**
+ * The retry loop behind fetchWithRetry and fetchJson. `read` runs inside
+ * each attempt, under its timeout, so a body cut off mid-read is retried
+ * like any other network failure.
+ *
+ * @param {string} url
+ * @param {number} timeoutMs - Timeout per attempt, body reading included
+ * @param {object} options - Options for fetchWithRetry
+ * @param {(response: Response, attempt: {startTime: number, signal: AbortSignal, timeoutMs: number}) => Promise<T>|T} read - Turns
+ *   an ok response into the result; throws ParseError, NetworkError or TimeoutError
+ * @returns {Promise<T>}
+ * @template T
+ */
+async function fetchAndRead(url, timeoutMs, options, read) {
+  const { retry, ...fetchOptions } = options;
+  const policy = resolveRetryPolicy(DEFAULT_RETRY_POLICY, retry);
+  const circuit = circuitFor(url);
+  // Fail fast rather than queueing behind the limiter
+  circuit.failFast();
+
   return limit(async () => {
-    let lastError;
+    // Time spent queued for a slot doesn't count against the deadline
+    const deadline = Date.now() + policy.deadlineMs;
+    let delay = 0;
 
-    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    for (let attempt = 0; ; attempt++) {
       if (attempt > 0) {
-        // Exponential backoff: 500ms, 1000ms, 2000ms, ...
-        const delay = INITIAL_RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+        // Our own failures may have opened the circuit; don't wait out a backoff for nothing
+        circuit.failFast();
         await sleep(delay);
       }
 
+      circuit.beforeRequest();
+      const attemptTimeoutMs = Math.max(1, Math.min(timeoutMs, deadline - Date.now()));
       const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+      const timeoutId = setTimeout(() => controller.abort(), attemptTimeoutMs);
       const startTime = Date.now();
 
       try {
-        const response = await fetch(url, { signal: controller.signal });
+        let response;
+        try {
+          response = await cassette.fetch(url, { ...fetchOptions, signal: controller.signal });
+        } catch (error) {
+          // Replaying something that wasn't recorded is a broken test setup, not a flaky upstream;
+          // the circuit's trial slot (when half-open) is handed back
+          if (error instanceof CassetteMissError) {
+            circuit.onCancel();
+            throw error;
+          }
+          upstreamRequests.inc({ status: 'error' });
+          circuit.onFailure();
+          throw classifyFetchError(error, { url, signal: controller.signal, timeoutMs: attemptTimeoutMs, startTime });
+        }
+
+        upstreamRequests.inc({ status: response.status });
+        if (isUpstreamFailureStatus(response.status)) circuit.onFailure();
+        else circuit.onSuccess();
 
         if (!response.ok) {
           const elapsed = Date.now() - startTime;
           throw await buildHttpError(response, url, elapsed);
         }
 
-        return response;
+        try {
+          return await read(response, { startTime, signal: controller.signal, timeoutMs: attemptTimeoutMs });
+        } catch (error) {
+          // A connection dropped mid-body is the upstream's fault as much as one dropped before the headers
+          if (error instanceof TimeoutError || error instanceof NetworkError) circuit.onFailure();
+          throw error;
+        }
       } catch (error) {
-        lastError = error;
-
-        const isLastAttempt = attempt === MAX_RETRIES;
-        const shouldRetry = !isLastAttempt && isRetryableError(error);
-
-        if (shouldRetry) {
-          console.error(
-            `Attempt ${attempt + 1}/${MAX_RETRIES + 1} failed for ${url}: ${error.message}`
-          );
-          logHttpErrorDetails(error);
-        } else if (!isLastAttempt) {
-          // Non-retryable error — log details before throwing
-          logHttpErrorDetails(error);
+        logHttpErrorDetails(error);
+
+        if (attempt >= policy.retries || !isRetryableError(error)) {
+          throw error;
+        }
+
+        delay = retryDelay(attempt + 1, error, policy);
+        if (Date.now() + delay >= deadline) {
+          console.error(`Giving up on ${url}: next retry in ${delay}ms would pass the ${policy.deadlineMs}ms deadline`);
           throw error;
-        } else {
-          // Last attempt — log details before final throw
-          logHttpErrorDetails(error);
         }
+
+        upstreamRetries.inc();
+        console.error(
+          `Attempt ${attempt + 1}/${policy.retries + 1} failed for ${url}: ${error.message}, retrying in ${delay}ms`
+        );
       } finally {
         clearTimeout(timeoutId);
       }
     }
+  });
+}
 
-    throw lastError;
+/**
+ * Fetch and parse a JSON response (see fetchWithRetry). A body cut off
+ * while it's being read is retried like a failed request.
+ * @param {string} url - URL to fetch
+ * @param {number} timeoutMs - Timeout per attempt in milliseconds
+ * @param {object} [options] - Options for fetchWithRetry
+ * @returns {Promise<*>}
+ * @throws {ParseError} When the body isn't valid JSON
+ * @throws {NetworkError} When the body is cut off on every attempt
+ */
+export async function fetchJson(url, timeoutMs, options = {}) {
+  return fetchAndRead(url, timeoutMs, options, async (response, attempt) => {
+    try {
+      return await response.json();
+    } catch (error) {
+      if (error instanceof SyntaxError) throw new ParseError({ url, cause: error });
+      // The connection dropped, or the attempt timed out, while the body was being read
+      throw classifyFetchError(error, { url, ...attempt });
+    }
   });
 }
 
+/**
+ * Fetch a response body as a stream, through the same limiter as API requests.
+ * Unlike fetchWithRetry, the limiter slot is held until `consume` settles.
+ * At most MAX_CONCURRENT_STREAMS downloads hold a slot at once, so long
+ * downloads leave the remaining slots to feed builds. There are no retries:
+ * a partially streamed body can't be replayed. Cassettes don't record
+ * streams either, so in replay mode this throws CassetteMissError.
+ *
+ * @param {string} url - URL to fetch
+ * @param {number} timeoutMs - Timeout for receiving response headers
+ * @param {RequestInit} options - Fetch options; `signal` aborts the whole transfer
+ * @param {(response: Response) => Promise<T>} consume - Reads the response
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function fetchStream(url, timeoutMs, options, consume) {
+  const circuit = circuitFor(url);
+  circuit.failFast();
+
+  return streamLimit(() => limit(async () => {
+    activeStreams++;
+    try {
+      circuit.beforeRequest();
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+      const { signal: externalSignal, ...fetchOptions } = options;
+
+      const abort = () => controller.abort();
+      if (externalSignal?.aborted) controller.abort();
+      externalSignal?.addEventListener('abort', abort);
+
+      const startTime = Date.now();
+      let response;
+      try {
+        response = await cassette.fetch(url, { ...fetchOptions, signal: controller.signal }, { stream: true });
+      } catch (error) {
+        // Neither a cassette miss nor a client hanging up says anything about the upstream
+        if (error instanceof CassetteMissError || externalSignal?.aborted) {
+          circuit.onCancel();
+          throw error;
+        }
+        upstreamRequests.inc({ status: 'error' });
+        circuit.onFailure();
+        throw classifyFetchError(error, { url, signal: controller.signal, timeoutMs, startTime });
+      } finally {
+        clearTimeout(timeoutId);
+      }
+
+      upstreamRequests.inc({ status: response.status });
+      if (isUpstreamFailureStatus(response.status)) circuit.onFailure();
+      else circuit.onSuccess();
+      try {
+        return await consume(response);
+      } finally {
+        clearTimeout(timeoutId);
+        externalSignal?.removeEventListener('abort', abort);
+      }
+    } finally {
+      activeStreams--;
+    }
+  }));
+}
+
 /**
  * Get the number of pending requests in the queue
  * @returns {number}
@@ -208,6 +426,14 @@ export function getActiveCount() {
   return limit.activeCount;
 }
 
+/**
+ * Get the number of relayed downloads currently streaming
+ * @returns {number}
+ */
+export function getActiveStreamCount() {
+  return activeStreams;
+}
+
 /**
  * Get current configuration (for debugging/monitoring)
  * @returns {object}
@@ -215,7 +441,39 @@ export function getActiveCount() {
 export function getConfig() {
   return {
     maxConcurrent: MAX_CONCURRENT_REQUESTS,
+    maxConcurrentStreams: MAX_CONCURRENT_STREAMS,
     maxRetries: MAX_RETRIES,
     initialRetryDelayMs: INITIAL_RETRY_DELAY_MS,
+    maxRetryDelayMs: MAX_RETRY_DELAY_MS,
+    deadlineMs: FETCH_DEADLINE_MS,
+    circuitFailureThreshold: CIRCUIT_FAILURE_THRESHOLD,
+    circuitResetMs: CIRCUIT_RESET_MS,
+    cassetteMode: cassette.mode,
+    cassettePath: cassette.path,
   };
 }
+
+/**
+ * Get the circuit state of every upstream host contacted so far
+ * @returns {object[]} Per host: state ("closed", "open" or "half-open"), consecutive failures, openedAt, retryAt
+ */
+export function getCircuitStatus() {
+  return [...circuits.values()].map(circuit => circuit.getStatus());
+}
+
+/**
+ * Forget all circuit state (for testing)
+ */
+export function resetCircuits() {
+  circuits.clear();
+}
+
+/**
+ * Switch to another cassette (for testing)
+ * @param {object} options - Options for createCassette(); headers default to DIAGNOSTIC_HEADERS
+ * @returns {object} The cassette now in use
+ */
+export function useCassette(options) {
+  cassette = createCassette({ headers: DIAGNOSTIC_HEADERS, ...options });
+  return cassette;
+}
@@ -0,0 +1,117 @@
+/**
+ * Error classes for upstream requests
+ *
+ * HttpError    - the upstream answered with a non-ok status
+ * TimeoutError - no response before the attempt's timeout or the call's deadline
+ * NetworkError - the request failed below HTTP (DNS, connection reset, TLS, ...)
+ * ParseError   - the response body isn't what the caller expected (e.g. invalid JSON)
+ *
+ * All of them carry the request URL; the retry policy decides on the class
+ * and its fields rather than on message text.
+ */
+
+/**
+ * Parse a Retry-After header value (delay-seconds or an HTTP-date)
+ * @param {string|null|undefined} value
+ * @param {number} [now] - Current time in ms since epoch (for HTTP-dates)
+ * @returns {number|null} Delay in milliseconds, null when missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10) * 1000;
+  }
+
+  // HTTP-dates always spell out the day and month; Date.parse would take "-5" as a year
+  const date = /[a-z]/i.test(text) ? Date.parse(text) : NaN;
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Non-ok HTTP response
+ */
+export class HttpError extends Error {
+  /**
+   * @param {object} details
+   * @param {number} details.status
+   * @param {string} [details.statusText]
+   * @param {string} details.url
+   * @param {number} details.elapsedMs
+   * @param {Object<string, string>} [details.responseHeaders] - Diagnostic headers, lowercased names
+   * @param {string} [details.bodySnippet] - Start of the response body
+   */
+  constructor({ status, statusText = '', url, elapsedMs, responseHeaders = {}, bodySnippet = '' }) {
+    super(`HTTP ${status}: ${statusText}`);
+    this.name = 'HttpError';
+    this.code = 'HTTP_ERROR';
+    this.status = status;
+    this.statusText = statusText;
+    this.url = url;
+    this.elapsedMs = elapsedMs;
+    this.responseHeaders = responseHeaders;
+    this.bodySnippet = bodySnippet;
+    /** @type {number|null} Delay the server asked for, from Retry-After */
+    this.retryAfterMs = parseRetryAfter(responseHeaders['retry-after']);
+  }
+}
+
+/**
+ * Request aborted because it ran out of time
+ */
+export class TimeoutError extends Error {
+  /**
+   * @param {object} details
+   * @param {string} details.url
+   * @param {number} details.timeoutMs - The limit that was hit
+   * @param {number} details.elapsedMs
+   */
+  constructor({ url, timeoutMs, elapsedMs }) {
+    super(`Request aborted after ${timeoutMs}ms timeout: ${url}`);
+    this.name = 'TimeoutError';
+    this.code = 'TIMEOUT';
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+    this.elapsedMs = elapsedMs;
+  }
+}
+
+/**
+ * Request failed before an HTTP response arrived
+ */
+export class NetworkError extends Error {
+  /**
+   * @param {object} details
+   * @param {string} details.url
+   * @param {number} details.elapsedMs
+   * @param {Error} details.cause - Error thrown by fetch
+   */
+  constructor({ url, elapsedMs, cause }) {
+    // fetch() reports "fetch failed"; the useful part is usually in its cause
+    const reason = cause?.cause?.code || cause?.cause?.message || cause?.message || 'unknown error';
+    super(`Network error for ${url}: ${reason}`, { cause });
+    this.name = 'NetworkError';
+    this.code = 'NETWORK_ERROR';
+    this.url = url;
+    this.elapsedMs = elapsedMs;
+  }
+}
+
+/**
+ * Response body could not be parsed
+ */
+export class ParseError extends Error {
+  /**
+   * @param {object} details
+   * @param {string} details.url
+   * @param {Error} details.cause - Error thrown by the parser
+   */
+  constructor({ url, cause }) {
+    super(`Invalid response body from ${url}: ${cause?.message}`, { cause });
+    this.name = 'ParseError';
+    this.code = 'PARSE_ERROR';
+    this.url = url;
+  }
+}
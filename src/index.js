@@ -12,22 +12,95 @@
  */
 
 import { createServer } from 'node:http';
-import { fetchWithRetry, getConfig as getHttpConfig } from './http-client.js';
-import { getCached, setCache, getCachedBatch, getCacheStats } from './response-cache.js';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { fetchJson, fetchStream, getConfig as getHttpConfig, getCircuitStatus } from './http-client.js';
+import { getCached, setCache, deleteCache, getCachedBatch, getCacheStats, getRemainingTtl } from './response-cache.js';
+import { computeEtag, validatorHeaders, isNotModified, rebuiltLastModified } from './conditional-request.js';
+import { DEFAULT_CHANNEL, buildFeedModel } from './feed-model.js';
+import { FEED_FORMATS, negotiateFeedFormat, generateFeed } from './feed-formats.js';
+import { probeEpisodeMedia, mimeTypeForUrl } from './media-probe.js';
+import { parseFeedQuery, applyFeedQuery } from './feed-query.js';
+import { loadFeedConfig, configuredChannelFields } from './feed-config.js';
+import { HTML_CONTENT_TYPE, LANDING_PAGE_CSP } from './html-page.js';
+import { buildSitePages } from './static-site.js';
+import {
+  API_CONTENT_TYPE, parsePagination, buildEpisodeList, buildEpisodeResponse, buildApiError, serializeEpisodeDetails,
+} from './episodes-api.js';
+import { getFeed, startBackgroundRefresh, stopBackgroundRefresh, getRefreshStatus } from './feed-refresher.js';
+import { METRICS_CONTENT_TYPE, createCounter, createHistogram, renderMetrics, secondsSince } from './metrics.js';
+import { parsePeople, photoSrcset } from './podcast-namespace.js';
+import { analyzeEpisodeTitles, parseStoryTitle } from './title-analysis.js';
+import { parseAvailability, filterAvailable, nextExpiry, lifetimeUntil } from './availability.js';
+import { ICALENDAR_CONTENT_TYPE, renderICalendar, buildScheduleResponse } from './schedule.js';
 
 const VIKERRAADIO_API_URL = process.env.VIKERRAADIO_API_URL || 'https://vikerraadio.err.ee/api';
 const SERIES_CONTENT_ID = process.env.SERIES_CONTENT_ID || '1038081';
 
+// Series that may be served via /series/:id/feed.xml (comma-separated IDs, "*" allows any)
+const ALLOWED_SERIES_IDS = (process.env.ALLOWED_SERIES_IDS || SERIES_CONTENT_ID)
+  .split(',')
+  .map(id => id.trim())
+  .filter(id => id === '*' || /^\d+$/.test(id));
+
 // Request timeout for upstream API calls (default: 10s, min: 1s, max: 30s)
 const rawFetchTimeout = parseInt(process.env.FETCH_TIMEOUT_SECONDS, 10) || 10;
 const FETCH_TIMEOUT_MS = Math.max(1, Math.min(30, rawFetchTimeout)) * 1000;
 
-// Short-lived feed cache to prevent regeneration on rapid requests (30 seconds)
-const FEED_CACHE_MS = 30000;
-let feedCache = { data: null, timestamp: 0 };
+// Episodes per feed by default, and the ceiling for ?limit=, ?archive and the static feed archive (min 50, max 5000).
+// A ?archive build keeps about two response cache entries per episode (its data and the media probe) plus one
+// per broadcasts page, so MAX_CACHE_ENTRIES (default 300, see response-cache.js) must stay above
+// ARCHIVE_CACHE_ENTRIES, or archive builds evict their own episodes and refetch them every time
+const DEFAULT_EPISODE_LIMIT = 50;
+const MAX_ARCHIVE_EPISODES = Math.min(
+  Math.max(parseInt(process.env.MAX_ARCHIVE_EPISODES, 10) || 100, DEFAULT_EPISODE_LIMIT),
+  5000
+);
+// ERR lists up to 100 broadcasts per page
+const ARCHIVE_CACHE_ENTRIES = MAX_ARCHIVE_EPISODES * 2 + Math.ceil(MAX_ARCHIVE_EPISODES / 100) + 1;
+
+// Optional oldest broadcast date for archive crawling (e.g. "2020-01-01")
+const parsedArchiveSince = new Date(process.env.ARCHIVE_SINCE || '');
+const ARCHIVE_SINCE = Number.isNaN(parsedArchiveSince.getTime()) ? null : parsedArchiveSince;
+
+// Upper bound on broadcasts pages walked per crawl, guards against cursors that never end
+const MAX_BROADCAST_PAGES = 100;
+
+// /schedule.ics and /api/schedule list broadcasts starting within this many days
+const SCHEDULE_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Probe audio files for enclosure size and type (default: on)
+const PROBE_MEDIA = process.env.PROBE_MEDIA !== 'false';
+
+// Point feed enclosures at this server's /audio/:id relay instead of vod.err.ee (default: off)
+const RELAY_AUDIO = process.env.RELAY_AUDIO === 'true';
+
+// Public origin for links in feeds and pages, e.g. "https://ohtujutt.example.com" (an invalid URL stops startup).
+// Unset: taken from each request's X-Forwarded-*/Host headers, and feeds are cached per origin, so a forged
+// header only ever reaches the client that sent it
+const PUBLIC_ORIGIN = process.env.PUBLIC_BASE_URL ? new URL(process.env.PUBLIC_BASE_URL).origin : null;
+
+// Upstream response headers passed through by the audio relay
+const RELAYED_AUDIO_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+// Feed rebuild interval; older feeds are still served while a rebuild runs (default: 5 min, min: 30s, max: 1h)
+const rawFeedRefresh = parseInt(process.env.FEED_REFRESH_SECONDS, 10) || 300;
+const FEED_REFRESH_MS = Math.max(30, Math.min(3600, rawFeedRefresh)) * 1000;
+
+// Cached API responses expiring within this window are refetched in the background,
+// so regular feed rebuilds keep them warm (two refresh intervals, at most half the cache TTL)
+const REFRESH_AHEAD_MS = Math.min(FEED_REFRESH_MS * 2, getCacheStats().ttlMs / 2);
+const revalidatingKeys = new Set();
 
 const PORT = process.env.LISTEN_PORT || 8787;
 
+// Channel metadata from feed.config.json (or FEED_CONFIG); an invalid file stops startup
+const FEED_CONFIG = loadFeedConfig(process.env.FEED_CONFIG);
+// A serial show lists the parts of each story together unless ?order= says otherwise
+const DEFAULT_FEED_ORDER = FEED_CONFIG.type === 'serial' ? 'serial' : 'newest';
+
 // Security headers for all responses
 const SECURITY_HEADERS = {
   'X-Content-Type-Options': 'nosniff',
@@ -36,96 +109,731 @@ const SECURITY_HEADERS = {
   'Content-Security-Policy': "default-src 'none'",
 };
 
-function getCachedFeed() {
-  if (feedCache.data && Date.now() - feedCache.timestamp < FEED_CACHE_MS) {
-    return feedCache.data;
-  }
-  return null;
-}
+const httpRequests = createCounter(
+  'ohtujutt_http_requests_total',
+  'HTTP requests served, by route, method and status',
+  ['route', 'method', 'status']
+);
+const httpRequestDuration = createHistogram(
+  'ohtujutt_http_request_duration_seconds',
+  'Time from receiving a request until its response is done, by route',
+  ['route']
+);
 
-function setCachedFeed(data) {
-  feedCache = { data, timestamp: Date.now() };
+function isSeriesAllowed(seriesId) {
+  return ALLOWED_SERIES_IDS.includes('*') || ALLOWED_SERIES_IDS.includes(seriesId);
 }
 
 async function handleRequest(req, res) {
+  const start = process.hrtime.bigint();
+  // Route patterns rather than raw paths, so IDs don't multiply metric series
+  let route = 'other';
+  res.on('close', () => {
+    httpRequests.inc({ route, method: req.method, status: res.statusCode });
+    httpRequestDuration.observe({ route }, secondsSince(start));
+  });
+
   // Support reverse proxy headers (X-Forwarded-*), fall back to Host header or socket address
   const host = req.headers['x-forwarded-host'] || req.headers.host || `${req.socket.localAddress}:${req.socket.localPort}`;
   const proto = req.headers['x-forwarded-proto'] || 'http';
   const url = new URL(req.url, `${proto}://${host}`);
 
-  if (url.pathname === '/feed.xml' || url.pathname === '/') {
-    await handleFeedRequest(req, res, url);
+  const feedMatch = url.pathname.match(/^(?:\/series\/(\d+))?\/feed\.(xml|atom|json)$/);
+  const seriesId = feedMatch?.[1] || SERIES_CONTENT_ID;
+  const audioMatch = url.pathname.match(/^\/audio\/(\d+)(?:\.\w+)?$/);
+  const episodeApiMatch = url.pathname.match(/^\/api\/episodes(?:\/(\d+))?$/);
+  const episodePageMatch = url.pathname.match(/^\/episodes\/(\d+)\.html$/);
+
+  if (url.pathname === '/') {
+    route = '/';
+    // Browsers get the landing page; podcast apps subscribed to / keep getting RSS
+    if (req.headers.accept?.includes('text/html')) {
+      await handleSitePage(req, res, url, 'index.html');
+    } else {
+      await handleFeedRequest(req, res, url, SERIES_CONTENT_ID, 'rss');
+    }
+  } else if (feedMatch && isSeriesAllowed(seriesId)) {
+    route = feedMatch[1] ? '/series/:id/feed.:format' : '/feed.:format';
+    await handleFeedRequest(req, res, url, seriesId, feedFormatForRequest(req, feedMatch[2]));
+  } else if (episodePageMatch) {
+    route = '/episodes/:id.html';
+    await handleSitePage(req, res, url, `episodes/${episodePageMatch[1]}.html`);
+  } else if (audioMatch) {
+    route = '/audio/:id';
+    await handleAudioRequest(req, res, audioMatch[1]);
+  } else if (episodeApiMatch?.[1]) {
+    route = '/api/episodes/:id';
+    await handleEpisodeApiRequest(res, episodeApiMatch[1]);
+  } else if (episodeApiMatch) {
+    route = '/api/episodes';
+    await handleEpisodesApiRequest(res, url);
+  } else if (url.pathname === '/schedule.ics') {
+    route = '/schedule.ics';
+    await handleScheduleRequest(req, res);
+  } else if (url.pathname === '/api/schedule') {
+    route = '/api/schedule';
+    await handleScheduleApiRequest(req, res);
+  } else if (url.pathname.startsWith('/api/')) {
+    sendJson(res, 404, buildApiError(404, 'Not Found'));
   } else if (url.pathname === '/health') {
+    route = '/health';
+    // Still 200 while upstream is down: the server itself is fine and keeps serving cached feeds
+    const openHosts = getCircuitStatus().filter(c => c.state !== 'closed').map(c => c.host);
     res.writeHead(200, { ...SECURITY_HEADERS, 'Content-Type': 'text/plain' });
-    res.end('OK');
+    res.end(openHosts.length > 0 ? `DEGRADED: upstream circuit open for ${openHosts.join(', ')}` : 'OK');
+  } else if (url.pathname === '/status') {
+    route = '/status';
+    res.writeHead(200, { ...SECURITY_HEADERS, 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ feeds: getRefreshStatus(), upstream: getCircuitStatus() }, null, 2));
+  } else if (url.pathname === '/metrics') {
+    route = '/metrics';
+    res.writeHead(200, { ...SECURITY_HEADERS, 'Content-Type': METRICS_CONTENT_TYPE, 'Cache-Control': 'no-store' });
+    res.end(renderMetrics());
   } else {
     res.writeHead(404, { ...SECURITY_HEADERS, 'Content-Type': 'text/plain' });
     res.end('Not Found');
   }
 }
 
-async function handleFeedRequest(req, res, url) {
+/**
+ * Resolve the feed format for a /feed.* request.
+ * /feed.atom and /feed.json are fixed; /feed.xml is negotiated from the Accept header.
+ * @param {import('node:http').IncomingMessage} req
+ * @param {string} extension - Path extension (xml, atom or json)
+ * @returns {string} Format name from FEED_FORMATS
+ */
+function feedFormatForRequest(req, extension) {
+  if (extension !== 'xml') {
+    return Object.keys(FEED_FORMATS).find(format => FEED_FORMATS[format].extension === extension);
+  }
+  return negotiateFeedFormat(req.headers.accept);
+}
+
+async function handleFeedRequest(req, res, url, seriesId, format) {
   try {
-    // Try to get from cache
-    let rss = getCachedFeed();
+    const query = parseFeedQuery(url.searchParams, {
+      defaultLimit: DEFAULT_EPISODE_LIMIT, maxLimit: MAX_ARCHIVE_EPISODES, defaultOrder: DEFAULT_FEED_ORDER,
+    });
+    const origin = publicOrigin(url);
+    // One feed per normalized parameter set (and origin, unless it's configured)
+    const feedCacheKey = originCacheKey(`${seriesId}:${format}${query.search}`, origin);
+
+    // Served from memory; stale feeds are rebuilt in the background. Only plain feeds are refreshed ahead
+    // of requests: filtered variants are rebuilt on request, from the episode data plain feeds keep cached
+    const feed = await getFeed(feedCacheKey, async (previous) => {
+      const { series, episodes } = await fetchFeedEpisodes(seriesId, query, origin);
+      const selfUrl = feedUrl(seriesId, format, origin) + query.search;
+      const channel = buildChannel(series);
+      if (query.order === 'serial') channel.type = 'serial';
+      const body = generateFeed(format, episodes, selfUrl, channel);
 
-    if (!rss) {
-      // Fetch fresh data
-      const episodes = await fetchEpisodes();
-      const selfUrl = new URL('/feed.xml', url.origin);
-      rss = generateRSS(episodes, selfUrl.toString());
+      // Validators depend only on content, so unchanged feeds keep their ETag and Last-Modified across
+      // rebuilds; the feed is rebuilt as soon as an episode's availability window closes
+      const etag = computeEtag(body);
+      return { body, etag, lastModified: rebuiltLastModified(etag, previous), expiresAt: nextExpiry(episodes) };
+    }, FEED_REFRESH_MS, { background: query.search === '' });
 
-      // Store in cache
-      setCachedFeed(rss);
+    // / and /feed.xml vary by Accept; the fixed-format paths don't
+    const vary = url.pathname === '/' || url.pathname.endsWith('.xml') ? { Vary: 'Accept' } : {};
+    sendDocument(req, res, feed, FEED_FORMATS[format].contentType, vary);
+  } catch (error) {
+    console.error('Error generating feed:', error);
+    res.writeHead(500, { ...SECURITY_HEADERS, 'Content-Type': 'text/plain' });
+    res.end('Internal Server Error');
+  }
+}
+
+/**
+ * Serve a page of the default series' site: the landing page or an episode page
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ * @param {URL} url - Request URL
+ * @param {string} path - Page path from buildSitePages()
+ */
+async function handleSitePage(req, res, url, path) {
+  try {
+    const query = parseFeedQuery(new URLSearchParams(), {
+      defaultLimit: DEFAULT_EPISODE_LIMIT, maxLimit: MAX_ARCHIVE_EPISODES, defaultOrder: DEFAULT_FEED_ORDER,
+    });
+
+    const origin = publicOrigin(url);
+    // All pages are rendered together, the same set scripts/generate-feed.js writes
+    const site = await getFeed(originCacheKey(`${SERIES_CONTENT_ID}:html`, origin), async (previous) => {
+      const { series, episodes } = await fetchFeedEpisodes(SERIES_CONTENT_ID, query, origin);
+      const feedUrls = Object.fromEntries(
+        Object.keys(FEED_FORMATS).map(format => [format, feedUrl(SERIES_CONTENT_ID, format, origin)])
+      );
+      const model = buildFeedModel(episodes, feedUrls.rss, buildChannel(series));
+      const expiresAt = nextExpiry(episodes);
+      const pages = new Map(buildSitePages(model, feedUrls).map((page) => {
+        const etag = computeEtag(page.body);
+        const lastModified = rebuiltLastModified(etag, previous?.pages.get(page.path));
+        return [page.path, { body: page.body, etag, lastModified, expiresAt }];
+      }));
+      return { ...pages.get('index.html'), pages };
+    }, FEED_REFRESH_MS);
+
+    const page = site.pages.get(path);
+    if (!page) {
+      res.writeHead(404, { ...SECURITY_HEADERS, 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+      return;
     }
 
-    const cacheStats = getCacheStats();
-    res.writeHead(200, {
-      ...SECURITY_HEADERS,
-      'Content-Type': 'application/xml; charset=utf-8',
-      'Cache-Control': `public, max-age=${cacheStats.ttlMs / 1000}`,
+    sendDocument(req, res, page, HTML_CONTENT_TYPE, {
+      'Content-Security-Policy': LANDING_PAGE_CSP,
+      // Only / is negotiated between the page and the feed
+      ...(path === 'index.html' && { Vary: 'Accept' }),
     });
-    res.end(rss);
   } catch (error) {
-    console.error('Error generating feed:', error);
+    console.error('Error generating page:', error);
     res.writeHead(500, { ...SECURITY_HEADERS, 'Content-Type': 'text/plain' });
     res.end('Internal Server Error');
   }
 }
 
-async function fetchEpisodes() {
-  const broadcastsCacheKey = `broadcasts:${SERIES_CONTENT_ID}`;
+/**
+ * Origin for links in feeds and pages built for a request
+ * @param {URL} url - Request URL
+ * @returns {string} PUBLIC_BASE_URL's origin, or the request's
+ */
+function publicOrigin(url) {
+  return PUBLIC_ORIGIN || url.origin;
+}
+
+/**
+ * Cache key for a document that links back to this server. Without a
+ * configured PUBLIC_BASE_URL the links follow the request's Host header,
+ * so each origin gets its own copy.
+ * @param {string} key - Key without the origin
+ * @param {string} origin - Result of publicOrigin()
+ * @returns {string}
+ */
+function originCacheKey(key, origin) {
+  return PUBLIC_ORIGIN ? key : `${key} ${origin}`;
+}
+
+/**
+ * Fetch the episodes selected by a feed query, with enclosures relayed when enabled
+ * @param {string} seriesId - Series content ID
+ * @param {object} query - Result of parseFeedQuery()
+ * @param {string} origin - This server's origin
+ * @returns {Promise<{series: object, episodes: object[]}>}
+ */
+async function fetchFeedEpisodes(seriesId, query, origin) {
+  const { series, episodes, failedIds } = await fetchSeries(seriesId, {
+    limit: query.window, since: laterSince(query.since), until: query.until,
+  });
+  if (!series) {
+    throw new Error(`Broadcasts for series ${seriesId} unavailable`);
+  }
+  if (episodes.length === 0 && failedIds.length > 0) {
+    throw new Error(`All ${failedIds.length} episode requests for series ${seriesId} failed`);
+  }
+
+  const selected = applyFeedQuery(episodes, query);
+  return { series, episodes: RELAY_AUDIO ? selected.map(ep => relayEpisode(ep, origin)) : selected };
+}
+
+/**
+ * Absolute URL of a series feed
+ * @param {string} seriesId - Series content ID
+ * @param {string} format - Format name from FEED_FORMATS
+ * @param {string} origin - This server's origin
+ * @returns {string}
+ */
+function feedUrl(seriesId, format, origin) {
+  const feedPath = `/feed.${FEED_FORMATS[format].extension}`;
+  const path = seriesId === SERIES_CONTENT_ID ? feedPath : `/series/${seriesId}${feedPath}`;
+  return new URL(path, origin).toString();
+}
 
-  // Try to get broadcasts list from cache first
-  let broadcastsData = getCached(broadcastsCacheKey);
+/**
+ * Send a built document with validators, answering 304 and HEAD as appropriate
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ * @param {{body: string, etag: string, lastModified: Date|null, expiresAt?: Date|null}} document
+ * @param {string} contentType
+ * @param {object} [extraHeaders] - Headers added to (or overriding) the defaults
+ */
+function sendDocument(req, res, document, contentType, extraHeaders = {}) {
+  // Clients shouldn't keep a document past the close of an episode's availability window
+  const maxAgeMs = lifetimeUntil(getCacheStats().ttlMs, document.expiresAt);
+  const headers = {
+    ...SECURITY_HEADERS,
+    'Cache-Control': `public, max-age=${Math.floor(maxAgeMs / 1000)}`,
+    ...extraHeaders,
+    ...validatorHeaders(document),
+  };
+
+  if (isNotModified(req, document)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  res.writeHead(200, {
+    ...headers,
+    'Content-Type': contentType,
+    'Content-Length': Buffer.byteLength(document.body),
+  });
+  res.end(req.method === 'HEAD' ? undefined : document.body);
+}
 
-  if (!broadcastsData) {
-    const broadcastsUrl = `${VIKERRAADIO_API_URL}/broadcast/broadcasts?seriesContentId=${SERIES_CONTENT_ID}`;
+/**
+ * Combine a requested ?since= with ARCHIVE_SINCE, which still applies when older broadcasts are asked for
+ * @param {Date|null} since
+ * @returns {Date|null}
+ */
+function laterSince(since) {
+  return ARCHIVE_SINCE && (!since || since < ARCHIVE_SINCE) ? ARCHIVE_SINCE : since;
+}
+
+/**
+ * Send a JSON API response
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} status - HTTP status
+ * @param {object} body - Response body
+ */
+function sendJson(res, status, body) {
+  const cacheControl = status === 200 ? `public, max-age=${getCacheStats().ttlMs / 1000}` : 'no-store';
+  res.writeHead(status, { ...SECURITY_HEADERS, 'Content-Type': API_CONTENT_TYPE, 'Cache-Control': cacheControl });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * List published episodes of a series as JSON.
+ * Accepts the feed filters (archive, since, until, q, order), `series`, and `page`/`perPage`.
+ * @param {import('node:http').ServerResponse} res
+ * @param {URL} url - Request URL
+ */
+async function handleEpisodesApiRequest(res, url) {
+  const seriesId = url.searchParams.get('series') || SERIES_CONTENT_ID;
+  if (!/^\d+$/.test(seriesId) || !isSeriesAllowed(seriesId)) {
+    sendJson(res, 404, buildApiError(404, `Series ${seriesId} not found`));
+    return;
+  }
+
+  // Pagination replaces the feed's ?limit=, so the whole window is listed
+  const filters = new URLSearchParams(url.searchParams);
+  filters.delete('limit');
+  const query = parseFeedQuery(filters, { defaultLimit: DEFAULT_EPISODE_LIMIT, maxLimit: MAX_ARCHIVE_EPISODES });
+
+  try {
+    const { series, episodes, failedIds } = await fetchSeries(seriesId, {
+      limit: query.window, since: laterSince(query.since), until: query.until,
+    });
+    if (!series || (episodes.length === 0 && failedIds.length > 0)) {
+      sendJson(res, 502, buildApiError(502, 'Upstream API unavailable'));
+      return;
+    }
+
+    const now = new Date();
+    const published = applyFeedQuery(episodes.filter(ep => ep.pubDate <= now), query);
+    sendJson(res, 200, buildEpisodeList(published, parsePagination(url.searchParams), url));
+  } catch (error) {
+    console.error(`Episode list failed for series ${seriesId}: ${error.message}`);
+    sendJson(res, 500, buildApiError(500, 'Internal Server Error'));
+  }
+}
+
+/**
+ * Return one episode as JSON, with media and schedule details
+ * @param {import('node:http').ServerResponse} res
+ * @param {string} episodeId - Episode content ID
+ */
+async function handleEpisodeApiRequest(res, episodeId) {
+  let content;
+  try {
+    content = await fetchAllowedEpisodeContent(episodeId);
+  } catch (error) {
+    console.error(`Episode lookup failed for ${episodeId}: ${error.message}`);
+    sendJson(res, 502, buildApiError(502, 'Upstream API unavailable'));
+    return;
+  }
+
+  const parsed = content ? parseEpisode(content) : null;
+  if (!parsed) {
+    sendJson(res, 404, buildApiError(404, `Episode ${episodeId} not found`));
+    return;
+  }
+
+  // Without the rest of the series, the part number is only known from an explicit marker
+  const { title, story, part } = parseStoryTitle(parsed.title);
+  const episode = { ...parsed, title, story, part };
+  sendJson(res, 200, buildEpisodeResponse(serializeEpisodeDetails(episode, content)));
+}
+
+/**
+ * Fetch an episode's raw content if it belongs to a series this deployment serves
+ * @param {string} episodeId - Episode content ID
+ * @returns {Promise<object|null>} pageControlData.mainContent, or null if unknown or not allowed
+ */
+async function fetchAllowedEpisodeContent(episodeId) {
+  let data;
+  try {
+    data = await fetchEpisodeData(episodeId);
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+
+  const content = data.pageControlData?.mainContent;
+  const inAllowedSeries = content
+    && (isSeriesAllowed(String(content.rootContentId)) || isSeriesAllowed(String(content.parentContentId)));
+  return inAllowedSeries ? content : null;
+}
+
+/**
+ * Get the default series' schedule in one format, built like the feeds and
+ * rebuilt when its first broadcast is over
+ * @param {'ics'|'json'} format
+ * @returns {Promise<{body: string, etag: string, lastModified: Date|null, expiresAt: Date|null}>}
+ */
+function getSchedule(format) {
+  return getFeed(`${SERIES_CONTENT_ID}:schedule.${format}`, async () => {
+    const { series, entries } = await fetchSchedule(SERIES_CONTENT_ID);
+    let body;
+    if (format === 'ics') {
+      const channel = buildChannel(series);
+      body = renderICalendar(entries, { name: channel.title, description: channel.description, link: channel.link });
+    } else {
+      body = JSON.stringify(buildScheduleResponse(entries), null, 2);
+    }
+
+    const updated = entries.map(entry => entry.updated.getTime());
+    // A broadcast leaves the schedule when it ends
+    const ends = entries.map(entry => (entry.end || entry.start).getTime());
+    return {
+      body,
+      etag: computeEtag(body),
+      lastModified: updated.length > 0 ? new Date(Math.max(...updated)) : null,
+      expiresAt: ends.length > 0 ? new Date(Math.min(...ends)) : null,
+    };
+  }, FEED_REFRESH_MS);
+}
+
+/**
+ * Serve upcoming broadcasts as an iCalendar file
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ */
+async function handleScheduleRequest(req, res) {
+  try {
+    sendDocument(req, res, await getSchedule('ics'), ICALENDAR_CONTENT_TYPE);
+  } catch (error) {
+    console.error('Error generating schedule:', error);
+    res.writeHead(500, { ...SECURITY_HEADERS, 'Content-Type': 'text/plain' });
+    res.end('Internal Server Error');
+  }
+}
+
+/**
+ * Serve upcoming broadcasts as JSON
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ */
+async function handleScheduleApiRequest(req, res) {
+  let schedule;
+  try {
+    schedule = await getSchedule('json');
+  } catch (error) {
+    console.error(`Schedule failed: ${error.message}`);
+    sendJson(res, 502, buildApiError(502, 'Upstream API unavailable'));
+    return;
+  }
+  sendDocument(req, res, schedule, API_CONTENT_TYPE);
+}
+
+/**
+ * Point an episode's enclosure at the /audio/:id relay on this server.
+ * The original extension is kept because some podcast apps sniff the type from it.
+ * @param {object} episode - Parsed episode
+ * @param {string} origin - This server's origin
+ * @returns {object}
+ */
+function relayEpisode(episode, origin) {
+  const extension = new URL(episode.audioUrl).pathname.match(/\.\w+$/)?.[0] || '';
+  return {
+    ...episode,
+    audioUrl: new URL(`/audio/${episode.id}${extension}`, origin).toString(),
+    audioType: episode.audioType || mimeTypeForUrl(episode.audioUrl),
+  };
+}
+
+/**
+ * Stream an episode's audio file through this server, passing Range requests upstream
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ * @param {string} episodeId - Episode content ID
+ */
+async function handleAudioRequest(req, res, episodeId) {
+  let episode;
+  try {
+    // Only relay episodes of series this deployment serves
+    const content = await fetchAllowedEpisodeContent(episodeId);
+    episode = content ? parseEpisode(content) : null;
+  } catch (error) {
+    console.error(`Audio relay lookup failed for episode ${episodeId}: ${error.message}`);
+    res.writeHead(502, { ...SECURITY_HEADERS, 'Content-Type': 'text/plain' });
+    res.end('Bad Gateway');
+    return;
+  }
+
+  if (!episode) {
+    res.writeHead(404, { ...SECURITY_HEADERS, 'Content-Type': 'text/plain' });
+    res.end('Not Found');
+    return;
+  }
+
+  const upstreamHeaders = {};
+  if (req.headers.range) upstreamHeaders.Range = req.headers.range;
+
+  // Stop the upstream transfer when the client goes away
+  const abort = new AbortController();
+  res.on('close', () => abort.abort());
+
+  try {
+    await fetchStream(episode.audioUrl, FETCH_TIMEOUT_MS, {
+      method: req.method === 'HEAD' ? 'HEAD' : 'GET',
+      headers: upstreamHeaders,
+      signal: abort.signal,
+    }, async (upstream) => {
+      if (!upstream.ok && upstream.status !== 416) {
+        console.error(`Audio relay upstream returned HTTP ${upstream.status} for episode ${episodeId}`);
+        await upstream.body?.cancel();
+        res.writeHead(502, { ...SECURITY_HEADERS, 'Content-Type': 'text/plain' });
+        res.end('Bad Gateway');
+        return;
+      }
+
+      const headers = { ...SECURITY_HEADERS, 'Cache-Control': 'public, max-age=86400' };
+      for (const name of RELAYED_AUDIO_HEADERS) {
+        const value = upstream.headers.get(name);
+        if (value) headers[name] = value;
+      }
+      res.writeHead(upstream.status, headers);
+
+      if (req.method === 'HEAD' || !upstream.body) {
+        res.end();
+        return;
+      }
+      await pipeline(Readable.fromWeb(upstream.body), res);
+    });
+  } catch (error) {
+    // Client disconnects abort the pipeline; nothing left to answer
+    if (abort.signal.aborted) return;
+    console.error(`Audio relay failed for episode ${episodeId}: ${error.message}`);
+    if (!res.headersSent) {
+      res.writeHead(502, { ...SECURITY_HEADERS, 'Content-Type': 'text/plain' });
+    }
+    res.end();
+  }
+}
+
+async function fetchEpisodes(seriesId = SERIES_CONTENT_ID, options) {
+  const { episodes } = await fetchSeries(seriesId, options);
+  return episodes;
+}
+
+/**
+ * Fetch raw episode data (getRadioPageData response), cached per episode
+ * @param {string|number} id - Episode content ID
+ * @returns {Promise<object>}
+ */
+async function fetchEpisodeData(id) {
+  const cacheKey = `episode:${id}`;
+  let data = getCached(cacheKey);
+
+  if (!data) {
+    data = await loadEpisodeData(id);
+    setCache(cacheKey, data, episodeCacheTtl(data));
+  } else {
+    revalidateEpisodeAhead(id);
+  }
+
+  return data;
+}
+
+/**
+ * Fetch raw episode data from the API, bypassing the cache
+ * @param {string|number} id - Episode content ID
+ * @returns {Promise<object>}
+ */
+function loadEpisodeData(id) {
+  const contentUrl = `${VIKERRAADIO_API_URL}/radio/getRadioPageData?contentId=${encodeURIComponent(id)}`;
+  return fetchJson(contentUrl, FETCH_TIMEOUT_MS);
+}
+
+/**
+ * Refetch a cached episode in the background when it is about to expire
+ * @param {string|number} id - Episode content ID
+ */
+function revalidateEpisodeAhead(id) {
+  revalidateAhead(`episode:${id}`, () => loadEpisodeData(id), episodeCacheTtl);
+}
+
+/**
+ * Cache lifetime of episode data: the cache TTL, or less when the audio's availability
+ * window closes sooner, so a window extended upstream is picked up in time
+ * @param {object} data - getRadioPageData response
+ * @returns {number} Milliseconds
+ */
+function episodeCacheTtl(data) {
+  const { availableUntil } = parseAvailability(data?.pageControlData?.mainContent);
+  return lifetimeUntil(getCacheStats().ttlMs, availableUntil);
+}
+
+/**
+ * Refetch a cached response in the background when it is about to expire
+ * @param {string} cacheKey - Cache key of a present entry
+ * @param {() => Promise<object>} load - Fetches fresh data
+ * @param {(data: object) => number|undefined} [ttlFor] - Cache TTL for the fresh data; the default when omitted
+ */
+function revalidateAhead(cacheKey, load, ttlFor = () => undefined) {
+  if (revalidatingKeys.has(cacheKey) || getRemainingTtl(cacheKey) > REFRESH_AHEAD_MS) return;
+
+  revalidatingKeys.add(cacheKey);
+  load()
+    .then(data => setCache(cacheKey, data, ttlFor(data)))
+    .catch(error => console.error(`Background refresh of ${cacheKey} failed: ${error.message}`))
+    .finally(() => revalidatingKeys.delete(cacheKey));
+}
+
+/**
+ * Fetch one page of the broadcasts list, cached per series and cursor
+ * @param {string} seriesId - Series content ID
+ * @param {number} [cursor] - `previous` timestamp from an earlier page; omit for the latest page
+ * @returns {Promise<object>} Raw broadcasts response
+ */
+async function fetchBroadcastsPage(seriesId, cursor) {
+  const cacheKey = cursor ? `broadcasts:${seriesId}:${cursor}` : `broadcasts:${seriesId}`;
+  const load = async () => {
+    const params = new URLSearchParams({ seriesContentId: seriesId });
+    if (cursor) params.set('previous', cursor);
+
+    return fetchJson(`${VIKERRAADIO_API_URL}/broadcast/broadcasts?${params}`, FETCH_TIMEOUT_MS);
+  };
+
+  let data = getCached(cacheKey);
+
+  if (!data) {
+    data = await load();
+    setCache(cacheKey, data);
+  } else {
+    revalidateAhead(cacheKey, load);
+  }
+
+  return data;
+}
+
+/**
+ * Walk the broadcasts `previous` cursors until enough broadcasts are collected
+ * @param {string} seriesId - Series content ID
+ * @param {object} firstPage - Already fetched latest page
+ * @param {object} options
+ * @param {number} options.limit - Stop once this many broadcasts before `until` are collected
+ * @param {Date|null} options.since - Stop once broadcasts older than this are reached
+ * @param {Date|null} [options.until] - Broadcasts at or after this don't count towards `limit`
+ * @returns {Promise<object[]>} Broadcasts, newest first, without duplicates
+ */
+async function crawlBroadcasts(seriesId, firstPage, { limit, since, until = null }) {
+  const broadcasts = (firstPage.data || []).filter(b => b.id != null);
+  const seen = new Set(broadcasts.map(b => b.id));
+  let counted = broadcasts.filter(b => isBefore(b, until)).length;
+  let cursor = firstPage.previous;
+  let pages = 1;
+
+  while (cursor && counted < limit && pages < MAX_BROADCAST_PAGES) {
+    const oldest = broadcasts[broadcasts.length - 1];
+    if (since && oldest?.scheduleStart && oldest.scheduleStart * 1000 < since.getTime()) break;
+
+    let page;
     try {
-      const response = await fetchWithRetry(broadcastsUrl, FETCH_TIMEOUT_MS);
-      broadcastsData = await response.json();
-      setCache(broadcastsCacheKey, broadcastsData);
+      page = await fetchBroadcastsPage(seriesId, cursor);
     } catch (error) {
-      console.error(`Failed to fetch broadcasts: ${error.message}`);
-      if (error.status) {
-        console.error(`Broadcasts request failed with HTTP ${error.status} — see details above`);
-      }
-      return [];
+      console.error(`Failed to fetch broadcasts before ${cursor}, archive truncated: ${error.message}`);
+      break;
+    }
+    pages++;
+
+    const fresh = (page.data || []).filter(b => b.id != null && !seen.has(b.id));
+    if (fresh.length === 0) break;
+
+    for (const broadcast of fresh) {
+      seen.add(broadcast.id);
+      broadcasts.push(broadcast);
+      if (isBefore(broadcast, until)) counted++;
     }
+
+    // Cursors must move back in time, otherwise we would loop on the same page
+    cursor = page.previous && page.previous < cursor ? page.previous : null;
   }
 
-  // Extract episode IDs from broadcasts list
-  const episodeIds = (broadcastsData.data || [])
-    .map(broadcast => broadcast.id)
-    .filter(id => id != null);
+  if (pages > 1) {
+    console.log(`Archive: ${broadcasts.length} broadcasts from ${pages} pages`);
+  }
 
-  // Limit to 50 most recent episodes
-  const recentIds = episodeIds.slice(0, 50);
+  return broadcasts;
+}
+
+/**
+ * Check whether a broadcast is scheduled before a date (always true without one)
+ * @param {object} broadcast - Broadcasts list item
+ * @param {Date|null} date
+ * @returns {boolean}
+ */
+function isBefore(broadcast, date) {
+  return !date || !broadcast.scheduleStart || broadcast.scheduleStart * 1000 < date.getTime();
+}
+
+/**
+ * Fetch series metadata and parsed episodes, newest first
+ * @param {string} [seriesId] - Series content ID
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum number of episodes (default 50)
+ * @param {Date|null} [options.since] - Skip broadcasts scheduled before this date
+ * @param {Date|null} [options.until] - Skip broadcasts scheduled at or after this date
+ * @returns {Promise<{series: object|null, episodes: object[], failedIds: number[]}>}
+ */
+async function fetchSeries(seriesId = SERIES_CONTENT_ID, { limit = DEFAULT_EPISODE_LIMIT, since = ARCHIVE_SINCE, until = null } = {}) {
+  let broadcastsData;
+  try {
+    broadcastsData = await fetchBroadcastsPage(seriesId);
+  } catch (error) {
+    console.error(`Failed to fetch broadcasts: ${error.message}`);
+    if (error.status) {
+      console.error(`Broadcasts request failed with HTTP ${error.status} — see details above`);
+    }
+    return { series: null, episodes: [], failedIds: [] };
+  }
+
+  const series = parseSeries(broadcastsData, seriesId);
+  const broadcasts = await crawlBroadcasts(seriesId, broadcastsData, { limit, since, until });
+
+  // Extract episode IDs from broadcasts list, dropping anything outside the date limits
+  const recentBroadcasts = broadcasts
+    .filter(b => !since || !b.scheduleStart || b.scheduleStart * 1000 >= since.getTime())
+    .filter(b => isBefore(b, until))
+    .slice(0, limit);
+  const recentIds = recentBroadcasts.map(b => b.id);
 
   // Check which episodes are already cached
   const episodeCacheKeys = recentIds.map(id => `episode:${id}`);
   const cachedEpisodes = getCachedBatch(episodeCacheKeys);
+
+  // The list carries each episode's `updated` time; cached details older than that were edited since
+  for (const broadcast of recentBroadcasts) {
+    const cacheKey = `episode:${broadcast.id}`;
+    const cachedUpdated = cachedEpisodes.get(cacheKey)?.pageControlData?.mainContent?.updated;
+    if (cachedUpdated && broadcast.updated > cachedUpdated) {
+      cachedEpisodes.delete(cacheKey);
+      deleteCache(cacheKey);
+    }
+  }
   const uncachedIds = recentIds.filter(id => !cachedEpisodes.has(`episode:${id}`));
+  // Feed builds read the cache directly, so they revalidate what they read
+  recentIds.filter(id => cachedEpisodes.has(`episode:${id}`)).forEach(revalidateEpisodeAhead);
 
   const cacheStats = getCacheStats();
   console.log(
@@ -136,12 +844,8 @@ async function fetchEpisodes() {
   // Fetch uncached episodes (concurrency-limited with retries)
   const fetchResults = await Promise.all(
     uncachedIds.map(async (id) => {
-      const contentUrl = `${VIKERRAADIO_API_URL}/radio/getRadioPageData?contentId=${id}`;
       try {
-        const response = await fetchWithRetry(contentUrl, FETCH_TIMEOUT_MS);
-        const contentData = await response.json();
-        setCache(`episode:${id}`, contentData);
-        return { id, data: contentData };
+        return { id, data: await fetchEpisodeData(id) };
       } catch (error) {
         console.error(`Failed to fetch episode ${id}: ${error.message}`);
         if (error.status) {
@@ -167,7 +871,7 @@ async function fetchEpisodes() {
   );
 
   // Combine cached and freshly fetched episodes, preserving order
-  const episodes = recentIds
+  const parsedEpisodes = recentIds
     .map(id => {
       const cacheKey = `episode:${id}`;
       const episodeData = cachedEpisodes.get(cacheKey) || fetchedMap.get(cacheKey);
@@ -178,7 +882,60 @@ async function fetchEpisodes() {
     })
     .filter(ep => ep !== null);
 
-  return episodes;
+  // Titles are analyzed first, so story and part numbers stay put as episodes expire
+  const available = filterAvailable(analyzeEpisodeTitles(parsedEpisodes));
+  const { episodes } = available;
+  if (episodes.length < parsedEpisodes.length) {
+    console.log(
+      `Left out ${parsedEpisodes.length - episodes.length} unavailable episodes ` +
+      `(${available.expired} expired, ${available.drm} DRM-protected, ${available.geoBlocked} geo-blocked)`
+    );
+  }
+
+  if (!PROBE_MEDIA) {
+    return { series, episodes, failedIds };
+  }
+
+  return { series, episodes: await probeEpisodeMedia(episodes, FETCH_TIMEOUT_MS), failedIds };
+}
+
+function parseSeries(data, seriesId) {
+  if (!data) return null;
+
+  // The broadcasts response has no series-level category or photos, so borrow them from the latest broadcast
+  const latest = data.data?.[0];
+  const domain = latest?.primaryCategory?.domain || 'vikerraadio.err.ee';
+  const station = latest?.primaryCategory?.name || 'Vikerraadio';
+
+  return {
+    id: String(data.seriesContentId || seriesId),
+    title: data.seriesHeading ? `${station} ${data.seriesHeading}` : '',
+    link: data.url ? `https://${domain}/${data.url}` : '',
+    imageUrl: latest?.photos?.[0]?.photoUrlOriginal || '',
+    station,
+  };
+}
+
+function buildChannel(series) {
+  const isDefaultSeries = !series || series.id === String(SERIES_CONTENT_ID);
+  const channel = { ...DEFAULT_CHANNEL };
+
+  if (series) {
+    channel.title = series.title || DEFAULT_CHANNEL.title;
+    channel.link = series.link || DEFAULT_CHANNEL.link;
+    channel.imageUrl = series.imageUrl;
+  }
+
+  // The Estonian description only fits Õhtujutt; other series get a generic one
+  if (!isDefaultSeries) {
+    channel.description = `${channel.title}. Eesti Rahvusringhäälingu (ERR) saatesari.`;
+    channel.summary = channel.description;
+    channel.author = `${series.station} / ERR`;
+    channel.ownerName = series.station;
+  }
+
+  // Configured fields win; those describing one series only apply to the default series
+  return { ...channel, ...configuredChannelFields(FEED_CONFIG, isDefaultSeries) };
 }
 
 function parseEpisode(data) {
@@ -205,8 +962,9 @@ function parseEpisode(data) {
   // scheduleStart is Unix timestamp in seconds
   const pubDate = data.scheduleStart ? new Date(data.scheduleStart * 1000) : new Date();
   const imageUrl = data.photos?.[0]?.photoUrlOriginal || '';
+  const imageSrcset = photoSrcset(data.photos?.[0]);
 
-  // Get duration if available (in seconds)
+  // Get duration if available (in seconds); probed from the file otherwise (see media-probe.js)
   const duration = data.medias?.[0]?.duration || 0;
 
   return {
@@ -216,8 +974,74 @@ function parseEpisode(data) {
     audioUrl,
     pubDate,
     imageUrl,
+    imageSrcset,
     duration,
-    link: `https://vikerraadio.err.ee/${data.id}`
+    // ERR's ID of the audio file, the cache key for its probed duration
+    mediaHash: data.medias?.[0]?.mediaHash || '',
+    people: parsePeople(data.makers),
+    season: Number(data.season) || 0,
+    episode: Number(data.episode) || 0,
+    // Last edit on ERR's side, used to merge episodes into the static archive
+    updated: data.updated ? new Date(data.updated * 1000) : null,
+    // When the audio stops being playable, and whether it needs DRM or an Estonian address
+    ...parseAvailability(data),
+    link: `https://${data.primaryCategory?.domain || 'vikerraadio.err.ee'}/${data.id}`
+  };
+}
+
+/**
+ * Fetch a series' broadcasts that haven't ended yet, within the next SCHEDULE_DAYS
+ * @param {string} seriesId - Series content ID
+ * @returns {Promise<{series: object, entries: object[]}>} Entries from parseScheduleEntry(), earliest first
+ * @throws {Error} When the broadcasts list can't be fetched
+ */
+async function fetchSchedule(seriesId) {
+  const broadcastsData = await fetchBroadcastsPage(seriesId);
+  const now = new Date();
+
+  // Started within the last day (one may be on air), or starting within SCHEDULE_DAYS
+  const from = now.getTime() - DAY_MS;
+  const to = now.getTime() + SCHEDULE_DAYS * DAY_MS;
+  const candidates = (broadcastsData.data || [])
+    .filter(b => b.scheduleStart * 1000 > from && b.scheduleStart * 1000 < to)
+    .sort((a, b) => a.scheduleStart - b.scheduleStart);
+
+  // Only the episode data has the end time; without it the broadcast is listed from the list entry alone
+  const entries = await Promise.all(candidates.map(async (broadcast) => {
+    let content = null;
+    try {
+      content = (await fetchEpisodeData(broadcast.id)).pageControlData?.mainContent || null;
+    } catch (error) {
+      console.error(`Schedule details for episode ${broadcast.id} unavailable: ${error.message}`);
+    }
+    return parseScheduleEntry(broadcast, content);
+  }));
+
+  return {
+    series: parseSeries(broadcastsData, seriesId),
+    entries: entries.filter(entry => (entry.end || entry.start) > now),
+  };
+}
+
+/**
+ * Build a schedule entry from a broadcasts list item and, when available, its episode data
+ * @param {object} broadcast - Item of the broadcasts list
+ * @param {object|null} content - pageControlData.mainContent of the same episode
+ * @returns {import('./schedule.js').ScheduleEntry}
+ */
+function parseScheduleEntry(broadcast, content) {
+  const data = { ...broadcast, ...content };
+  const start = new Date(data.scheduleStart * 1000);
+  const end = Number(data.endTime) > data.scheduleStart ? new Date(data.endTime * 1000) : null;
+
+  return {
+    id: data.id,
+    title: parseStoryTitle(data.heading || 'Untitled').title,
+    description: stripHtml(data.lead || ''),
+    link: `https://${data.primaryCategory?.domain || 'vikerraadio.err.ee'}/${data.id}`,
+    start,
+    end,
+    updated: data.updated ? new Date(data.updated * 1000) : start,
   };
 }
 
@@ -233,77 +1057,19 @@ function stripHtml(html) {
     .trim();
 }
 
-function generateRSS(episodes, selfUrl) {
-  const now = new Date();
-  const nowStr = now.toUTCString();
-
-  // Filter out future episodes
-  const pastEpisodes = episodes.filter(ep => ep.pubDate <= now);
-
-  const latestDate = pastEpisodes.length > 0 ? pastEpisodes[0].pubDate.toUTCString() : nowStr;
-
-  // Get a representative image from the first episode
-  const channelImage = pastEpisodes.length > 0 && pastEpisodes[0].imageUrl
-    ? pastEpisodes[0].imageUrl
-    : 'https://vikerraadio.err.ee/img/vikerraadio_logo.png';
-
-  const items = pastEpisodes.map(ep => `
-    <item>
-      <title>${escapeXml(ep.title)}</title>
-      <description>${escapeXml(ep.description)}</description>
-      <link>${escapeXml(ep.link)}</link>
-      <guid isPermaLink="true">${escapeXml(ep.link)}</guid>
-      <pubDate>${ep.pubDate.toUTCString()}</pubDate>
-      <enclosure url="${escapeXml(ep.audioUrl)}" type="audio/mpeg" length="0" />
-      ${ep.imageUrl ? `<itunes:image href="${escapeXml(ep.imageUrl)}" />` : ''}
-      ${ep.duration ? `<itunes:duration>${Math.floor(ep.duration)}</itunes:duration>` : ''}
-    </item>
-  `).join('\n');
-
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0"
-     xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"
-     xmlns:atom="http://www.w3.org/2005/Atom"
-     xmlns:content="http://purl.org/rss/1.0/modules/content/">
-  <channel>
-    <title>Vikerraadio Õhtujutt</title>
-    <description>Igaõhtused lastejutud Vikerraadio Õhtujutu saatest. Eesti Rahvusringhääling (ERR) lastele mõeldud õhtused muinasjutud ja lood.</description>
-    <link>https://vikerraadio.err.ee/ohtujutt_lastele</link>
-    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml" />
-    <language>et</language>
-    <lastBuildDate>${nowStr}</lastBuildDate>
-    <pubDate>${latestDate}</pubDate>
-    <itunes:author>Vikerraadio / ERR</itunes:author>
-    <itunes:summary>Igaõhtused lastejutud Vikerraadio Õhtujutu saatest. Eesti näitlejate esitatud muinasjutud ja lood lastele.</itunes:summary>
-    <itunes:owner>
-      <itunes:name>Vikerraadio</itunes:name>
-      <itunes:email>info@err.ee</itunes:email>
-    </itunes:owner>
-    <itunes:image href="${escapeXml(channelImage)}" />
-    <itunes:category text="Kids &amp; Family">
-      <itunes:category text="Stories for Kids" />
-    </itunes:category>
-    <itunes:explicit>false</itunes:explicit>
-    ${items}
-  </channel>
-</rss>`;
-}
-
-function escapeXml(str) {
-  if (!str) return '';
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
-}
-
 // Export functions for testing
-export { parseEpisode, generateRSS, fetchEpisodes, stripHtml, escapeXml };
+export {
+  parseEpisode, parseSeries, buildChannel, fetchEpisodes, fetchSeries, fetchSchedule, parseScheduleEntry, stripHtml,
+  relayEpisode, handleRequest, MAX_ARCHIVE_EPISODES,
+};
+
+// Re-export serializers so callers keep a single entry point
+export { generateRSS, generateAtom, generateJsonFeed, generateFeed, escapeXml, FEED_FORMATS } from './feed-formats.js';
+export { buildFeedModel, latestPubDate } from './feed-model.js';
 
 // Re-export cache utilities for testing
 export { clearCache } from './response-cache.js';
+export { clearFeeds } from './feed-refresher.js';
 
 // Only start server if run directly (not imported for tests)
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
@@ -314,12 +1080,15 @@ if (isMainModule) {
   // Graceful shutdown
   const shutdown = () => {
     console.log('\nShutting down gracefully...');
+    stopBackgroundRefresh();
     server.close(() => {
       console.log('Server closed');
       process.exit(0);
     });
   };
 
+  startBackgroundRefresh(FEED_REFRESH_MS);
+
   process.on('SIGTERM', shutdown);
   process.on('SIGINT', shutdown);
 
@@ -327,10 +1096,19 @@ if (isMainModule) {
     const httpConfig = getHttpConfig();
     const cacheStats = getCacheStats();
     console.log(`Listening on port ${PORT}`);
-    console.log(`Feed endpoint: /feed.xml`);
+    console.log(`Feed endpoints: /feed.xml, /feed.atom, /feed.json`);
+    console.log(`Schedule endpoints: /schedule.ics, /api/schedule`);
+    console.log(`Series endpoint: /series/:id/feed.xml (allowed: ${ALLOWED_SERIES_IDS.join(', ')})`);
     console.log(
-      `Config: ${httpConfig.maxConcurrent} concurrent, ${httpConfig.maxRetries} retries, ` +
-      `${cacheStats.ttlMs / 1000}s cache TTL`
+      `Config: ${httpConfig.maxConcurrent} concurrent, ${httpConfig.maxRetries} retries within ${httpConfig.deadlineMs / 1000}s, ` +
+      `${cacheStats.ttlMs / 1000}s cache TTL, ${FEED_REFRESH_MS / 1000}s feed refresh, ` +
+      `circuit opens after ${httpConfig.circuitFailureThreshold} failures for ${httpConfig.circuitResetMs / 1000}s`
     );
+    if (cacheStats.maxSize < ARCHIVE_CACHE_ENTRIES) {
+      console.warn(
+        `Warning: MAX_CACHE_ENTRIES (${cacheStats.maxSize}) is below the ${ARCHIVE_CACHE_ENTRIES} entries an ?archive feed ` +
+        `of ${MAX_ARCHIVE_EPISODES} episodes needs; raise it or lower MAX_ARCHIVE_EPISODES`
+      );
+    }
   });
 }
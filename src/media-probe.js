@@ -0,0 +1,155 @@
+import { fetchWithRetry } from './http-client.js';
+import { getCached, setCache } from './response-cache.js';
+import { fetchMp4Duration } from './mp4-duration.js';
+
+// Audio files behind a media URL never change, so probe results can live long (30 days)
+const MEDIA_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// MIME types by file extension, used when the server doesn't tell us (or probing fails)
+const MIME_TYPES_BY_EXTENSION = {
+  m4a: 'audio/x-m4a',
+  mp4: 'audio/mp4',
+  aac: 'audio/aac',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/ogg',
+  wav: 'audio/wav',
+  m3u8: 'application/vnd.apple.mpegurl',
+};
+
+const DEFAULT_MIME_TYPE = 'audio/mpeg';
+
+// Types whose duration can be read from the MP4 container
+const MP4_TYPES = new Set(['audio/mp4', 'audio/x-m4a', 'audio/m4a', 'video/mp4']);
+
+// Content types that say nothing about the media format
+const GENERIC_CONTENT_TYPES = new Set(['application/octet-stream', 'binary/octet-stream']);
+
+/**
+ * Guess a MIME type from a media URL's file extension
+ * @param {string} url - Media URL
+ * @returns {string}
+ */
+export function mimeTypeForUrl(url) {
+  let pathname = '';
+  try {
+    pathname = new URL(url, 'https://localhost').pathname;
+  } catch {
+    return DEFAULT_MIME_TYPE;
+  }
+
+  const extension = pathname.split('.').pop().toLowerCase();
+  return MIME_TYPES_BY_EXTENSION[extension] || DEFAULT_MIME_TYPE;
+}
+
+/**
+ * Read size and type from a HEAD or Range GET response
+ * @param {Response} response
+ * @returns {{type: string|null, length: number}}
+ */
+function readMediaInfo(response) {
+  const headers = response.headers;
+
+  // A 206 reply to "Range: bytes=0-0" carries the full size after the slash: "bytes 0-0/12345"
+  const contentRange = headers?.get?.('content-range');
+  const rangeTotal = contentRange?.match(/\/(\d+)\s*$/)?.[1];
+  const rawLength = response.status === 206 ? rangeTotal : headers?.get?.('content-length');
+  const length = parseInt(rawLength, 10) || 0;
+
+  const rawType = headers?.get?.('content-type')?.split(';')[0].trim().toLowerCase();
+  const type = rawType && !GENERIC_CONTENT_TYPES.has(rawType) ? rawType : null;
+
+  return { type, length };
+}
+
+/**
+ * Probe a media file for its size and MIME type.
+ * Tries HEAD first and falls back to a one-byte Range GET when HEAD gives no size.
+ * Successful results are cached; failures fall back to the extension mapping.
+ *
+ * @param {string} url - Media URL
+ * @param {number} timeoutMs - Request timeout in milliseconds
+ * @returns {Promise<{type: string, length: number}>}
+ */
+export async function probeMedia(url, timeoutMs) {
+  const cacheKey = `media:${url}`;
+  const cached = getCached(cacheKey);
+  if (cached) return cached;
+
+  let info = { type: null, length: 0 };
+
+  try {
+    // No retries: the Range request below is the fallback
+    const response = await fetchWithRetry(url, timeoutMs, { method: 'HEAD', retry: false });
+    info = readMediaInfo(response);
+  } catch (error) {
+    console.error(`HEAD probe failed for ${url}: ${error.message}`);
+  }
+
+  if (!info.length) {
+    try {
+      const response = await fetchWithRetry(url, timeoutMs, { headers: { Range: 'bytes=0-0' } });
+      const rangeInfo = readMediaInfo(response);
+      // Servers that ignore Range send the whole file; stop reading it
+      await response.body?.cancel?.();
+      info = { type: info.type || rangeInfo.type, length: rangeInfo.length };
+    } catch (error) {
+      console.error(`Range probe failed for ${url}: ${error.message}`);
+    }
+  }
+
+  const result = { type: info.type || mimeTypeForUrl(url), length: info.length };
+  if (result.length) {
+    setCache(cacheKey, result, MEDIA_CACHE_TTL_MS);
+  }
+  return result;
+}
+
+/**
+ * Compute an MP4 file's duration from its container.
+ * Successful results are cached per media file; failures are retried on the next call.
+ *
+ * @param {string} url - Media URL
+ * @param {string} [mediaHash] - ERR's ID of the file, shared by all its URLs; the URL is used without one
+ * @param {number} timeoutMs - Request timeout in milliseconds
+ * @returns {Promise<number>} Seconds, 0 when unknown
+ */
+export async function probeDuration(url, mediaHash, timeoutMs) {
+  const cacheKey = `duration:${mediaHash || url}`;
+  const cached = getCached(cacheKey);
+  if (cached) return cached.duration;
+
+  try {
+    const duration = await fetchMp4Duration(url, timeoutMs);
+    if (duration) {
+      setCache(cacheKey, { duration }, MEDIA_CACHE_TTL_MS);
+      return duration;
+    }
+    console.error(`No duration found in ${url}`);
+  } catch (error) {
+    console.error(`Duration probe failed for ${url}: ${error.message}`);
+  }
+  return 0;
+}
+
+/**
+ * Add enclosure size and type to published episodes, and the duration where ERR has none
+ * @param {object[]} episodes - Parsed episodes
+ * @param {number} timeoutMs - Request timeout in milliseconds
+ * @returns {Promise<object[]>} Episodes with `audioType`, `audioLength` and `duration`
+ */
+export async function probeEpisodeMedia(episodes, timeoutMs) {
+  const now = new Date();
+
+  return Promise.all(episodes.map(async (ep) => {
+    // Future broadcasts usually have no file yet; they aren't in the feed anyway
+    if (ep.pubDate > now) return ep;
+
+    const { type, length } = await probeMedia(ep.audioUrl, timeoutMs);
+    const duration = ep.duration || (MP4_TYPES.has(type)
+      ? await probeDuration(ep.audioUrl, ep.mediaHash, timeoutMs)
+      : 0);
+    return { ...ep, audioType: type, audioLength: length, duration };
+  }));
+}
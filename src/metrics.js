@@ -0,0 +1,188 @@
+/**
+ * Minimal Prometheus metrics registry
+ *
+ * Modules create their counters, gauges and histograms at load time and
+ * update them as they work; renderMetrics() produces the text exposition
+ * format (version 0.0.4) served at /metrics.
+ */
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Default latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/** @type {Map<string, object>} */
+const registry = new Map();
+
+/**
+ * Escape a label value for the exposition format
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set, e.g. {route="/feed.xml",status="200"}
+ * @param {object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Build a stable series key and the label object in declared order
+ * @param {string[]} labelNames
+ * @param {object} labels
+ * @returns {{key: string, labels: object}}
+ */
+function seriesFor(labelNames, labels = {}) {
+  const ordered = {};
+  for (const name of labelNames) {
+    ordered[name] = labels[name] ?? '';
+  }
+  return { key: JSON.stringify(ordered), labels: ordered };
+}
+
+// A module loaded twice (as tests do with query-string imports) replaces its earlier metrics
+function register(metric) {
+  registry.set(metric.name, metric);
+}
+
+/**
+ * Create a monotonically increasing counter
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {string[]} [labelNames] - Label names
+ * @returns {{inc: (labels?: object, value?: number) => void}}
+ */
+export function createCounter(name, help, labelNames = []) {
+  const series = new Map();
+
+  register({
+    name,
+    help,
+    type: 'counter',
+    render() {
+      if (series.size === 0 && labelNames.length === 0) return [`${name} 0`];
+      return [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${s.value}`);
+    },
+    reset() {
+      series.clear();
+    },
+  });
+
+  return {
+    inc(labels, value = 1) {
+      const { key, labels: ordered } = seriesFor(labelNames, labels);
+      const current = series.get(key) || { labels: ordered, value: 0 };
+      current.value += value;
+      series.set(key, current);
+    },
+  };
+}
+
+/**
+ * Create a gauge whose value is read at scrape time
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {() => number|Array<{labels: object, value: number}>} collect - Current value(s)
+ */
+export function createGauge(name, help, collect) {
+  register({
+    name,
+    help,
+    type: 'gauge',
+    render() {
+      const value = collect();
+      if (typeof value === 'number') return [`${name} ${value}`];
+      return value.map(s => `${name}${formatLabels(s.labels)} ${s.value}`);
+    },
+    reset() {},
+  });
+}
+
+/**
+ * Create a histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {string[]} [labelNames] - Label names
+ * @param {number[]} [buckets] - Upper bounds in ascending order
+ * @returns {{observe: (labels: object, value: number) => void}}
+ */
+export function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+
+  register({
+    name,
+    help,
+    type: 'histogram',
+    render() {
+      const lines = [];
+      for (const s of series.values()) {
+        buckets.forEach((le, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(s.labels)} ${s.sum}`);
+        lines.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+      }
+      return lines;
+    },
+    reset() {
+      series.clear();
+    },
+  });
+
+  return {
+    observe(labels, value) {
+      const { key, labels: ordered } = seriesFor(labelNames, labels);
+      let current = series.get(key);
+      if (!current) {
+        current = { labels: ordered, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, current);
+      }
+      // Buckets are cumulative: every bucket at or above the value counts it
+      buckets.forEach((le, i) => {
+        if (value <= le) current.counts[i]++;
+      });
+      current.sum += value;
+      current.count++;
+    },
+  };
+}
+
+/**
+ * Seconds elapsed since a process.hrtime.bigint() start time
+ * @param {bigint} start
+ * @returns {number}
+ */
+export function secondsSince(start) {
+  return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+/**
+ * Render all registered metrics in Prometheus text format
+ * @returns {string}
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.render());
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Reset counters and histograms (for testing); gauges read live values
+ */
+export function resetMetrics() {
+  for (const metric of registry.values()) {
+    metric.reset();
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * MP4 (m4a) duration from the container
+ *
+ * An MP4 file is a sequence of boxes (4-byte size, 4-byte type, contents).
+ * The movie header moov > mvhd holds a timescale (units per second) and the
+ * duration in those units. fetchMp4Duration() walks the top-level boxes
+ * with Range requests and skips over mdat (the audio itself) without
+ * downloading it, so a file with moov at the end costs one more small
+ * request rather than a full download.
+ */
+
+import { fetchWithRetry } from './http-client.js';
+
+// Bytes per Range request: ftyp and an audio file's moov header fit easily
+const CHUNK_BYTES = 64 * 1024;
+
+// Range requests per file before giving up
+const MAX_REQUESTS = 8;
+
+// Box types that appear at the top level of MP4/QuickTime files; anything else means it isn't one
+const TOP_LEVEL_BOXES = new Set([
+  'ftyp', 'styp', 'moov', 'mdat', 'free', 'skip', 'wide', 'uuid', 'pdin', 'meta', 'moof', 'mfra', 'sidx', 'prft',
+]);
+
+/**
+ * Read a box header
+ * @param {Buffer} buf
+ * @param {number} offset - Start of the box in buf
+ * @returns {{type: string, size: number, headerSize: number}|null} `size` includes the header and is
+ *   Infinity for a box that runs to the end of the file; null when the header isn't complete in buf
+ */
+export function readBoxHeader(buf, offset) {
+  if (offset + 8 > buf.length) return null;
+
+  let size = buf.readUInt32BE(offset);
+  const type = buf.toString('latin1', offset + 4, offset + 8);
+  let headerSize = 8;
+
+  if (size === 1) {
+    // 64-bit size follows the type
+    if (offset + 16 > buf.length) return null;
+    size = Number(buf.readBigUInt64BE(offset + 8));
+    headerSize = 16;
+  } else if (size === 0) {
+    size = Infinity;
+  }
+
+  return { type, size, headerSize };
+}
+
+/**
+ * Read the duration from the contents of an mvhd box
+ * @param {Buffer} payload - Box contents after the header
+ * @returns {number|null} Seconds, null when unknown or cut off
+ */
+export function parseMvhd(payload) {
+  let timescale;
+  let duration;
+
+  // Version 1 has 64-bit creation/modification times and duration
+  if (payload[0] === 1) {
+    if (payload.length < 32) return null;
+    timescale = payload.readUInt32BE(20);
+    const raw = payload.readBigUInt64BE(24);
+    duration = raw === 0xFFFFFFFFFFFFFFFFn ? 0 : Number(raw);
+  } else {
+    if (payload.length < 20) return null;
+    timescale = payload.readUInt32BE(12);
+    const raw = payload.readUInt32BE(16);
+    duration = raw === 0xFFFFFFFF ? 0 : raw;
+  }
+
+  return timescale > 0 && duration > 0 ? duration / timescale : null;
+}
+
+/**
+ * Find mvhd among moov's children and read its duration
+ * @param {Buffer} moov - moov contents from the start, possibly cut off after mvhd
+ * @returns {number|null} Seconds
+ */
+export function durationFromMoov(moov) {
+  let offset = 0;
+  for (;;) {
+    const box = readBoxHeader(moov, offset);
+    if (!box || box.size < box.headerSize) return null;
+    if (box.type === 'mvhd') {
+      return parseMvhd(moov.subarray(offset + box.headerSize, Math.min(moov.length, offset + box.size)));
+    }
+    offset += box.size;
+  }
+}
+
+/**
+ * Fetch a byte range of a file
+ * @param {string} url
+ * @param {number} start
+ * @param {number} length
+ * @param {number} timeoutMs
+ * @returns {Promise<{bytes: Buffer, total: number}>} `total` is the file size, Infinity when not reported
+ * @throws {Error} When the server doesn't answer with the requested range
+ */
+async function fetchRange(url, start, length, timeoutMs) {
+  const response = await fetchWithRetry(url, timeoutMs, {
+    headers: { Range: `bytes=${start}-${start + length - 1}` },
+  });
+
+  const contentRange = response.headers.get('content-range') || '';
+  if (response.status !== 206 || !contentRange.startsWith(`bytes ${start}-`)) {
+    // A server ignoring Range sends the whole file; stop reading it
+    await response.body?.cancel?.();
+    throw new Error(`Range request not honoured (HTTP ${response.status})`);
+  }
+
+  const total = parseInt(contentRange.match(/\/(\d+)\s*$/)?.[1], 10) || Infinity;
+  const bytes = Buffer.from(await response.arrayBuffer());
+  return { bytes: bytes.subarray(0, length), total };
+}
+
+/**
+ * Compute an MP4 file's duration from its moov/mvhd box
+ * @param {string} url - MP4/m4a file URL (the server must support Range requests)
+ * @param {number} timeoutMs - Timeout per request
+ * @returns {Promise<number|null>} Seconds, null when the file isn't an MP4 or has no duration
+ * @throws {Error} When a request fails
+ */
+export async function fetchMp4Duration(url, timeoutMs) {
+  let offset = 0;
+  let fileSize = Infinity;
+
+  for (let requests = 0; requests < MAX_REQUESTS; requests++) {
+    const { bytes, total } = await fetchRange(url, offset, CHUNK_BYTES, timeoutMs);
+    fileSize = total;
+
+    // Walk the top-level boxes that start in this chunk
+    let pos = 0;
+    for (;;) {
+      const box = readBoxHeader(bytes, pos);
+      if (!box) break;
+      if (!TOP_LEVEL_BOXES.has(box.type) || box.size < box.headerSize) return null;
+
+      if (box.type === 'moov') {
+        const payloadStart = pos + box.headerSize;
+        const duration = durationFromMoov(bytes.subarray(payloadStart, Math.min(bytes.length, pos + box.size)));
+        if (duration !== null || pos + box.size <= bytes.length) return duration;
+
+        // moov continues past this chunk and mvhd wasn't in the part we have: fetch moov's start
+        requests++;
+        const moov = await fetchRange(url, offset + payloadStart, Math.min(box.size - box.headerSize, CHUNK_BYTES), timeoutMs);
+        return durationFromMoov(moov.bytes);
+      }
+
+      pos += box.size;
+      if (pos >= bytes.length) break;
+    }
+
+    // Continue at the first box that doesn't start (or whose header doesn't fit) in this chunk
+    const next = offset + pos;
+    if (next === offset || next >= fileSize) return null;
+    offset = next;
+  }
+
+  return null;
+}
@@ -0,0 +1,86 @@
+/**
+ * Podcasting 2.0 namespace helpers (https://podcastindex.org/namespace/1.0)
+ *
+ * Derives the values behind podcast:guid, podcast:person and podcast:images
+ * from feed URLs and ERR content. Rendering happens in feed-formats.js.
+ */
+
+import { createHash } from 'node:crypto';
+
+export const PODCAST_NAMESPACE = 'https://podcastindex.org/namespace/1.0';
+
+// UUIDv5 namespace the spec uses for podcast:guid
+const PODCAST_GUID_NAMESPACE = 'ead4c236-bf58-58c6-a2c6-a6b28d128cb6';
+
+export const PODCAST_MEDIUMS = ['podcast', 'music', 'video', 'film', 'audiobook', 'newsletter', 'blog'];
+
+// ERR maker roles (Estonian, lowercased) mapped to the podcast:person role taxonomy
+const PERSON_ROLES = {
+  lugeja: { role: 'narrator', group: 'cast' },
+  loeb: { role: 'narrator', group: 'cast' },
+  esitaja: { role: 'narrator', group: 'cast' },
+  jutustaja: { role: 'narrator', group: 'cast' },
+  näitleja: { role: 'voice actor', group: 'cast' },
+  saatejuht: { role: 'host', group: 'cast' },
+  autor: { role: 'author', group: 'writing' },
+  kirjanik: { role: 'author', group: 'writing' },
+  tõlkija: { role: 'translator', group: 'writing' },
+  toimetaja: { role: 'producer', group: 'creative direction' },
+  režissöör: { role: 'director', group: 'creative direction' },
+  lavastaja: { role: 'director', group: 'creative direction' },
+  helirežissöör: { role: 'audio engineer', group: 'audio post-production' },
+  helilooja: { role: 'composer', group: 'audio post-production' },
+  muusika: { role: 'composer', group: 'audio post-production' },
+};
+
+/**
+ * Compute the podcast:guid for a feed URL: a UUIDv5 of the URL without its
+ * scheme and trailing slashes
+ * @param {string} feedUrl
+ * @returns {string}
+ */
+export function podcastGuid(feedUrl) {
+  const name = feedUrl.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').replace(/\/+$/, '');
+  const namespace = Buffer.from(PODCAST_GUID_NAMESPACE.replace(/-/g, ''), 'hex');
+  const hash = createHash('sha1').update(namespace).update(name, 'utf8').digest();
+
+  hash[6] = (hash[6] & 0x0f) | 0x50; // version 5
+  hash[8] = (hash[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = hash.subarray(0, 16).toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Turn ERR's `makers` array into podcast:person entries. Makers without a
+ * name are skipped; roles outside the table keep ERR's wording and no group.
+ * @param {object[]} [makers] - Items with `name` (or `firstName`/`lastName`) and `role` (or `roleName`)
+ * @returns {Array<{name: string, role: string, group: string}>} Empty role/group for unknown roles
+ */
+export function parsePeople(makers) {
+  if (!Array.isArray(makers)) return [];
+
+  return makers.flatMap(maker => {
+    const name = (maker?.name || [maker?.firstName, maker?.lastName].filter(Boolean).join(' ')).trim();
+    if (!name) return [];
+
+    const roleText = String(maker.role || maker.roleName || '').trim().toLowerCase();
+    const known = PERSON_ROLES[roleText];
+    return [{ name, role: known?.role || roleText, group: known?.group || '' }];
+  });
+}
+
+/**
+ * Build a srcset (widest first) from an ERR photo's crops
+ * @param {object} [photo] - Item of `photos` with `photoTypes`
+ * @returns {string} e.g. "https://…/a.jpg 1920w, https://…/b.jpg 800w", '' when there are no crops
+ */
+export function photoSrcset(photo) {
+  const byWidth = new Map();
+  for (const { w, url } of Object.values(photo?.photoTypes || {})) {
+    if (w > 0 && url && !byWidth.has(w)) byWidth.set(w, url);
+  }
+  return [...byWidth]
+    .sort(([a], [b]) => b - a)
+    .map(([w, url]) => `${url} ${w}w`)
+    .join(', ');
+}
@@ -1,4 +1,6 @@
 import { LRUCache } from 'lru-cache';
+import { createDiskStore } from './disk-store.js';
+import { createCounter, createGauge } from './metrics.js';
 
 // Environment configuration with validation
 const CACHE_TTL_MS =
@@ -7,11 +9,16 @@ const CACHE_TTL_MS =
     86400
   ) * 1000;
 
+// Sized for the default MAX_ARCHIVE_EPISODES (100): an ?archive build caches about two entries per
+// episode plus its broadcasts pages (see ARCHIVE_CACHE_ENTRIES in index.js); raise the two together
 const MAX_CACHE_ENTRIES = Math.min(
-  Math.max(parseInt(process.env.MAX_CACHE_ENTRIES, 10) || 200, 10),
+  Math.max(parseInt(process.env.MAX_CACHE_ENTRIES, 10) || 300, 10),
   1000
 );
 
+// Optional directory for a persistent backing store (disabled when unset)
+const CACHE_DIR = process.env.CACHE_DIR || null;
+
 const cache = new LRUCache({
   max: MAX_CACHE_ENTRIES,
   ttl: CACHE_TTL_MS,
@@ -19,13 +26,63 @@ const cache = new LRUCache({
   updateAgeOnHas: false,
 });
 
+const diskStore = CACHE_DIR ? openDiskStore(CACHE_DIR) : null;
+
+const cacheHits = createCounter('ohtujutt_cache_hits_total', 'Cache lookups answered from memory or disk');
+const cacheMisses = createCounter('ohtujutt_cache_misses_total', 'Cache lookups that found nothing');
+createGauge('ohtujutt_cache_entries', 'Entries in the in-memory cache', () => cache.size);
+createGauge('ohtujutt_cache_max_entries', 'Capacity of the in-memory cache', () => MAX_CACHE_ENTRIES);
+
+/**
+ * Open the persistent store and drop expired or corrupt entries left by earlier runs
+ * @param {string} dir
+ * @returns {object|null} Disk store, or null if the directory is unusable
+ */
+function openDiskStore(dir) {
+  try {
+    const store = createDiskStore(dir);
+    const remaining = store.sweep();
+    console.log(`Persistent cache: ${dir} (${remaining} entries)`);
+    return store;
+  } catch (error) {
+    console.error(`Persistent cache disabled, cannot use ${dir}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Load a persisted entry into memory with its remaining TTL
+ * @param {string} key - Cache key
+ * @returns {object|undefined}
+ */
+function readThrough(key) {
+  if (!diskStore) return undefined;
+
+  let entry;
+  try {
+    entry = diskStore.read(key);
+  } catch (error) {
+    console.error(`Persistent cache read failed for ${key}: ${error.message}`);
+    return undefined;
+  }
+  if (!entry) return undefined;
+
+  cache.set(key, entry.value, { ttl: entry.expiresAt - Date.now() });
+  return entry.value;
+}
+
 /**
  * Get cached API response
  * @param {string} key - Cache key (e.g., "episode:123" or "series:456")
  * @returns {object|undefined}
  */
 export function getCached(key) {
-  return cache.get(key);
+  let data = cache.get(key);
+  if (data === undefined) data = readThrough(key);
+
+  if (data !== undefined) cacheHits.inc();
+  else cacheMisses.inc();
+  return data;
 }
 
 /**
@@ -37,6 +94,14 @@ export function getCached(key) {
 export function setCache(key, data, ttlMs) {
   const options = ttlMs ? { ttl: ttlMs } : undefined;
   cache.set(key, data, options);
+
+  if (diskStore) {
+    try {
+      diskStore.write(key, data, Date.now() + (ttlMs || CACHE_TTL_MS));
+    } catch (error) {
+      console.error(`Persistent cache write failed for ${key}: ${error.message}`);
+    }
+  }
 }
 
 /**
@@ -45,7 +110,16 @@ export function setCache(key, data, ttlMs) {
  * @returns {boolean}
  */
 export function hasCache(key) {
-  return cache.has(key);
+  return cache.has(key) || readThrough(key) !== undefined;
+}
+
+/**
+ * Get the remaining lifetime of a cached entry
+ * @param {string} key - Cache key
+ * @returns {number} Milliseconds until expiry, 0 if the key is not in memory
+ */
+export function getRemainingTtl(key) {
+  return cache.getRemainingTTL(key);
 }
 
 /**
@@ -54,7 +128,18 @@ export function hasCache(key) {
  * @returns {boolean} - True if key existed and was deleted
  */
 export function deleteCache(key) {
-  return cache.delete(key);
+  const existed = hasCache(key);
+  cache.delete(key);
+
+  if (diskStore) {
+    try {
+      diskStore.remove(key);
+    } catch (error) {
+      console.error(`Persistent cache delete failed for ${key}: ${error.message}`);
+    }
+  }
+
+  return existed;
 }
 
 /**
@@ -65,7 +150,7 @@ export function deleteCache(key) {
 export function getCachedBatch(keys) {
   const results = new Map();
   for (const key of keys) {
-    const data = cache.get(key);
+    const data = getCached(key);
     if (data !== undefined) {
       results.set(key, data);
     }
@@ -82,18 +167,31 @@ export function getCacheStats() {
     size: cache.size,
     maxSize: MAX_CACHE_ENTRIES,
     ttlMs: CACHE_TTL_MS,
+    persistentDir: diskStore ? CACHE_DIR : null,
   };
 }
 
 /**
- * Clear entire cache
+ * Clear the in-memory cache.
+ * Persisted entries survive unless `persistent` is set, so a fresh process
+ * (or a cleared cache) still reads through to them.
+ * @param {object} [options]
+ * @param {boolean} [options.persistent=false] - Also delete the persistent store
  */
-export function clearCache() {
+export function clearCache({ persistent = false } = {}) {
   cache.clear();
+
+  if (persistent && diskStore) {
+    try {
+      diskStore.clear();
+    } catch (error) {
+      console.error(`Persistent cache clear failed: ${error.message}`);
+    }
+  }
 }
 
 /**
- * Get all keys currently in cache (for debugging)
+ * Get all keys currently in the in-memory cache (for debugging)
  * @returns {string[]}
  */
 export function getCacheKeys() {
@@ -0,0 +1,81 @@
+/**
+ * Retry policy for upstream requests
+ *
+ * Decides whether a failed attempt is worth repeating and how long to wait
+ * first: exponential backoff with jitter, or as long as the server's
+ * Retry-After asks on 429/503. A call never retries past its deadline.
+ */
+
+import { HttpError, TimeoutError, NetworkError } from './http-errors.js';
+import { CircuitOpenError } from './circuit-breaker.js';
+
+/**
+ * @typedef {object} RetryPolicy
+ * @property {number} retries - Attempts after the first one
+ * @property {number} initialDelayMs - Backoff before the first retry, doubled for each one after
+ * @property {number} maxDelayMs - Ceiling for the backoff (not for Retry-After)
+ * @property {number} deadlineMs - Time budget for all attempts and waits together
+ */
+
+/**
+ * Check if an error is retryable
+ * @param {Error} error - The error to check
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  // The circuit stays open for a while; retrying right away can't succeed
+  if (error instanceof CircuitOpenError) {
+    return false;
+  }
+
+  if (error instanceof TimeoutError || error instanceof NetworkError) {
+    return true;
+  }
+
+  // Server errors, rate limiting and request timeouts; other client errors won't change
+  if (error instanceof HttpError) {
+    return error.status >= 500 || error.status === 429 || error.status === 408;
+  }
+
+  // Parse errors and anything unexpected
+  return false;
+}
+
+/**
+ * Merge per-request retry options into the defaults
+ * @param {RetryPolicy} defaults
+ * @param {Partial<RetryPolicy>|false} [overrides] - false disables retries
+ * @returns {RetryPolicy}
+ */
+export function resolveRetryPolicy(defaults, overrides) {
+  if (overrides === false) return { ...defaults, retries: 0 };
+
+  const policy = { ...defaults };
+  for (const [name, value] of Object.entries(overrides || {})) {
+    if (name in defaults && Number.isFinite(value) && value >= 0) {
+      policy[name] = value;
+    }
+  }
+  return policy;
+}
+
+/**
+ * How long to wait before retry number `attempt`
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Error} error - Error from the failed attempt
+ * @param {RetryPolicy} policy
+ * @param {() => number} [random] - Random source in [0, 1) (for testing)
+ * @returns {number} Delay in milliseconds
+ */
+export function retryDelay(attempt, error, policy, random = Math.random) {
+  // Exponential backoff (500ms, 1000ms, 2000ms, ...) with its upper half jittered,
+  // so clients that failed together don't retry together
+  const backoff = Math.min(policy.initialDelayMs * Math.pow(2, attempt - 1), policy.maxDelayMs);
+  const delay = Math.round(backoff / 2 + random() * (backoff / 2));
+
+  const honoursRetryAfter = error instanceof HttpError && (error.status === 429 || error.status === 503);
+  if (honoursRetryAfter && error.retryAfterMs !== null) {
+    return Math.max(delay, error.retryAfterMs);
+  }
+  return delay;
+}
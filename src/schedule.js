@@ -0,0 +1,194 @@
+/**
+ * Upcoming broadcasts as an iCalendar file and JSON
+ *
+ * The feeds leave out broadcasts that haven't aired yet; /schedule.ics and
+ * /api/schedule list them instead, so parents can see tonight's and this
+ * week's stories ahead. Times are given in Europe/Tallinn, with the zone's
+ * VTIMEZONE definition in the calendar (RFC 5545).
+ */
+
+import { API_VERSION } from './episodes-api.js';
+
+export const ICALENDAR_CONTENT_TYPE = 'text/calendar; charset=utf-8';
+
+export const TIMEZONE = 'Europe/Tallinn';
+
+const PRODUCT_ID = '-//ohtujutt-rss//Schedule//ET';
+
+// RFC 5545 lines are folded after this many octets
+const MAX_LINE_OCTETS = 75;
+
+// Eastern European Time with EU summer time since 1970 (the DST switch is at 01:00 UTC)
+const TALLINN_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0300',
+  'TZNAME:EEST',
+  'DTSTART:19700329T030000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0300',
+  'TZOFFSETTO:+0200',
+  'TZNAME:EET',
+  'DTSTART:19701025T040000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+const localTimeFormat = new Intl.DateTimeFormat('en-GB', {
+  timeZone: TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23',
+});
+
+/**
+ * @typedef {object} ScheduleEntry
+ * @property {number} id - Episode content ID
+ * @property {string} title
+ * @property {string} description - Plain text
+ * @property {string} link - Episode page on ERR
+ * @property {Date} start - scheduleStart
+ * @property {Date|null} end - endTime, null when unknown
+ * @property {Date} updated - Last edit on ERR's side
+ */
+
+/**
+ * Format a date as an iCalendar local date-time in Europe/Tallinn
+ * @param {Date} date
+ * @returns {string} e.g. "20260129T204500"
+ */
+export function formatLocalDateTime(date) {
+  const parts = Object.fromEntries(localTimeFormat.formatToParts(date).map(({ type, value }) => [type, value]));
+  return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+}
+
+/**
+ * Format a date as an iCalendar UTC date-time
+ * @param {Date} date
+ * @returns {string} e.g. "20260129T184500Z"
+ */
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT property value
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets, never splitting a character
+ * @param {string} line
+ * @returns {string} Lines joined by CRLF and a space
+ */
+export function foldLine(line) {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      lines.push(current);
+      // The leading space of a continuation line counts towards its length
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n');
+}
+
+/**
+ * Render one broadcast as a VEVENT
+ * @param {ScheduleEntry} entry
+ * @param {string} uidDomain - Domain part of the event UID
+ * @returns {string[]} Unfolded content lines
+ */
+function renderEvent(entry, uidDomain) {
+  const description = [entry.description, entry.link].filter(Boolean).join('\n\n');
+  return [
+    'BEGIN:VEVENT',
+    `UID:${entry.id}@${uidDomain}`,
+    // The last edit rather than the render time, so unchanged schedules render identically
+    `DTSTAMP:${formatUtcDateTime(entry.updated)}`,
+    `DTSTART;TZID=${TIMEZONE}:${formatLocalDateTime(entry.start)}`,
+    entry.end && `DTEND;TZID=${TIMEZONE}:${formatLocalDateTime(entry.end)}`,
+    `SUMMARY:${escapeText(entry.title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${entry.link}`,
+    'END:VEVENT',
+  ].filter(Boolean);
+}
+
+/**
+ * Render upcoming broadcasts as an iCalendar file
+ * @param {ScheduleEntry[]} entries - Upcoming broadcasts, earliest first
+ * @param {object} calendar
+ * @param {string} calendar.name - Calendar name shown by calendar apps
+ * @param {string} calendar.description
+ * @param {string} calendar.link - Series page
+ * @returns {string} CRLF-terminated calendar
+ */
+export function renderICalendar(entries, { name, description, link }) {
+  const uidDomain = new URL(link).hostname;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    // RFC 7986 names, and the extensions older clients read instead
+    `NAME:${escapeText(name)}`,
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `X-WR-CALDESC:${escapeText(description)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    `URL:${link}`,
+    ...TALLINN_VTIMEZONE,
+    ...entries.flatMap(entry => renderEvent(entry, uidDomain)),
+    'END:VCALENDAR',
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize upcoming broadcasts for /api/schedule
+ * @param {ScheduleEntry[]} entries - Upcoming broadcasts, earliest first
+ * @returns {object} Response body
+ */
+export function buildScheduleResponse(entries) {
+  return {
+    version: API_VERSION,
+    timezone: TIMEZONE,
+    data: entries.map(entry => ({
+      id: Number(entry.id),
+      title: entry.title,
+      description: entry.description,
+      link: entry.link,
+      startsAt: entry.start.toISOString(),
+      endsAt: entry.end?.toISOString() || null,
+    })),
+  };
+}
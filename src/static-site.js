@@ -0,0 +1,70 @@
+/**
+ * Static site pages
+ *
+ * Lays out the landing page and the episode pages from html-page.js as
+ * files, plus sitemap.xml and robots.txt. scripts/generate-feed.js writes
+ * them next to the feed files; the server serves the same pages from memory.
+ */
+
+import { escapeXml } from './feed-formats.js';
+import { renderLandingPage, renderEpisodePage, episodePagePath } from './html-page.js';
+
+/**
+ * Render every HTML page of the site
+ * @param {object} model - Model from buildFeedModel()
+ * @param {object} feedUrls - Absolute feed URLs by format
+ * @returns {Array<{path: string, body: string, lastModified: Date}>} Landing page first,
+ *   paths relative to the site root
+ */
+export function buildSitePages(model, feedUrls) {
+  return [
+    { path: 'index.html', body: renderLandingPage(model, feedUrls), lastModified: model.updated },
+    ...model.items.map(item => ({
+      path: episodePagePath(item),
+      body: renderEpisodePage(model, item, feedUrls),
+      lastModified: item.pubDate,
+    })),
+  ];
+}
+
+/**
+ * Public URL of a page; index.html is served as its directory
+ * @param {string} baseUrl - Site root without trailing slash
+ * @param {string} path - Page path from buildSitePages()
+ * @returns {string}
+ */
+export function pageUrl(baseUrl, path) {
+  return `${baseUrl}/${path.replace(/(^|\/)index\.html$/, '$1')}`;
+}
+
+/**
+ * Render sitemap.xml (https://www.sitemaps.org/protocol.html)
+ * @param {string} baseUrl - Site root without trailing slash
+ * @param {Array<{path: string, lastModified: Date}>} pages
+ * @returns {string}
+ */
+export function renderSitemap(baseUrl, pages) {
+  const urls = pages.map(page => `  <url>
+    <loc>${escapeXml(pageUrl(baseUrl, page.path))}</loc>
+    <lastmod>${page.lastModified.toISOString()}</lastmod>
+  </url>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * Render robots.txt allowing everything and pointing at the sitemap
+ * @param {string} baseUrl - Site root without trailing slash
+ * @returns {string}
+ */
+export function renderRobotsTxt(baseUrl) {
+  return `User-agent: *
+Allow: /
+
+Sitemap: ${baseUrl}/sitemap.xml
+`;
+}
@@ -0,0 +1,175 @@
+/**
+ * Episode title analysis
+ *
+ * Õhtujutt titles repeat the show name ("Õhtujutt. …", "Õhtujutt lastele. …")
+ * and a story read over several evenings carries a part marker. ERR itself
+ * ends the title with the part number ("Piia Präänik kolib sisse, 8");
+ * older and hand-written titles use others ("Vahtramäe Emil. 3. osa",
+ * "Karupoeg Puhh (2/5)", "Muumid (lõpp)").
+ * analyzeEpisodeTitles() strips the prefix and numbers the parts of
+ * multi-part stories, which the feeds publish as itunes:season /
+ * itunes:episode. A story's number is the date of its first part, so it is
+ * the same in every feed, whichever episodes that feed holds.
+ */
+
+// Recurring show-name prefixes
+const TITLE_PREFIX = /^Õhtujutt(?: lastele)?\s*[.:]\s*/iu;
+
+const ORDINALS = ['esimene', 'teine', 'kolmas', 'neljas', 'viies', 'kuues', 'seitsmes', 'kaheksas', 'üheksas', 'kümnes'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ROMAN = { I: 1, II: 2, III: 3, IV: 4, V: 5, VI: 6, VII: 7, VIII: 8, IX: 9, X: 10 };
+
+// Part markers at the end of a title; `part` is null when the marker has no number
+const PART_MARKERS = [
+  // "3. osa", "(3. osa)", "3 osa", "3. jagu"
+  { pattern: /\(?(\d{1,3})\.?\s*(?:osa|jagu)\)?$/iu, part: m => Number(m[1]) },
+  // "osa 3", "(jagu 3)"
+  { pattern: /\(?(?:osa|jagu)\s+(\d{1,3})\)?$/iu, part: m => Number(m[1]) },
+  // "1/5", "(1/5)"
+  { pattern: /\(?(\d{1,3})\s*\/\s*(\d{1,3})\)?$/u, part: m => Number(m[1]), total: m => Number(m[2]) },
+  // "esimene osa", "teine jagu"
+  { pattern: new RegExp(`\\(?(${ORDINALS.join('|')})\\s+(?:osa|jagu)\\)?$`, 'iu'), part: m => ORDINALS.indexOf(m[1].toLowerCase()) + 1 },
+  // "II osa"
+  { pattern: /\(?\b(I{1,3}|IV|VI{0,3}|IX|X)\.?\s+(?:osa|jagu)\)?$/u, part: m => ROMAN[m[1]] },
+  // "(2)"
+  { pattern: /\((\d{1,3})\)$/u, part: m => Number(m[1]) },
+  // ", 8" as in ERR's headings
+  { pattern: /,\s*(\d{1,3})$/u, part: m => Number(m[1]) },
+  // "(algus)", "(järg)", "(lõpp)"
+  { pattern: /\((algus)\)$/iu, part: () => 1 },
+  { pattern: /\((järg|järgneb|lõpp)\)$/iu, part: () => null },
+];
+
+/**
+ * Remove the recurring "Õhtujutt." / "Õhtujutt lastele." prefix
+ * @param {string} title
+ * @returns {string}
+ */
+export function stripTitlePrefix(title) {
+  const stripped = String(title || '').replace(TITLE_PREFIX, '').trim();
+  // A bare "Õhtujutt." has nothing else to show
+  return stripped || String(title || '').trim();
+}
+
+/**
+ * Split a title into the story name and part marker
+ * @param {string} title - Title with or without the show prefix
+ * @returns {{title: string, story: string, part: number|null, total: number|null, isPart: boolean}}
+ *   `title` is the title without prefix; `isPart` is false when there's no part marker
+ */
+export function parseStoryTitle(title) {
+  const clean = stripTitlePrefix(title);
+
+  for (const marker of PART_MARKERS) {
+    const match = marker.pattern.exec(clean);
+    if (!match) continue;
+
+    const story = clean.slice(0, match.index).replace(/[\s.,:;–—-]+$/u, '');
+    // "(2)" alone, or a marker that swallowed the whole title, isn't a story part
+    if (!story) continue;
+
+    return {
+      title: clean,
+      story,
+      part: marker.part(match) || null,
+      total: marker.total ? marker.total(match) : null,
+      isPart: true,
+    };
+  }
+
+  return { title: clean, story: clean, part: null, total: null, isPart: false };
+}
+
+/**
+ * Number a multi-part story by the date of its first part, e.g. 20240105.
+ * When the first part isn't among the episodes (it has left a rolling feed),
+ * its date is counted back from the earliest part present, one part per
+ * evening, so the number doesn't change as it leaves.
+ * @param {{ep: object, part: number}} first - Earliest part present
+ * @returns {number}
+ */
+function storyNumberFor(first) {
+  const start = new Date(first.ep.pubDate.getTime() - (first.part - 1) * DAY_MS);
+  return Number(start.toISOString().slice(0, 10).replace(/-/g, ''));
+}
+
+/**
+ * Strip title prefixes and number multi-part stories and their parts.
+ *
+ * Episodes with part markers and the same story name form one story; a run
+ * restarts (a rerun) when an explicit part number doesn't increase. Parts
+ * without a number continue from the previous part. Every other episode is a
+ * one-part story, which gets no story number: a number of its own would only
+ * make each evening's story a "season".
+ *
+ * @param {object[]} episodes - Parsed episodes, any order
+ * @returns {object[]} Episodes in the same order with `title` cleaned and
+ *   `story`, `storyNumber` (null for one-part stories) and `part` added
+ */
+export function analyzeEpisodeTitles(episodes) {
+  const parsed = episodes.map(ep => ({ ep, ...parseStoryTitle(ep.title) }));
+  const byDate = [...parsed].sort((a, b) => a.ep.pubDate - b.ep.pubDate);
+
+  // Open multi-part runs by story key
+  const runs = new Map();
+  const stories = [];
+
+  for (const entry of byDate) {
+    if (!entry.isPart) {
+      entry.part = 1;
+      continue;
+    }
+
+    const key = entry.story.toLocaleLowerCase('et');
+    const run = runs.get(key);
+    const previous = run?.[run.length - 1];
+    if (run && (entry.part === null || entry.part > previous.part)) {
+      entry.part ??= previous.part + 1;
+      run.push(entry);
+    } else {
+      entry.part ??= 1;
+      const newRun = [entry];
+      runs.set(key, newRun);
+      stories.push(newRun);
+    }
+  }
+
+  const storyNumbers = new Map();
+  for (const story of stories) {
+    const storyNumber = storyNumberFor(story[0]);
+    story.forEach(entry => storyNumbers.set(entry, storyNumber));
+  }
+
+  return parsed.map(entry => ({
+    ...entry.ep,
+    title: entry.title,
+    story: entry.story,
+    storyNumber: storyNumbers.get(entry) ?? null,
+    part: entry.part,
+  }));
+}
+
+/**
+ * Order episodes so the parts of each story are consecutive and ascending,
+ * newest story (by its first part) first
+ * @param {object[]} episodes - Episodes from analyzeEpisodeTitles()
+ * @returns {object[]}
+ */
+export function serialOrder(episodes) {
+  // One-part stories stand alone
+  const storyOf = ep => (ep.storyNumber ? `${ep.storyNumber}:${ep.story}` : `episode:${ep.id}`);
+  const firstBroadcast = new Map();
+  for (const ep of episodes) {
+    const first = firstBroadcast.get(storyOf(ep));
+    if (!first || ep.pubDate < first) firstBroadcast.set(storyOf(ep), ep.pubDate);
+  }
+
+  return [...episodes].sort((a, b) =>
+    firstBroadcast.get(storyOf(b)) - firstBroadcast.get(storyOf(a))
+    || (storyOf(a) < storyOf(b) ? -1 : storyOf(a) > storyOf(b) ? 1 : 0)
+    || a.part - b.part
+    || a.pubDate - b.pubDate
+  );
+}
@@ -0,0 +1,130 @@
+/**
+ * Tests for media availability windows and restrictions
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  parseAvailability, filterAvailable, nextExpiry, lifetimeUntil,
+} from '../src/availability.js';
+
+const BROADCAST = 1769635802;
+const DAY_MS = 86400000;
+
+function content(media) {
+  return { scheduleStart: BROADCAST, medias: [{ publicEnd: 0, catchupDays: 0, ...media }] };
+}
+
+function unix(date) {
+  return Math.floor(new Date(date).getTime() / 1000);
+}
+
+describe('availability', () => {
+  describe('parseAvailability', () => {
+    it('should have no end when nothing limits the window', () => {
+      const availability = parseAvailability(content({
+        periods: [{ publicStart: BROADCAST, publicEnd: 0 }],
+        restrictions: { drm: false, geoBlock: false },
+      }));
+      assert.deepStrictEqual(availability, { availableUntil: null, drm: false, geoBlocked: false });
+    });
+
+    it('should read publicEnd and catch-up days from the broadcast', () => {
+      assert.deepStrictEqual(
+        parseAvailability(content({ publicEnd: unix('2026-03-01T00:00:00Z') })).availableUntil,
+        new Date('2026-03-01T00:00:00Z')
+      );
+      assert.deepStrictEqual(
+        parseAvailability(content({ catchupDays: 30 })).availableUntil,
+        new Date(BROADCAST * 1000 + 30 * DAY_MS)
+      );
+    });
+
+    it('should end with the last period unless one is open', () => {
+      const periods = [
+        { publicStart: BROADCAST, publicEnd: unix('2026-02-01T00:00:00Z') },
+        { publicStart: unix('2026-06-01T00:00:00Z'), publicEnd: unix('2026-07-01T00:00:00Z') },
+      ];
+      assert.deepStrictEqual(parseAvailability(content({ periods })).availableUntil, new Date('2026-07-01T00:00:00Z'));
+
+      periods.push({ publicStart: unix('2026-09-01T00:00:00Z'), publicEnd: 0 });
+      assert.strictEqual(parseAvailability(content({ periods })).availableUntil, null);
+    });
+
+    it('should take the earliest of the limits', () => {
+      const availability = parseAvailability(content({
+        publicEnd: unix('2026-12-01T00:00:00Z'),
+        periods: [{ publicStart: BROADCAST, publicEnd: unix('2026-06-01T00:00:00Z') }],
+        catchupDays: 10000,
+      }));
+      assert.deepStrictEqual(availability.availableUntil, new Date('2026-06-01T00:00:00Z'));
+    });
+
+    it('should read DRM and geo-blocking', () => {
+      assert.deepStrictEqual(
+        parseAvailability(content({ restrictions: { drm: true, geoBlock: true } })),
+        { availableUntil: null, drm: true, geoBlocked: true }
+      );
+      assert.deepStrictEqual(parseAvailability(null), { availableUntil: null, drm: false, geoBlocked: false });
+    });
+  });
+
+  describe('filterAvailable', () => {
+    const now = new Date('2026-02-01T00:00:00Z');
+    const episodes = [
+      { id: 1, availableUntil: null },
+      { id: 2, availableUntil: new Date('2026-01-31T00:00:00Z') },
+      { id: 3, availableUntil: new Date('2026-02-02T00:00:00Z') },
+      { id: 4, drm: true },
+      { id: 5, geoBlocked: true },
+    ];
+
+    it('should drop expired and DRM-protected episodes and keep geo-blocked ones when flagging', () => {
+      const result = filterAvailable(episodes, { now, geoBlocked: 'flag' });
+      assert.deepStrictEqual(result.episodes.map(ep => ep.id), [1, 3, 5]);
+      assert.strictEqual(result.expired, 1);
+      assert.strictEqual(result.drm, 1);
+      assert.strictEqual(result.geoBlocked, 0);
+    });
+
+    it('should drop geo-blocked episodes when configured', () => {
+      const result = filterAvailable(episodes, { now, geoBlocked: 'drop' });
+      assert.deepStrictEqual(result.episodes.map(ep => ep.id), [1, 3]);
+      assert.strictEqual(result.geoBlocked, 1);
+    });
+
+    it('should keep geo-blocked episodes by default', () => {
+      assert.strictEqual(filterAvailable([{ id: 5, geoBlocked: true }]).episodes.length, 1);
+    });
+  });
+
+  describe('nextExpiry', () => {
+    it('should return the first window to close after now', () => {
+      const now = new Date('2026-02-01T00:00:00Z');
+      const episodes = [
+        { availableUntil: new Date('2026-01-01T00:00:00Z') },
+        { availableUntil: new Date('2026-03-01T00:00:00Z') },
+        { availableUntil: new Date('2026-02-15T00:00:00Z') },
+        { availableUntil: null },
+      ];
+      assert.deepStrictEqual(nextExpiry(episodes, now), new Date('2026-02-15T00:00:00Z'));
+      assert.strictEqual(nextExpiry([{ availableUntil: null }], now), null);
+    });
+  });
+
+  describe('lifetimeUntil', () => {
+    const now = new Date('2026-02-01T00:00:00Z');
+
+    it('should shorten a lifetime to the close of the window', () => {
+      assert.strictEqual(lifetimeUntil(3600000, new Date(now.getTime() + 600000), now), 600000);
+      assert.strictEqual(lifetimeUntil(3600000, new Date(now.getTime() + 7200000), now), 3600000);
+      assert.strictEqual(lifetimeUntil(3600000, new Date(now.getTime() + 10), now), 1000);
+    });
+
+    it('should keep the lifetime without a window or after it closed', () => {
+      assert.strictEqual(lifetimeUntil(3600000, null, now), 3600000);
+      assert.strictEqual(lifetimeUntil(3600000, new Date(now.getTime() - 1), now), 3600000);
+    });
+  });
+});
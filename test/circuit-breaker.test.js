@@ -0,0 +1,99 @@
+/**
+ * Tests for the circuit breaker state machine
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+
+import { createCircuitBreaker, CircuitOpenError } from '../src/circuit-breaker.js';
+
+describe('circuit-breaker', () => {
+  let time;
+  let breaker;
+
+  beforeEach(() => {
+    time = 1_000_000;
+    breaker = createCircuitBreaker('api.example.com', { failureThreshold: 3, resetTimeoutMs: 10000, now: () => time });
+  });
+
+  function fail(times) {
+    for (let i = 0; i < times; i++) {
+      breaker.beforeRequest();
+      breaker.onFailure();
+    }
+  }
+
+  it('should stay closed below the failure threshold', () => {
+    fail(2);
+    assert.strictEqual(breaker.getStatus().state, 'closed');
+    assert.strictEqual(breaker.getStatus().failures, 2);
+    assert.doesNotThrow(() => breaker.beforeRequest());
+  });
+
+  it('should reset the failure count on success', () => {
+    fail(2);
+    breaker.beforeRequest();
+    breaker.onSuccess();
+    fail(2);
+    assert.strictEqual(breaker.getStatus().state, 'closed');
+  });
+
+  it('should open at the threshold and fail fast until the reset timeout', () => {
+    fail(3);
+    assert.strictEqual(breaker.getStatus().state, 'open');
+    assert.ok(breaker.isOpen());
+    assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+    assert.throws(() => breaker.failFast(), (error) => {
+      assert.strictEqual(error.retryAt, 1_010_000);
+      return true;
+    });
+
+    time += 9999;
+    assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+  });
+
+  it('should let a single trial through when half-open', () => {
+    fail(3);
+    time += 10000;
+    assert.strictEqual(breaker.isOpen(), false);
+    assert.doesNotThrow(() => breaker.failFast());
+
+    breaker.beforeRequest();
+    assert.strictEqual(breaker.getStatus().state, 'half-open');
+    assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+  });
+
+  it('should close after a successful trial', () => {
+    fail(3);
+    time += 10000;
+    breaker.beforeRequest();
+    breaker.onSuccess();
+    assert.deepStrictEqual(breaker.getStatus(), {
+      host: 'api.example.com', state: 'closed', failures: 0, openedAt: null, retryAt: null,
+    });
+  });
+
+  it('should reopen after a failed trial', () => {
+    fail(3);
+    time += 10000;
+    breaker.beforeRequest();
+    breaker.onFailure();
+    assert.strictEqual(breaker.getStatus().state, 'open');
+    assert.strictEqual(breaker.getStatus().openedAt, new Date(time).toISOString());
+    assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+  });
+
+  it('should leave the count alone and free the trial when a request is cancelled', () => {
+    fail(2);
+    breaker.beforeRequest();
+    breaker.onCancel();
+    assert.strictEqual(breaker.getStatus().failures, 2);
+
+    fail(1);
+    time += 10000;
+    breaker.beforeRequest();
+    breaker.onCancel();
+    assert.strictEqual(breaker.getStatus().state, 'half-open');
+    assert.doesNotThrow(() => breaker.beforeRequest());
+  });
+});
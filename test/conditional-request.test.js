@@ -0,0 +1,81 @@
+/**
+ * Tests for conditional request helpers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { computeEtag, validatorHeaders, isNotModified, rebuiltLastModified } from '../src/conditional-request.js';
+
+function req(headers) {
+  return { headers };
+}
+
+describe('conditional-request', () => {
+  const etag = computeEtag('<rss />');
+  const lastModified = new Date('2024-01-15T12:00:00Z');
+
+  describe('computeEtag', () => {
+    it('should return a quoted tag that is stable for the same body', () => {
+      assert.match(etag, /^"[\w-]+"$/);
+      assert.strictEqual(computeEtag('<rss />'), etag);
+      assert.notStrictEqual(computeEtag('<rss/>'), etag);
+    });
+  });
+
+  describe('validatorHeaders', () => {
+    it('should include ETag and Last-Modified', () => {
+      assert.deepStrictEqual(validatorHeaders({ etag, lastModified }), {
+        ETag: etag,
+        'Last-Modified': 'Mon, 15 Jan 2024 12:00:00 GMT',
+      });
+    });
+
+    it('should omit Last-Modified when unknown', () => {
+      assert.deepStrictEqual(validatorHeaders({ etag, lastModified: null }), { ETag: etag });
+    });
+  });
+
+  describe('isNotModified', () => {
+    it('should match If-None-Match against the ETag', () => {
+      assert.strictEqual(isNotModified(req({ 'if-none-match': etag }), { etag, lastModified }), true);
+      assert.strictEqual(isNotModified(req({ 'if-none-match': '"other"' }), { etag, lastModified }), false);
+    });
+
+    it('should accept lists, weak tags and wildcards', () => {
+      assert.strictEqual(isNotModified(req({ 'if-none-match': `"a", W/${etag}` }), { etag }), true);
+      assert.strictEqual(isNotModified(req({ 'if-none-match': '*' }), { etag }), true);
+    });
+
+    it('should compare If-Modified-Since at second resolution', () => {
+      const validators = { etag, lastModified: new Date('2024-01-15T12:00:00.750Z') };
+      assert.strictEqual(isNotModified(req({ 'if-modified-since': 'Mon, 15 Jan 2024 12:00:00 GMT' }), validators), true);
+      assert.strictEqual(isNotModified(req({ 'if-modified-since': 'Mon, 15 Jan 2024 11:59:59 GMT' }), validators), false);
+    });
+
+    it('should let If-None-Match take precedence over If-Modified-Since', () => {
+      const headers = { 'if-none-match': '"other"', 'if-modified-since': 'Tue, 16 Jan 2024 00:00:00 GMT' };
+      assert.strictEqual(isNotModified(req(headers), { etag, lastModified }), false);
+    });
+
+    it('should ignore invalid dates and missing validators', () => {
+      assert.strictEqual(isNotModified(req({ 'if-modified-since': 'yesterday' }), { etag, lastModified }), false);
+      assert.strictEqual(isNotModified(req({ 'if-modified-since': 'Tue, 16 Jan 2024 00:00:00 GMT' }), { etag }), false);
+      assert.strictEqual(isNotModified(req({}), { etag, lastModified }), false);
+    });
+  });
+
+  describe('rebuiltLastModified', () => {
+    const now = new Date('2024-02-01T08:00:00Z');
+
+    it('should keep the previous date while the ETag is unchanged', () => {
+      assert.strictEqual(rebuiltLastModified(etag, { etag, lastModified }, now), lastModified);
+    });
+
+    it('should use the build time for a changed or first build', () => {
+      assert.strictEqual(rebuiltLastModified(computeEtag('<rss/>'), { etag, lastModified }, now), now);
+      assert.strictEqual(rebuiltLastModified(etag, null, now), now);
+      assert.strictEqual(rebuiltLastModified(etag, undefined, now), now);
+    });
+  });
+});
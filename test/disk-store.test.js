@@ -0,0 +1,97 @@
+/**
+ * Tests for the persistent disk store
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readdirSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { createDiskStore } from '../src/disk-store.js';
+
+describe('disk-store', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'disk-store-'));
+    store = createDiskStore(dir);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should write and read entries', () => {
+    const expiresAt = Date.now() + 60000;
+    store.write('episode:1', { id: 1 }, expiresAt);
+
+    assert.deepStrictEqual(store.read('episode:1'), { value: { id: 1 }, expiresAt });
+  });
+
+  it('should return undefined for missing keys', () => {
+    assert.strictEqual(store.read('missing'), undefined);
+  });
+
+  it('should drop expired entries on read', () => {
+    store.write('old', { id: 1 }, Date.now() - 1);
+
+    assert.strictEqual(store.read('old'), undefined);
+    assert.strictEqual(readdirSync(dir).length, 0);
+  });
+
+  it('should discard corrupt files', () => {
+    store.write('episode:1', { id: 1 }, Date.now() + 60000);
+    const [name] = readdirSync(dir);
+    writeFileSync(join(dir, name), '{"key":"episode:1","expi');
+
+    assert.strictEqual(store.read('episode:1'), undefined);
+    assert.strictEqual(readdirSync(dir).length, 0);
+  });
+
+  it('should remove single entries', () => {
+    store.write('a', 1, Date.now() + 60000);
+    store.write('b', 2, Date.now() + 60000);
+    store.remove('a');
+    store.remove('never-written');
+
+    assert.strictEqual(store.read('a'), undefined);
+    assert.strictEqual(store.read('b').value, 2);
+  });
+
+  it('should clear all entries', () => {
+    store.write('a', 1, Date.now() + 60000);
+    store.write('b', 2, Date.now() + 60000);
+    store.clear();
+
+    assert.strictEqual(readdirSync(dir).length, 0);
+  });
+
+  it('should sweep expired, corrupt and temp files', () => {
+    store.write('live', 1, Date.now() + 60000);
+    store.write('expired', 2, Date.now() - 1);
+    writeFileSync(join(dir, 'garbage.json'), 'not json');
+    writeFileSync(join(dir, 'leftover.json.123.tmp'), '{}');
+
+    assert.strictEqual(store.sweep(), 1);
+    assert.strictEqual(readdirSync(dir).length, 1);
+    assert.strictEqual(store.read('live').value, 1);
+  });
+
+  it('should sweep on writes once the sweep interval has passed', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    store = createDiskStore(dir, { sweepIntervalMs: 60000 });
+    store.sweep();
+
+    store.write('expired', 1, Date.now() - 1);
+    store.write('live', 2, Date.now() + 120000);
+    assert.strictEqual(readdirSync(dir).length, 2);
+
+    t.mock.timers.tick(60000);
+    store.write('later', 3, Date.now() + 120000);
+    assert.strictEqual(readdirSync(dir).length, 2);
+    assert.strictEqual(store.read('live').value, 2);
+    assert.strictEqual(store.read('later').value, 3);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * End-to-end tests
+ *
+ * Runs src/index.js as its own process against the mock ERR API from
+ * scripts/mock-api.js (through VIKERRAADIO_API_URL), with faults injected
+ * into the mock.
+ */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { createMockApi } from '../scripts/mock-api.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = join(__dirname, '..');
+
+const EPISODE_ID = '1609912691';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start src/index.js against the mock API
+ * @param {string} apiUrl - Mock API base URL
+ * @returns {Promise<{baseUrl: string, output: () => string, stop: () => Promise<void>}>}
+ */
+async function startServer(apiUrl) {
+  const port = await freePort();
+  const env = {
+    ...process.env,
+    VIKERRAADIO_API_URL: apiUrl,
+    LISTEN_PORT: String(port),
+    // Enclosures point at vod.err.ee; don't probe them
+    PROBE_MEDIA: 'false',
+    FETCH_TIMEOUT_SECONDS: '1',
+    RETRY_DELAY_MS: '100',
+    MAX_RETRY_DELAY_MS: '1000',
+  };
+  delete env.CACHE_DIR;
+
+  const child = spawn(process.execPath, [join(ROOT_DIR, 'src', 'index.js')], { cwd: ROOT_DIR, env });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+    child.stdout.on('data', () => {
+      if (output.includes('Listening on port')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    output: () => output,
+    stop: () => new Promise(resolve => {
+      if (child.exitCode !== null) return resolve();
+      child.once('exit', () => resolve());
+      child.kill('SIGTERM');
+    }),
+  };
+}
+
+function itemCount(body) {
+  return (body.match(/<item>/g) || []).length;
+}
+
+describe('e2e', () => {
+  let mockApi;
+  let apiUrl;
+  let server;
+
+  before(async () => {
+    mockApi = createMockApi({ pageSize: 20 });
+    apiUrl = await mockApi.listen();
+  });
+
+  after(async () => {
+    await mockApi.close();
+  });
+
+  beforeEach(async () => {
+    mockApi.setFaults([]);
+    mockApi.requests.length = 0;
+    // A fresh process per test, so nothing is served from an earlier test's cache
+    server = await startServer(apiUrl);
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  function broadcastsRequests() {
+    return mockApi.requests.filter(r => r.includes('/broadcast/broadcasts'));
+  }
+
+  function episodeRequests(id) {
+    return mockApi.requests.filter(r => r.includes(`contentId=${id}`));
+  }
+
+  it('should serve feeds and pages built from the mock API', async () => {
+    const res = await fetch(`${server.baseUrl}/feed.xml`);
+    assert.strictEqual(res.status, 200);
+    const body = await res.text();
+    assert.ok(body.includes('<title>Vikerraadio Õhtujutt</title>'));
+    assert.ok(body.includes('<title>Piia uurib kelgumäge</title>'));
+    assert.strictEqual(itemCount(body), 50);
+
+    const page = await fetch(`${server.baseUrl}/episodes/${EPISODE_ID}.html`);
+    assert.strictEqual(page.status, 200);
+
+    const health = await fetch(`${server.baseUrl}/health`);
+    assert.strictEqual(await health.text(), 'OK');
+  });
+
+  it('should follow broadcasts cursors across pages', async () => {
+    const res = await fetch(`${server.baseUrl}/feed.xml?limit=70`);
+    assert.strictEqual(itemCount(await res.text()), 70);
+
+    const cursors = broadcastsRequests().map(r => new URL(r, apiUrl).searchParams.get('previous'));
+    assert.strictEqual(cursors.length, 4);
+    assert.strictEqual(cursors[0], null);
+    assert.ok(cursors.slice(1).every((cursor, i) => i === 0 || Number(cursor) < Number(cursors[i])));
+  });
+
+  it('should wait out Retry-After on 503', async () => {
+    mockApi.setFaults([{ path: '/broadcast/broadcasts', status: 503, retryAfter: 1, times: 1 }]);
+
+    const start = Date.now();
+    const res = await fetch(`${server.baseUrl}/feed.xml`);
+    assert.strictEqual(res.status, 200);
+    assert.ok(Date.now() - start >= 1000);
+    // The first page twice, then the older pages
+    assert.strictEqual(broadcastsRequests().filter(r => !r.includes('previous=')).length, 2);
+  });
+
+  it('should retry rate-limited episode requests', async () => {
+    mockApi.setFaults([{ path: '/radio/getRadioPageData', params: { contentId: EPISODE_ID }, status: 429, retryAfter: 0, times: 2 }]);
+
+    const body = await (await fetch(`${server.baseUrl}/feed.xml`)).text();
+    assert.ok(body.includes('<title>Piia uurib kelgumäge</title>'));
+    assert.strictEqual(episodeRequests(EPISODE_ID).length, 3);
+  });
+
+  it('should retry a response slower than the fetch timeout', async () => {
+    mockApi.setFaults([{ path: '/radio/getRadioPageData', params: { contentId: EPISODE_ID }, delayMs: 1500, times: 1 }]);
+
+    const body = await (await fetch(`${server.baseUrl}/feed.xml`)).text();
+    assert.ok(body.includes('<title>Piia uurib kelgumäge</title>'));
+    assert.strictEqual(episodeRequests(EPISODE_ID).length, 2);
+    assert.match(server.output(), /Request aborted after 1000ms timeout/);
+  });
+
+  it('should leave out an episode with malformed JSON', async () => {
+    mockApi.setFaults([{ path: '/radio/getRadioPageData', params: { contentId: EPISODE_ID }, malformed: true }]);
+
+    const res = await fetch(`${server.baseUrl}/feed.xml`);
+    assert.strictEqual(res.status, 200);
+    const body = await res.text();
+    assert.ok(!body.includes('Piia uurib kelgumäge'));
+    assert.strictEqual(itemCount(body), 49);
+    // Invalid JSON won't get better by asking again
+    assert.strictEqual(episodeRequests(EPISODE_ID).length, 1);
+    assert.match(server.output(), /Invalid response body/);
+  });
+
+  it('should retry a truncated broadcasts response', async () => {
+    mockApi.setFaults([{ path: '/broadcast/broadcasts', truncate: true, times: 1 }]);
+
+    const res = await fetch(`${server.baseUrl}/feed.xml`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(itemCount(await res.text()), 50);
+    // The cut-off first page once more, then the older pages
+    assert.strictEqual(broadcastsRequests().filter(r => !r.includes('previous=')).length, 2);
+    assert.match(server.output(), /failed for .*broadcast\/broadcasts.*: Network error/);
+  });
+});
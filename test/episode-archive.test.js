@@ -0,0 +1,170 @@
+/**
+ * Tests for the static feed episode archive
+ */
+
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  ARCHIVE_VERSION, serializeArchive, parseArchive, loadArchive, mergeArchive,
+} from '../src/episode-archive.js';
+
+const DAY_MS = 86400000;
+
+function episode(id, day, updatedDay = day) {
+  return {
+    id,
+    title: `Jutt ${id}`,
+    audioUrl: `https://vod.err.ee/file/viker/${id}.m4a`,
+    pubDate: new Date(Date.UTC(2024, 0, day, 18, 45)),
+    updated: new Date(Date.UTC(2024, 0, updatedDay, 12)),
+    availableUntil: null,
+  };
+}
+
+describe('episode-archive', () => {
+  describe('serializeArchive / parseArchive', () => {
+    it('should round-trip episodes with their dates', () => {
+      const episodes = [
+        { ...episode(2, 2), availableUntil: new Date(Date.UTC(2024, 1, 2)) },
+        { ...episode(1, 1), updated: null },
+      ];
+      const data = JSON.parse(serializeArchive('1038081', episodes));
+
+      assert.strictEqual(data.version, ARCHIVE_VERSION);
+      assert.strictEqual(data.seriesId, '1038081');
+      assert.deepStrictEqual(parseArchive(data, '1038081'), episodes);
+    });
+
+    it('should skip entries without an ID, audio or valid date', () => {
+      const data = JSON.parse(serializeArchive('1', [episode(1, 1)]));
+      data.episodes.push({ id: 2, pubDate: '2024-01-02T00:00:00Z' }, { id: 3, audioUrl: 'x', pubDate: 'soon' }, null);
+
+      assert.deepStrictEqual(parseArchive(data, '1').map(ep => ep.id), [1]);
+    });
+
+    it('should reject other versions and other series', () => {
+      assert.throws(() => parseArchive({ version: 99, seriesId: '1', episodes: [] }, '1'), /Unsupported archive format/);
+      assert.throws(() => parseArchive({ version: ARCHIVE_VERSION, seriesId: '2', episodes: [] }, '1'), /belongs to series 2/);
+    });
+  });
+
+  describe('loadArchive', () => {
+    let dir;
+    let originalFetch;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'episode-archive-'));
+      originalFetch = globalThis.fetch;
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+      globalThis.fetch = originalFetch;
+    });
+
+    it('should read a local file', async () => {
+      const path = join(dir, 'archive.json');
+      writeFileSync(path, serializeArchive('1', [episode(1, 1)]));
+
+      const episodes = await loadArchive(path, '1');
+      assert.deepStrictEqual(episodes, [episode(1, 1)]);
+    });
+
+    it('should return null for a missing file or a 404', async () => {
+      assert.strictEqual(await loadArchive(join(dir, 'missing.json'), '1'), null);
+
+      globalThis.fetch = mock.fn(async () => new Response('not found', { status: 404, statusText: 'Not Found' }));
+      assert.strictEqual(await loadArchive('https://example.com/archive.json', '1'), null);
+    });
+
+    it('should fetch a published archive', async () => {
+      globalThis.fetch = mock.fn(async () => Response.json(JSON.parse(serializeArchive('1', [episode(1, 1)]))));
+
+      const episodes = await loadArchive('https://example.com/archive.json', '1');
+      assert.deepStrictEqual(episodes.map(ep => ep.id), [1]);
+    });
+
+    it('should throw on a corrupt file', async () => {
+      const path = join(dir, 'archive.json');
+      writeFileSync(path, '{"version": 1, "episo');
+
+      await assert.rejects(loadArchive(path, '1'), SyntaxError);
+    });
+  });
+
+  describe('mergeArchive', () => {
+    it('should keep archived episodes older than the fetched ones', () => {
+      const result = mergeArchive([episode(2, 2), episode(1, 1)], [episode(4, 4), episode(3, 3)], { maxEpisodes: 10 });
+
+      assert.deepStrictEqual(result.episodes.map(ep => ep.id), [4, 3, 2, 1]);
+      assert.strictEqual(result.added, 2);
+      assert.strictEqual(result.updated, 0);
+      assert.strictEqual(result.removed, 0);
+    });
+
+    it('should replace archived copies of updated episodes', () => {
+      const edited = { ...episode(2, 2, 5), title: 'Parandatud' };
+      const result = mergeArchive([episode(2, 2), episode(1, 1)], [edited], { maxEpisodes: 10 });
+
+      assert.strictEqual(result.episodes[0].title, 'Parandatud');
+      assert.strictEqual(result.updated, 1);
+      assert.strictEqual(result.added, 0);
+    });
+
+    it('should keep an archived copy that is newer than the fetched one', () => {
+      const archived = { ...episode(2, 2, 5), title: 'Uuem' };
+      const result = mergeArchive([archived], [episode(2, 2, 3)], { maxEpisodes: 10 });
+
+      assert.strictEqual(result.episodes[0].title, 'Uuem');
+      assert.strictEqual(result.updated, 0);
+    });
+
+    it('should drop episodes removed upstream within the fetched span', () => {
+      const archived = [episode(4, 4), episode(3, 3), episode(2, 2), episode(1, 1)];
+      // Episode 3 is no longer listed; episode 1 is older than anything fetched
+      const fetched = [episode(5, 5), episode(4, 4), episode(2, 2)];
+      const result = mergeArchive(archived, fetched, { maxEpisodes: 10 });
+
+      assert.deepStrictEqual(result.episodes.map(ep => ep.id), [5, 4, 2, 1]);
+      assert.strictEqual(result.removed, 1);
+    });
+
+    it('should keep episodes whose fetch failed', () => {
+      const result = mergeArchive([episode(3, 3), episode(2, 2)], [episode(4, 4), episode(2, 2)], {
+        failedIds: [3], maxEpisodes: 10,
+      });
+
+      assert.deepStrictEqual(result.episodes.map(ep => ep.id), [4, 3, 2]);
+      assert.strictEqual(result.removed, 0);
+    });
+
+    it('should keep the archived enclosure size when the media probe failed', () => {
+      const archived = { ...episode(2, 2), audioType: 'audio/mp4', audioLength: 4096 };
+      const result = mergeArchive([archived], [{ ...episode(2, 2), audioType: 'audio/x-m4a', audioLength: 0 }], { maxEpisodes: 10 });
+      assert.strictEqual(result.episodes[0].audioLength, 4096);
+      assert.strictEqual(result.episodes[0].audioType, 'audio/mp4');
+
+      // Not for a different file
+      const moved = { ...episode(2, 2), audioUrl: 'https://vod.err.ee/file/viker/2-new.m4a', audioLength: 0 };
+      assert.strictEqual(mergeArchive([archived], [moved], { maxEpisodes: 10 }).episodes[0].audioLength, 0);
+    });
+
+    it('should keep the newest episodes up to the cap', () => {
+      const archived = Array.from({ length: 5 }, (_, i) => episode(i + 1, i + 1));
+      const result = mergeArchive(archived, [episode(6, 6)], { maxEpisodes: 4 });
+
+      assert.deepStrictEqual(result.episodes.map(ep => ep.id), [6, 5, 4, 3]);
+      assert.strictEqual(result.trimmed, 2);
+      assert.ok(result.episodes.every((ep, i, all) => i === 0 || all[i - 1].pubDate - ep.pubDate === DAY_MS));
+    });
+
+    it('should match IDs regardless of type', () => {
+      const result = mergeArchive([{ ...episode(1, 1), id: '1' }], [episode(1, 1)], { maxEpisodes: 10 });
+      assert.strictEqual(result.episodes.length, 1);
+    });
+  });
+});
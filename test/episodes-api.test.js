@@ -0,0 +1,123 @@
+/**
+ * Tests for the JSON episodes API serializers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  API_VERSION, serializeEpisode, serializeEpisodeDetails, parsePagination, buildEpisodeList, buildApiError,
+} from '../src/episodes-api.js';
+
+function episode(id, overrides = {}) {
+  return {
+    id,
+    title: `Episode ${id}`,
+    description: 'Kirjeldus',
+    audioUrl: `https://vod.err.ee/file/viker/${id}.m4a`,
+    pubDate: new Date(Date.UTC(2024, 0, id)),
+    imageUrl: '',
+    duration: 0,
+    link: `https://vikerraadio.err.ee/${id}`,
+    ...overrides,
+  };
+}
+
+describe('episodes-api', () => {
+  describe('serializeEpisode', () => {
+    it('should produce the version 1 episode schema', () => {
+      assert.deepStrictEqual(serializeEpisode(episode(1, { duration: 612.4, audioType: 'audio/mp4', audioLength: 1234 })), {
+        id: 1,
+        title: 'Episode 1',
+        description: 'Kirjeldus',
+        link: 'https://vikerraadio.err.ee/1',
+        publishedAt: '2024-01-01T00:00:00.000Z',
+        imageUrl: null,
+        story: null,
+        part: null,
+        duration: 612,
+        audio: { url: 'https://vod.err.ee/file/viker/1.m4a', type: 'audio/mp4', length: 1234 },
+        availableUntil: null,
+        geoBlocked: false,
+      });
+    });
+
+    it('should include the availability window and geo-blocking', () => {
+      const serialized = serializeEpisode(episode(1, { availableUntil: new Date(Date.UTC(2024, 1, 1)), geoBlocked: true }));
+      assert.strictEqual(serialized.availableUntil, '2024-02-01T00:00:00.000Z');
+      assert.strictEqual(serialized.geoBlocked, true);
+    });
+
+    it('should include the story and part from title analysis', () => {
+      const serialized = serializeEpisode(episode(1, { title: 'Vahtramäe Emil. 2. osa', story: 'Vahtramäe Emil', part: 2 }));
+      assert.strictEqual(serialized.story, 'Vahtramäe Emil');
+      assert.strictEqual(serialized.part, 2);
+    });
+  });
+
+  describe('serializeEpisodeDetails', () => {
+    it('should add media and schedule extras from the raw content', () => {
+      const content = {
+        rootContentId: '1038081',
+        endTime: '1769713500',
+        formatedTimes: { scheduleStart: 'Täna, 20:45' },
+        medias: [{
+          mediaHash: 'abc123',
+          src: { hls: '//vod.err.ee/hls/abc123/master.m3u8', dash: '//vod.err.ee/dash/abc123/manifest.mpd' },
+        }],
+      };
+      const details = serializeEpisodeDetails(episode(1), content);
+      assert.strictEqual(details.id, 1);
+      assert.strictEqual(details.seriesId, 1038081);
+      assert.strictEqual(details.mediaHash, 'abc123');
+      assert.strictEqual(details.hlsUrl, 'https://vod.err.ee/hls/abc123/master.m3u8');
+      assert.strictEqual(details.dashUrl, 'https://vod.err.ee/dash/abc123/manifest.mpd');
+      assert.strictEqual(details.endTime, '2026-01-29T19:05:00.000Z');
+      assert.deepStrictEqual(details.formatedTimes, { scheduleStart: 'Täna, 20:45' });
+    });
+
+    it('should use nulls for missing extras', () => {
+      const details = serializeEpisodeDetails(episode(1), {});
+      assert.strictEqual(details.mediaHash, null);
+      assert.strictEqual(details.hlsUrl, null);
+      assert.strictEqual(details.endTime, null);
+      assert.deepStrictEqual(details.formatedTimes, {});
+    });
+  });
+
+  describe('parsePagination', () => {
+    it('should default and clamp page and perPage', () => {
+      assert.deepStrictEqual(parsePagination(new URLSearchParams('')), { page: 1, perPage: 20 });
+      assert.deepStrictEqual(parsePagination(new URLSearchParams('page=3&perPage=500')), { page: 3, perPage: 100 });
+      assert.deepStrictEqual(parsePagination(new URLSearchParams('page=0&perPage=x')), { page: 1, perPage: 20 });
+    });
+  });
+
+  describe('buildEpisodeList', () => {
+    const episodes = [5, 4, 3, 2, 1].map(id => episode(id));
+    const url = new URL('http://localhost/api/episodes?q=episode');
+
+    it('should return one page with navigation links', () => {
+      const body = buildEpisodeList(episodes, { page: 2, perPage: 2 }, url);
+      assert.strictEqual(body.version, API_VERSION);
+      assert.deepStrictEqual(body.data.map(ep => ep.id), [3, 2]);
+      assert.strictEqual(body.pagination.total, 5);
+      assert.strictEqual(body.pagination.totalPages, 3);
+      assert.strictEqual(body.pagination.next, 'http://localhost/api/episodes?q=episode&page=3&perPage=2');
+      assert.strictEqual(body.pagination.previous, 'http://localhost/api/episodes?q=episode&page=1&perPage=2');
+    });
+
+    it('should return an empty page past the end', () => {
+      const body = buildEpisodeList(episodes, { page: 9, perPage: 2 }, url);
+      assert.deepStrictEqual(body.data, []);
+      assert.strictEqual(body.pagination.next, null);
+      assert.strictEqual(body.pagination.previous, 'http://localhost/api/episodes?q=episode&page=3&perPage=2');
+    });
+  });
+
+  describe('buildApiError', () => {
+    it('should wrap the status and message', () => {
+      assert.deepStrictEqual(buildApiError(404, 'Not Found'), { version: 1, error: { status: 404, message: 'Not Found' } });
+    });
+  });
+});
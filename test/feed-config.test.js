@@ -0,0 +1,126 @@
+/**
+ * Tests for the feed config loader
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  loadFeedConfig, validateFeedConfig, configuredChannelFields, DEFAULT_CONFIG_PATH,
+} from '../src/feed-config.js';
+
+describe('feed-config', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'feed-config-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeConfig(name, content) {
+    const path = join(dir, name);
+    writeFileSync(path, typeof content === 'string' ? content : JSON.stringify(content));
+    return path;
+  }
+
+  describe('validateFeedConfig', () => {
+    it('should accept a complete config', () => {
+      assert.deepStrictEqual(validateFeedConfig({
+        title: 'Unejutt',
+        link: 'https://example.com/',
+        ownerEmail: 'podcast@example.com',
+        language: 'et-EE',
+        imageUrl: '',
+        categories: [{ text: 'Kids & Family', subcategories: ['Stories for Kids'] }, { text: 'Fiction' }],
+        explicit: false,
+        copyright: '© ERR',
+        type: 'serial',
+        newFeedUrl: 'https://example.com/new.xml',
+        block: true,
+        locked: true,
+        podcastGuid: 'cc374fc1-e358-50af-bfe9-2747cbee2f69',
+        medium: 'audiobook',
+        $comment: 'ignored',
+      }), []);
+    });
+
+    it('should report each invalid or unknown field', () => {
+      const errors = validateFeedConfig({
+        title: '',
+        ownerEmail: 'nobody',
+        type: 'weekly',
+        categories: [{ text: 'Kids', subcategories: 'Stories' }],
+        locked: 'yes',
+        newFeedUrl: 'ftp://example.com/feed.xml',
+        podcastGuid: 'ohtujutt',
+        medium: 'radio',
+        colour: 'red',
+      });
+      assert.deepStrictEqual(errors, [
+        '"title" must be a non-empty string',
+        '"ownerEmail" must be an email address',
+        '"type" must be one of episodic, serial',
+        '"categories" must be a non-empty array of {"text", "subcategories"} objects',
+        '"locked" must be true or false',
+        '"newFeedUrl" must be an http(s) URL',
+        '"podcastGuid" must be a UUID',
+        '"medium" must be one of podcast, music, video, film, audiobook, newsletter, blog',
+        'unknown field "colour"',
+      ]);
+    });
+
+    it('should reject non-objects', () => {
+      assert.deepStrictEqual(validateFeedConfig([]), ['config must be a JSON object']);
+    });
+  });
+
+  describe('loadFeedConfig', () => {
+    it('should load the repository config', () => {
+      const config = loadFeedConfig(DEFAULT_CONFIG_PATH);
+      assert.strictEqual(config.title, 'Vikerraadio Õhtujutt');
+      assert.strictEqual(config.ownerEmail, 'info@err.ee');
+    });
+
+    it('should load a valid file without $ keys', () => {
+      const path = writeConfig('valid.json', { title: 'Unejutt', $schema: './schema.json' });
+      assert.deepStrictEqual(loadFeedConfig(path), { title: 'Unejutt' });
+    });
+
+    it('should throw with all problems for an invalid file', () => {
+      const path = writeConfig('invalid.json', { title: 1, explicit: 'no' });
+      assert.throws(() => loadFeedConfig(path), (error) => {
+        assert.match(error.message, /Invalid feed config/);
+        assert.match(error.message, /"title" must be a non-empty string/);
+        assert.match(error.message, /"explicit" must be true or false/);
+        return true;
+      });
+    });
+
+    it('should throw for malformed JSON', () => {
+      const path = writeConfig('broken.json', '{ "title": ');
+      assert.throws(() => loadFeedConfig(path), /not valid JSON/);
+    });
+
+    it('should throw for a missing file given explicitly', () => {
+      assert.throws(() => loadFeedConfig(join(dir, 'missing.json')), /Cannot read feed config/);
+    });
+  });
+
+  describe('configuredChannelFields', () => {
+    const config = { title: 'Unejutt', newFeedUrl: 'https://example.com/new.xml', ownerEmail: 'a@example.com', locked: true };
+
+    it('should apply everything to the default series', () => {
+      assert.deepStrictEqual(configuredChannelFields(config, true), config);
+    });
+
+    it('should apply only shared fields to other series', () => {
+      assert.deepStrictEqual(configuredChannelFields(config, false), { ownerEmail: 'a@example.com', locked: true });
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Tests for the feed model and Atom / JSON Feed serializers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { buildFeedModel, DEFAULT_CHANNEL } from '../src/feed-model.js';
+import { generateRSS, generateAtom, generateJsonFeed, negotiateFeedFormat } from '../src/feed-formats.js';
+import { podcastGuid } from '../src/podcast-namespace.js';
+
+const sampleEpisodes = [
+  {
+    id: 1,
+    title: 'Episode One & Co',
+    description: 'First episode description',
+    audioUrl: 'https://example.com/ep1.m4a',
+    pubDate: new Date('2024-01-15T12:00:00Z'),
+    imageUrl: 'https://example.com/ep1.jpg',
+    duration: 300.6,
+    link: 'https://vikerraadio.err.ee/1'
+  },
+  {
+    id: 2,
+    title: 'Episode Two',
+    description: '',
+    audioUrl: 'https://example.com/ep2.m4a',
+    pubDate: new Date('2024-01-14T12:00:00Z'),
+    imageUrl: '',
+    duration: 0,
+    link: 'https://vikerraadio.err.ee/2'
+  }
+];
+
+describe('configured channel fields', () => {
+  it('should emit owner email, categories and optional iTunes tags', () => {
+    const rss = generateRSS(sampleEpisodes, 'https://example.com/feed.xml', {
+      ...DEFAULT_CHANNEL,
+      ownerEmail: 'podcast@example.com',
+      categories: [{ text: 'Fiction' }, { text: 'Kids & Family', subcategories: ['Stories for Kids'] }],
+      explicit: true,
+      copyright: '© ERR',
+      type: 'serial',
+      newFeedUrl: 'https://example.com/new.xml',
+      block: true,
+      locked: true,
+    });
+    assert.ok(rss.includes('<itunes:email>podcast@example.com</itunes:email>'));
+    assert.ok(rss.includes('<itunes:category text="Fiction" />'));
+    assert.ok(rss.includes('<itunes:category text="Kids &amp; Family">\n      <itunes:category text="Stories for Kids" />'));
+    assert.ok(rss.includes('<itunes:explicit>true</itunes:explicit>'));
+    assert.ok(rss.includes('<copyright>© ERR</copyright>'));
+    assert.ok(rss.includes('<itunes:type>serial</itunes:type>'));
+    assert.ok(rss.includes('<itunes:new-feed-url>https://example.com/new.xml</itunes:new-feed-url>'));
+    assert.ok(rss.includes('<itunes:block>Yes</itunes:block>'));
+    assert.ok(rss.includes('<podcast:locked owner="podcast@example.com">yes</podcast:locked>'));
+  });
+
+  it('should leave out optional tags by default', () => {
+    const rss = generateRSS(sampleEpisodes, 'https://example.com/feed.xml');
+    for (const tag of ['<copyright>', '<itunes:type>', '<itunes:new-feed-url>', '<itunes:block>', '<podcast:locked']) {
+      assert.ok(!rss.includes(tag), tag);
+    }
+  });
+
+  it('should emit podcast:guid and podcast:medium', () => {
+    const rss = generateRSS(sampleEpisodes, 'https://example.com/feed.xml?limit=5', {
+      ...DEFAULT_CHANNEL,
+      medium: 'audiobook',
+    });
+    // Derived from the feed URL without the query string
+    assert.ok(rss.includes('<podcast:guid>' + podcastGuid('https://example.com/feed.xml') + '</podcast:guid>'));
+    assert.ok(rss.includes('<podcast:medium>audiobook</podcast:medium>'));
+
+    const configured = generateRSS(sampleEpisodes, 'https://example.com/feed.xml', {
+      ...DEFAULT_CHANNEL,
+      podcastGuid: 'cc374fc1-e358-50af-bfe9-2747cbee2f69',
+    });
+    assert.ok(configured.includes('<podcast:guid>cc374fc1-e358-50af-bfe9-2747cbee2f69</podcast:guid>'));
+    assert.ok(configured.includes('<podcast:medium>podcast</podcast:medium>'));
+  });
+
+  it('should add copyright to Atom as rights', () => {
+    const atom = generateAtom(sampleEpisodes, 'https://example.com/feed.atom', { copyright: '© ERR' });
+    assert.ok(atom.includes('<rights>© ERR</rights>'));
+  });
+});
+
+describe('story tags', () => {
+  it('should publish the story as itunes:season and the part as itunes:episode', () => {
+    const rss = generateRSS([{ ...sampleEpisodes[0], storyNumber: 20240105, part: 2 }], 'https://example.com/feed.xml');
+    assert.ok(rss.includes('<itunes:season>20240105</itunes:season>\n      <itunes:episode>2</itunes:episode>'));
+  });
+
+  it('should use ERR\'s own season and episode numbers when there are any', () => {
+    const rss = generateRSS([{ ...sampleEpisodes[0], storyNumber: 20240105, part: 2, season: 3, episode: 12 }], 'https://example.com/feed.xml');
+    assert.ok(rss.includes('<itunes:season>3</itunes:season>\n      <itunes:episode>12</itunes:episode>'));
+    assert.ok(rss.includes('<podcast:season>3</podcast:season>'));
+    assert.ok(!rss.includes('20240105'));
+  });
+
+  it('should leave them out for episodes without title analysis', () => {
+    const rss = generateRSS(sampleEpisodes, 'https://example.com/feed.xml');
+    assert.ok(!rss.includes('<itunes:season>'));
+    assert.ok(!rss.includes('<itunes:episode>'));
+  });
+});
+
+describe('podcast item tags', () => {
+  it('should emit season, episode, people and images when present', () => {
+    const rss = generateRSS([{
+      ...sampleEpisodes[0],
+      season: 2,
+      episode: 14,
+      people: [
+        { name: 'Anne Reemann', role: 'narrator', group: 'cast' },
+        { name: 'Mari & Jüri', role: 'kunstnik', group: '' },
+      ],
+      imageSrcset: 'https://example.com/big.jpg 1920w, https://example.com/small.jpg 400w',
+    }], 'https://example.com/feed.xml');
+
+    assert.ok(rss.includes('<podcast:season>2</podcast:season>'));
+    assert.ok(rss.includes('<podcast:episode>14</podcast:episode>'));
+    assert.ok(rss.includes('<podcast:person role="narrator" group="cast">Anne Reemann</podcast:person>'));
+    assert.ok(rss.includes('<podcast:person role="kunstnik">Mari &amp; Jüri</podcast:person>'));
+    assert.ok(rss.includes('<podcast:images srcset="https://example.com/big.jpg 1920w, https://example.com/small.jpg 400w" />'));
+  });
+
+  it('should leave them out for unnumbered episodes without credits', () => {
+    const rss = generateRSS(sampleEpisodes, 'https://example.com/feed.xml');
+    for (const tag of ['<podcast:season', '<podcast:episode', '<podcast:person', '<podcast:images']) {
+      assert.ok(!rss.includes(tag), tag);
+    }
+  });
+});
+
+describe('buildFeedModel', () => {
+  it('should map channel and episode fields', () => {
+    const model = buildFeedModel(sampleEpisodes, 'https://example.com/feed.xml');
+
+    assert.strictEqual(model.title, DEFAULT_CHANNEL.title);
+    assert.strictEqual(model.selfUrl, 'https://example.com/feed.xml');
+    assert.strictEqual(model.imageUrl, 'https://example.com/ep1.jpg');
+    assert.deepStrictEqual(model.updated, new Date('2024-01-15T12:00:00Z'));
+    assert.strictEqual(model.items.length, 2);
+    assert.deepStrictEqual(model.items[0].enclosure, { url: 'https://example.com/ep1.m4a', type: 'audio/x-m4a', length: 0 });
+    assert.strictEqual(model.items[0].duration, 300);
+    assert.strictEqual(model.items[0].guid, 'https://vikerraadio.err.ee/1');
+  });
+
+  it('should use probed enclosure size and type when present', () => {
+    const probed = { ...sampleEpisodes[0], audioType: 'audio/mp4', audioLength: 12345 };
+    const model = buildFeedModel([probed], 'https://example.com/feed.xml');
+    assert.deepStrictEqual(model.items[0].enclosure, { url: 'https://example.com/ep1.m4a', type: 'audio/mp4', length: 12345 });
+  });
+
+  it('should leave out future episodes', () => {
+    const future = { ...sampleEpisodes[0], id: 3, pubDate: new Date(Date.now() + 86400000) };
+    const model = buildFeedModel([future, ...sampleEpisodes], 'https://example.com/feed.xml');
+    assert.deepStrictEqual(model.items.map(item => item.id), [1, 2]);
+  });
+});
+
+describe('generateAtom', () => {
+  const atom = generateAtom(sampleEpisodes, 'https://example.com/feed.atom');
+
+  it('should produce an Atom 1.0 feed with self link', () => {
+    assert.ok(atom.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+    assert.ok(atom.includes('<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/" xml:lang="et">'));
+    assert.ok(atom.includes('<link rel="self" type="application/atom+xml" href="https://example.com/feed.atom" />'));
+    assert.ok(atom.includes('<updated>2024-01-15T12:00:00.000Z</updated>'));
+  });
+
+  it('should map episodes to entries', () => {
+    assert.strictEqual((atom.match(/<entry>/g) || []).length, 2);
+    assert.ok(atom.includes('<id>https://vikerraadio.err.ee/1</id>'));
+    assert.ok(atom.includes('<title>Episode One &amp; Co</title>'));
+    assert.ok(atom.includes('<link rel="enclosure" type="audio/x-m4a" href="https://example.com/ep1.m4a" />'));
+    assert.ok(atom.includes('<published>2024-01-15T12:00:00.000Z</published>'));
+    assert.ok(atom.includes('<summary>First episode description</summary>'));
+  });
+
+  it('should carry episode images and durations as Media RSS', () => {
+    const firstEntry = atom.slice(atom.indexOf('<entry>'), atom.lastIndexOf('<entry>'));
+    assert.ok(firstEntry.includes('<media:content url="https://example.com/ep1.m4a" type="audio/x-m4a" medium="audio" duration="300" />'));
+    assert.ok(firstEntry.includes('<media:thumbnail url="https://example.com/ep1.jpg" />'));
+
+    const secondEntry = atom.slice(atom.lastIndexOf('<entry>'));
+    assert.ok(secondEntry.includes('<media:content url="https://example.com/ep2.m4a" type="audio/x-m4a" medium="audio" />'));
+    assert.ok(!secondEntry.includes('<media:thumbnail'));
+  });
+
+  it('should put the enclosure length on both the link and the media content', () => {
+    const sized = generateAtom([{ ...sampleEpisodes[0], audioLength: 4096 }], 'https://example.com/feed.atom');
+    assert.ok(sized.includes('href="https://example.com/ep1.m4a" length="4096" />'));
+    assert.ok(sized.includes('medium="audio" fileSize="4096" duration="300" />'));
+  });
+
+  it('should omit empty summaries', () => {
+    const secondEntry = atom.slice(atom.lastIndexOf('<entry>'));
+    assert.ok(!secondEntry.includes('<summary>'));
+  });
+});
+
+describe('generateJsonFeed', () => {
+  const feed = JSON.parse(generateJsonFeed(sampleEpisodes, 'https://example.com/feed.json'));
+
+  it('should produce a JSON Feed 1.1 document', () => {
+    assert.strictEqual(feed.version, 'https://jsonfeed.org/version/1.1');
+    assert.strictEqual(feed.feed_url, 'https://example.com/feed.json');
+    assert.strictEqual(feed.home_page_url, DEFAULT_CHANNEL.link);
+    assert.strictEqual(feed.language, 'et');
+  });
+
+  it('should map episodes to items with attachments', () => {
+    assert.strictEqual(feed.items.length, 2);
+    assert.deepStrictEqual(feed.items[0], {
+      id: 'https://vikerraadio.err.ee/1',
+      url: 'https://vikerraadio.err.ee/1',
+      title: 'Episode One & Co',
+      content_text: 'First episode description',
+      date_published: '2024-01-15T12:00:00.000Z',
+      attachments: [{ url: 'https://example.com/ep1.m4a', mime_type: 'audio/x-m4a', duration_in_seconds: 300 }],
+      image: 'https://example.com/ep1.jpg',
+    });
+    assert.strictEqual(feed.items[1].image, undefined);
+    assert.strictEqual(feed.items[1].attachments[0].duration_in_seconds, undefined);
+  });
+});
+
+describe('negotiateFeedFormat', () => {
+  it('should default to RSS', () => {
+    assert.strictEqual(negotiateFeedFormat(undefined), 'rss');
+    assert.strictEqual(negotiateFeedFormat('*/*'), 'rss');
+    assert.strictEqual(negotiateFeedFormat('text/html'), 'rss');
+  });
+
+  it('should pick Atom or JSON Feed when asked for', () => {
+    assert.strictEqual(negotiateFeedFormat('application/atom+xml'), 'atom');
+    assert.strictEqual(negotiateFeedFormat('application/feed+json'), 'json');
+    assert.strictEqual(negotiateFeedFormat('application/json, */*;q=0.1'), 'json');
+  });
+
+  it('should respect quality values and prefer RSS on ties', () => {
+    assert.strictEqual(negotiateFeedFormat('application/rss+xml;q=0.5, application/atom+xml'), 'atom');
+    assert.strictEqual(negotiateFeedFormat('application/atom+xml, application/rss+xml'), 'rss');
+    assert.strictEqual(negotiateFeedFormat('application/atom+xml;q=0'), 'rss');
+  });
+});
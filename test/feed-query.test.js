@@ -0,0 +1,151 @@
+/**
+ * Tests for feed query parameter parsing and filtering
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { parseFeedQuery, applyFeedQuery, matchesSearch, normalizeSearchText } from '../src/feed-query.js';
+import { analyzeEpisodeTitles } from '../src/title-analysis.js';
+
+const LIMITS = { defaultLimit: 50, maxLimit: 500 };
+
+function parse(query) {
+  return parseFeedQuery(new URLSearchParams(query), LIMITS);
+}
+
+function episode(id, title, description = '') {
+  return { id, title, description, pubDate: new Date(Date.UTC(2024, 0, id)) };
+}
+
+describe('feed-query', () => {
+  describe('parseFeedQuery', () => {
+    it('should default to the standard feed', () => {
+      const query = parse('');
+      assert.strictEqual(query.limit, 50);
+      assert.strictEqual(query.window, 50);
+      assert.strictEqual(query.since, null);
+      assert.strictEqual(query.until, null);
+      assert.strictEqual(query.q, '');
+      assert.strictEqual(query.order, 'newest');
+      assert.strictEqual(query.search, '');
+    });
+
+    it('should clamp limit and keep ?archive', () => {
+      assert.strictEqual(parse('limit=10').limit, 10);
+      assert.strictEqual(parse('limit=9999').search, '?limit=500');
+      assert.strictEqual(parse('limit=abc').search, '');
+      assert.strictEqual(parse('limit=-5').limit, 50);
+
+      const archive = parse('archive');
+      assert.strictEqual(archive.limit, 500);
+      assert.strictEqual(archive.search, '?archive');
+    });
+
+    it('should parse date bounds, including whole days for date-only until', () => {
+      const query = parse('since=2024-01-01&until=2024-01-31');
+      assert.strictEqual(query.since.toISOString(), '2024-01-01T00:00:00.000Z');
+      assert.strictEqual(query.until.toISOString(), '2024-02-01T00:00:00.000Z');
+      assert.strictEqual(query.search, '?since=2024-01-01&until=2024-01-31');
+
+    });
+
+    it('should widen date bounds with a time to whole days', () => {
+      const query = parse('since=2024-01-01T12:30:00Z&until=2024-01-31T12:00:00Z');
+      assert.strictEqual(query.since.toISOString(), '2024-01-01T00:00:00.000Z');
+      assert.strictEqual(query.until.toISOString(), '2024-02-01T00:00:00.000Z');
+      assert.strictEqual(query.search, '?since=2024-01-01&until=2024-01-31');
+
+      // Midnight already ends the day before
+      assert.strictEqual(parse('until=2024-02-01T00:00:00Z').search, '?until=2024-01-31');
+    });
+
+    it('should ignore invalid dates', () => {
+      const query = parse('since=yesterday&until=');
+      assert.strictEqual(query.since, null);
+      assert.strictEqual(query.until, null);
+      assert.strictEqual(query.search, '');
+    });
+
+    it('should widen the window for searches', () => {
+      assert.strictEqual(parse('q=piia&limit=10').window, 50);
+      assert.strictEqual(parse('q=piia&limit=100').window, 100);
+      assert.strictEqual(parse('q=piia&archive&limit=10').window, 500);
+      assert.strictEqual(parse('archive&limit=10').window, 10);
+    });
+
+    it('should produce the same canonical query regardless of parameter order', () => {
+      const a = parse('order=oldest&q=%20Piia%20%20uurib&limit=5');
+      const b = parse('limit=5&q=Piia+uurib&order=oldest');
+      assert.strictEqual(a.search, '?limit=5&q=piia%20uurib&order=oldest');
+      assert.strictEqual(a.search, b.search);
+    });
+
+    it('should fold case and diacritics out of the search string', () => {
+      const query = parse('q=KELGUMÄGE');
+      assert.strictEqual(query.q, 'kelgumage');
+      assert.strictEqual(query.search, parse('q=kelgumage').search);
+    });
+
+    it('should only accept "oldest" and "serial" as alternative orders', () => {
+      assert.strictEqual(parse('order=oldest').order, 'oldest');
+      assert.strictEqual(parse('order=serial').search, '?order=serial');
+      assert.strictEqual(parse('order=random').order, 'newest');
+      assert.strictEqual(parse('order=newest').search, '');
+    });
+
+    it('should leave the default order out of the canonical query', () => {
+      const query = parseFeedQuery(new URLSearchParams('order=random'), { ...LIMITS, defaultOrder: 'serial' });
+      assert.strictEqual(query.order, 'serial');
+      assert.strictEqual(query.search, '');
+
+      const newest = parseFeedQuery(new URLSearchParams('order=newest'), { ...LIMITS, defaultOrder: 'serial' });
+      assert.strictEqual(newest.search, '?order=newest');
+    });
+  });
+
+  describe('normalizeSearchText', () => {
+    it('should fold case and strip diacritics', () => {
+      assert.strictEqual(normalizeSearchText('Õhtujutt ÄÖÜ šž'), 'ohtujutt aou sz');
+    });
+  });
+
+  describe('matchesSearch', () => {
+    it('should match every word in title or description, ignoring diacritics', () => {
+      const ep = episode(1, 'Õhtujutt. Piia uurib kelgumäge', 'Loeb Anu Lamp');
+      assert.ok(matchesSearch(ep, 'kelgumage'));
+      assert.ok(matchesSearch(ep, 'PIIA lamp'));
+      assert.ok(!matchesSearch(ep, 'piia muinasjutt'));
+    });
+  });
+
+  describe('applyFeedQuery', () => {
+    const episodes = [
+      episode(4, 'Piia ja lumi'),
+      episode(3, 'Metsamaja'),
+      episode(2, 'Piia uurib kelgumäge'),
+      episode(1, 'Hõbeuisud', 'Piia lugu'),
+    ];
+
+    it('should filter before applying the limit', () => {
+      const result = applyFeedQuery(episodes, parse('q=piia&limit=2'));
+      assert.deepStrictEqual(result.map(ep => ep.id), [4, 2]);
+    });
+
+    it('should reverse the limited selection for order=oldest', () => {
+      const result = applyFeedQuery(episodes, parse('limit=3&order=oldest'));
+      assert.deepStrictEqual(result.map(ep => ep.id), [2, 3, 4]);
+    });
+
+    it('should keep story parts together for order=serial', () => {
+      const stories = analyzeEpisodeTitles([
+        episode(4, 'Muumid. 2. osa'),
+        episode(3, 'Emil. 2. osa'),
+        episode(2, 'Muumid. 1. osa'),
+        episode(1, 'Emil. 1. osa'),
+      ]);
+      const result = applyFeedQuery(stories, parse('order=serial'));
+      assert.deepStrictEqual(result.map(ep => ep.id), [2, 4, 1, 3]);
+    });
+  });
+});
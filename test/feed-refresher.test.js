@@ -0,0 +1,170 @@
+/**
+ * Tests for the stale-while-revalidate feed store
+ */
+
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  getFeed, refreshAll, getRefreshStatus, clearFeeds, startBackgroundRefresh, stopBackgroundRefresh,
+} from '../src/feed-refresher.js';
+
+// Let background rebuilds settle
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('feed-refresher', () => {
+  beforeEach(() => {
+    clearFeeds();
+  });
+
+  afterEach(() => {
+    stopBackgroundRefresh();
+  });
+
+  it('should build a feed on first request and serve it while fresh', async () => {
+    const build = mock.fn(async () => ({ body: 'v1' }));
+
+    assert.deepStrictEqual(await getFeed('a', build, 60000), { body: 'v1' });
+    assert.deepStrictEqual(await getFeed('a', build, 60000), { body: 'v1' });
+    assert.strictEqual(build.mock.calls.length, 1);
+  });
+
+  it('should serve the previous feed while a stale one is rebuilt', async () => {
+    let version = 0;
+    let release;
+    const build = mock.fn(async () => {
+      version++;
+      if (version > 1) await new Promise(resolve => { release = resolve; });
+      return { body: `v${version}` };
+    });
+
+    await getFeed('a', build, 0);
+    assert.deepStrictEqual(await getFeed('a', build, 0), { body: 'v1' });
+    assert.strictEqual(getRefreshStatus()[0].refreshing, true);
+
+    // A second stale request joins the running rebuild
+    assert.deepStrictEqual(await getFeed('a', build, 0), { body: 'v1' });
+    assert.strictEqual(build.mock.calls.length, 2);
+
+    release();
+    await flush();
+    assert.deepStrictEqual(await getFeed('a', build, 60000), { body: 'v2' });
+  });
+
+  it('should pass the previous feed to rebuilds', async () => {
+    const build = mock.fn(async previous => ({ body: previous ? `${previous.body}+` : 'v1' }));
+
+    await getFeed('a', build, 0);
+    await refreshAll();
+    assert.deepStrictEqual(build.mock.calls.map(call => call.arguments[0]), [null, { body: 'v1' }]);
+    assert.deepStrictEqual(await getFeed('a', build, 60000), { body: 'v1+' });
+  });
+
+  it('should keep the last good feed when a rebuild fails', async () => {
+    let fail = false;
+    const build = async () => {
+      if (fail) throw new Error('upstream down');
+      return { body: 'good' };
+    };
+
+    await getFeed('a', build, 0);
+    fail = true;
+    await refreshAll();
+
+    assert.deepStrictEqual(await getFeed('a', build, 60000), { body: 'good' });
+    const [status] = getRefreshStatus();
+    assert.strictEqual(status.lastError, 'upstream down');
+    assert.ok(status.lastSuccessAt);
+    assert.ok(status.lastFailureAt);
+  });
+
+  it('should propagate failures when no feed was ever built', async () => {
+    await assert.rejects(getFeed('a', async () => { throw new Error('nope'); }, 60000), /nope/);
+    assert.strictEqual(getRefreshStatus().length, 0);
+  });
+
+  it('should rebuild known feeds on refreshAll', async () => {
+    let version = 0;
+    const build = async () => ({ body: `v${++version}` });
+
+    await getFeed('a', build, 60000);
+    await refreshAll();
+
+    assert.deepStrictEqual(await getFeed('a', build, 60000), { body: 'v2' });
+  });
+
+  it('should not rebuild variants without background refresh on refreshAll', async () => {
+    const plain = mock.fn(async () => ({ body: 'plain' }));
+    const filtered = mock.fn(async () => ({ body: 'filtered' }));
+
+    await getFeed('a', plain, 60000);
+    await getFeed('a?q=x', filtered, 60000, { background: false });
+    await refreshAll();
+
+    assert.strictEqual(plain.mock.calls.length, 2);
+    assert.strictEqual(filtered.mock.calls.length, 1);
+    // Still rebuilt when requested once stale
+    await getFeed('a?q=x', filtered, 0, { background: false });
+    await flush();
+    assert.strictEqual(filtered.mock.calls.length, 2);
+  });
+
+  it('should keep a bounded number of feeds, dropping the least recently requested', async () => {
+    const build = async () => ({ body: 'v' });
+    for (let i = 0; i < 150; i++) {
+      await getFeed(`a?q=${i}`, build, 60000, { background: false });
+    }
+
+    const keys = getRefreshStatus().map(status => status.key);
+    assert.strictEqual(keys.length, 100);
+    assert.ok(keys.includes('a?q=149'));
+    assert.ok(!keys.includes('a?q=0'));
+  });
+
+  it('should rebuild an expired feed before serving it', async () => {
+    let version = 0;
+    const build = async () => ({ body: `v${++version}`, expiresAt: new Date(Date.now() + (version === 1 ? -1 : 60000)) });
+
+    await getFeed('a', build, 60000);
+    assert.strictEqual((await getFeed('a', build, 60000)).body, 'v2');
+    assert.strictEqual((await getFeed('a', build, 60000)).body, 'v2');
+  });
+
+  it('should serve an expired feed without waiting once its rebuild failed', async () => {
+    let calls = 0;
+    let release;
+    const build = async () => {
+      calls++;
+      if (calls === 1) return { body: 'v1', expiresAt: new Date(Date.now() - 1) };
+      if (calls === 2) throw new Error('upstream down');
+      await new Promise(resolve => { release = resolve; });
+      return { body: 'v3' };
+    };
+
+    await getFeed('a', build, 0);
+    // The first request after expiry waits for the rebuild, which fails
+    assert.strictEqual((await getFeed('a', build, 0)).body, 'v1');
+    // Later ones get the stale feed right away while a rebuild runs in the background
+    assert.strictEqual((await getFeed('a', build, 0)).body, 'v1');
+    assert.strictEqual(calls, 3);
+
+    release();
+    await flush();
+    assert.strictEqual((await getFeed('a', build, 60000)).body, 'v3');
+  });
+
+  it('should rebuild on the background interval', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    let version = 0;
+    const build = async () => ({ body: `v${++version}` });
+
+    await getFeed('a', build, 60000);
+    startBackgroundRefresh(1000);
+    t.mock.timers.tick(1000);
+    await flush();
+
+    assert.deepStrictEqual(await getFeed('a', build, 60000), { body: 'v2' });
+  });
+});
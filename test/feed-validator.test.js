@@ -0,0 +1,173 @@
+/**
+ * Tests for the podcast feed validator
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { parseXml, validateFeed, isRfc822Date, formatValidationReport } from '../src/feed-validator.js';
+import { generateRSS } from '../src/feed-formats.js';
+
+const sampleEpisodes = [
+  {
+    id: 1,
+    title: 'Episode One & Co',
+    description: 'First episode description',
+    audioUrl: 'https://example.com/ep1.m4a',
+    audioType: 'audio/mp4',
+    audioLength: 4096,
+    pubDate: new Date('2024-01-15T12:00:00Z'),
+    imageUrl: 'https://example.com/ep1.jpg',
+    duration: 300,
+    link: 'https://vikerraadio.err.ee/1'
+  },
+  {
+    id: 2,
+    title: 'Episode Two',
+    description: '',
+    audioUrl: 'https://example.com/ep2.m4a',
+    audioType: 'audio/mp4',
+    audioLength: 2048,
+    pubDate: new Date('2024-01-14T12:00:00Z'),
+    imageUrl: '',
+    duration: 0,
+    link: 'https://vikerraadio.err.ee/2'
+  }
+];
+
+const validFeed = generateRSS(sampleEpisodes, 'https://example.com/feed.xml');
+
+describe('parseXml', () => {
+  it('should build an element tree with decoded text and attributes', () => {
+    const root = parseXml('<?xml version="1.0"?>\n<!-- c --><a x="1 &amp; 2"><b>T &lt;3 &#246;</b><c/><![CDATA[<raw>]]></a>');
+    assert.strictEqual(root.name, 'a');
+    assert.strictEqual(root.attributes.x, '1 & 2');
+    assert.deepStrictEqual(root.children.map(c => c.name), ['b', 'c']);
+    assert.strictEqual(root.children[0].text, 'T <3 ö');
+    assert.strictEqual(root.text, '<raw>');
+  });
+
+  it('should report mismatched and unclosed tags with line numbers', () => {
+    assert.throws(() => parseXml('<a>\n<b></a>'), /line 2: <\/a> closes <b>/);
+    assert.throws(() => parseXml('<a>\n<b>'), /<b> from line 2 is never closed/);
+  });
+
+  it('should reject bare ampersands and unknown entities', () => {
+    assert.throws(() => parseXml('<a>Tom & Jerry</a>'), /unescaped "&"/);
+    assert.throws(() => parseXml('<a>&nbsp;</a>'), /undefined entity "&nbsp;"/);
+  });
+
+  it('should reject duplicate attributes and a second root', () => {
+    assert.throws(() => parseXml('<a x="1" x="2"/>'), /duplicate attribute/);
+    assert.throws(() => parseXml('<a/><b/>'), /more than one root/);
+  });
+});
+
+describe('isRfc822Date', () => {
+  it('should accept dates as toUTCString() renders them', () => {
+    assert.strictEqual(isRfc822Date(new Date('2024-01-15T12:00:00Z').toUTCString()), true);
+    assert.strictEqual(isRfc822Date('15 Jan 2024 12:00 +0200'), true);
+  });
+
+  it('should reject other formats', () => {
+    assert.strictEqual(isRfc822Date('2024-01-15T12:00:00Z'), false);
+    assert.strictEqual(isRfc822Date('Monday, 15 Jan 2024 12:00:00 GMT'), false);
+    assert.strictEqual(isRfc822Date('Mon, 45 Jan 2024 12:00:00 GMT'), false);
+  });
+});
+
+describe('validateFeed', () => {
+  it('should pass the generated feed', () => {
+    assert.deepStrictEqual(validateFeed(validFeed), { errors: [], warnings: [] });
+  });
+
+  it('should report malformed XML', () => {
+    const { errors } = validateFeed(validFeed.replace('</channel>', ''));
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0], /not well-formed XML/);
+  });
+
+  it('should report invalid XML characters', () => {
+    const { errors } = validateFeed(validFeed.replace('Episode Two', 'Episode\u0001 Two\u001B'));
+    assert.strictEqual(errors.length, 2);
+    assert.match(errors[0], /line \d+: invalid XML character U\+0001/);
+    assert.match(errors[1], /U\+001B/);
+  });
+
+  it('should require channel elements', () => {
+    const xml = validFeed
+      .replace(/<title>Vikerraadio Õhtujutt<\/title>/, '')
+      .replace(/<language>et<\/language>/, '')
+      .replace(/<itunes:explicit>false<\/itunes:explicit>/, '');
+    const { errors } = validateFeed(xml);
+    assert.ok(errors.includes('channel: missing <title>'));
+    assert.ok(errors.includes('channel: missing <language>'));
+    assert.ok(errors.includes('channel: missing <itunes:explicit>'));
+  });
+
+  it('should require absolute https image URLs', () => {
+    // The channel artwork falls back to the first episode's image
+    const xml = validFeed.replaceAll('https://example.com/ep1.jpg', '//example.com/ep1.jpg');
+    const { errors } = validateFeed(xml);
+    assert.deepStrictEqual(errors, [
+      'channel: itunes:image href must be an absolute https URL, got "//example.com/ep1.jpg"',
+      'item 1 (https://vikerraadio.err.ee/1): itunes:image href must be an absolute https URL, got "//example.com/ep1.jpg"',
+    ]);
+  });
+
+  it('should report duplicate GUIDs', () => {
+    const xml = validFeed.replace('>https://vikerraadio.err.ee/2</guid>', '>https://vikerraadio.err.ee/1</guid>');
+    const { errors } = validateFeed(xml);
+    assert.deepStrictEqual(errors, ['item 2 (https://vikerraadio.err.ee/1): duplicate guid, first used by item 1']);
+  });
+
+  it('should report dates that are not RFC 822', () => {
+    const xml = validFeed.replace(/<pubDate>Mon, 15 Jan 2024 12:00:00 GMT<\/pubDate>\n\s+<enclosure/, '<pubDate>2024-01-15T12:00:00Z</pubDate><enclosure');
+    const { errors } = validateFeed(xml);
+    assert.deepStrictEqual(errors, ['item 1 (https://vikerraadio.err.ee/1): pubDate is not an RFC 822 date: "2024-01-15T12:00:00Z"']);
+  });
+
+  it('should require enclosures with a type and a numeric length', () => {
+    const xml = generateRSS(sampleEpisodes, 'https://example.com/feed.xml')
+      .replace('length="4096"', 'length="4 KB"')
+      .replace('type="audio/mp4" length="2048"', 'length="2048"');
+    const { errors } = validateFeed(xml);
+    assert.strictEqual(errors.length, 2);
+    assert.ok(errors.some(e => /item 1 .*enclosure length must be a number of bytes, got "4 KB"/.test(e)));
+    assert.ok(errors.some(e => /item 2 .*enclosure has no type/.test(e)));
+  });
+
+  it('should only warn about an unknown (zero) enclosure length', () => {
+    const xml = generateRSS([{ ...sampleEpisodes[0], audioLength: 0 }, sampleEpisodes[1]], 'https://example.com/feed.xml');
+    const { errors, warnings } = validateFeed(xml);
+    assert.deepStrictEqual(errors, []);
+    assert.ok(warnings.some(w => /item 1 .*enclosure length is 0 \(unknown\)/.test(w)));
+  });
+
+  it('should report undeclared namespace prefixes', () => {
+    const xml = validFeed.replace('</channel>', '<media:content url="https://example.com/a.m4a" /></channel>');
+    const { errors } = validateFeed(xml);
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0], /namespace prefix "media" is not declared/);
+  });
+
+  it('should reject documents that are not RSS 2.0', () => {
+    assert.deepStrictEqual(validateFeed('<feed></feed>').errors, ['root element must be <rss>, got <feed>']);
+    const { errors } = validateFeed(validFeed.replace('version="2.0"', 'version="0.91"'));
+    assert.deepStrictEqual(errors, ['rss: version must be "2.0"']);
+  });
+
+  it('should warn about recommended elements', () => {
+    const xml = validFeed.replace(/<itunes:author>.*<\/itunes:author>/, '');
+    const { errors, warnings } = validateFeed(xml);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(warnings, ['channel: missing <itunes:author>']);
+  });
+});
+
+describe('formatValidationReport', () => {
+  it('should summarize and list problems', () => {
+    const report = formatValidationReport({ errors: ['channel: missing <title>'], warnings: [] });
+    assert.strictEqual(report, '1 error, 0 warnings\n  error: channel: missing <title>');
+  });
+});
@@ -4,13 +4,16 @@
  * Uses Node.js built-in test runner and mock data from test/mocks/
  */
 
-import { describe, it, mock, beforeEach } from 'node:test';
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import { readFile } from 'node:fs/promises';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
 
-import { parseEpisode, generateRSS, stripHtml, escapeXml, clearCache } from '../src/index.js';
+import {
+  parseEpisode, parseSeries, buildChannel, generateRSS, fetchSeries, stripHtml, escapeXml, relayEpisode, clearCache,
+} from '../src/index.js';
+import { deleteCache, getRemainingTtl } from '../src/response-cache.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const MOCKS_DIR = join(__dirname, 'mocks');
@@ -88,6 +91,42 @@ describe('parseEpisode', () => {
     assert.ok(episode.audioUrl.startsWith('https://'), 'Audio URL should be HTTPS');
     assert.ok(episode.pubDate instanceof Date, 'pubDate should be a Date');
     assert.strictEqual(episode.link, 'https://vikerraadio.err.ee/1609912691');
+    assert.deepStrictEqual(episode.updated, new Date(1769635802 * 1000));
+  });
+
+  it('should read the availability window and restrictions', async () => {
+    const data = await loadMockData('getRadioPageData-1609912691.json');
+    const episode = parseEpisode(data.pageControlData.mainContent);
+
+    // 10000 catch-up days from the broadcast, no other limit
+    assert.deepStrictEqual(episode.availableUntil, new Date(episode.pubDate.getTime() + 10000 * 86400000));
+    assert.strictEqual(episode.drm, false);
+    assert.strictEqual(episode.geoBlocked, false);
+  });
+
+  it('should leave unnumbered episodes without credits unnumbered', async () => {
+    const data = await loadMockData('getRadioPageData-1609912691.json');
+    const episode = parseEpisode(data.pageControlData.mainContent);
+
+    assert.deepStrictEqual(episode.people, []);
+    assert.strictEqual(episode.season, 0);
+    assert.strictEqual(episode.episode, 0);
+    assert.ok(episode.imageSrcset.includes('w, https://s.err.ee/photo/crop/'));
+  });
+
+  it('should read makers, season and episode', () => {
+    const episode = parseEpisode({
+      id: 123,
+      heading: 'Test',
+      season: 3,
+      episode: '7',
+      makers: [{ name: 'Anne Reemann', role: 'Lugeja' }, { role: 'Toimetaja' }],
+      medias: [{ src: { file: 'https://example.com/audio.m4a' } }],
+    });
+
+    assert.deepStrictEqual(episode.people, [{ name: 'Anne Reemann', role: 'narrator', group: 'cast' }]);
+    assert.strictEqual(episode.season, 3);
+    assert.strictEqual(episode.episode, 7);
   });
 
   it('should return null for null input', () => {
@@ -139,6 +178,73 @@ describe('parseEpisode', () => {
   });
 });
 
+describe('relayEpisode', () => {
+  it('should point the enclosure at the audio relay and keep the extension', () => {
+    const episode = { id: 123, audioUrl: 'https://vod.err.ee/file/viker/abc.m4a' };
+    const relayed = relayEpisode(episode, 'https://feeds.example.com');
+    assert.strictEqual(relayed.audioUrl, 'https://feeds.example.com/audio/123.m4a');
+    assert.strictEqual(relayed.audioType, 'audio/x-m4a');
+  });
+
+  it('should keep a probed MIME type', () => {
+    const episode = { id: 123, audioUrl: 'https://vod.err.ee/file/viker/abc.m4a', audioType: 'audio/mp4' };
+    assert.strictEqual(relayEpisode(episode, 'http://localhost:8787').audioType, 'audio/mp4');
+  });
+});
+
+describe('parseSeries', () => {
+  it('should parse series metadata from broadcasts mock', async () => {
+    const data = await loadMockData('broadcasts-1038081.json');
+    const series = parseSeries(data, '1038081');
+
+    assert.strictEqual(series.id, '1038081');
+    assert.strictEqual(series.title, 'Vikerraadio Õhtujutt');
+    assert.strictEqual(series.link, 'https://vikerraadio.err.ee/ohtujutt_lastele');
+    assert.strictEqual(series.imageUrl, 'https://s.err.ee/photo/orig/2019/10/07/694332hc4cf.jpg');
+  });
+
+  it('should return null for null input', () => {
+    assert.strictEqual(parseSeries(null, '1'), null);
+  });
+
+  it('should fall back to request ID and empty fields for sparse responses', () => {
+    const series = parseSeries({ data: [] }, '42');
+    assert.strictEqual(series.id, '42');
+    assert.strictEqual(series.title, '');
+    assert.strictEqual(series.link, '');
+  });
+});
+
+describe('buildChannel', () => {
+  it('should keep the Õhtujutt description for the default series', () => {
+    const channel = buildChannel({
+      id: '1038081', title: 'Vikerraadio Õhtujutt', link: 'https://vikerraadio.err.ee/ohtujutt_lastele',
+      imageUrl: 'https://example.com/series.jpg', station: 'Vikerraadio',
+    });
+    assert.ok(channel.description.startsWith('Igaõhtused lastejutud'));
+    assert.strictEqual(channel.imageUrl, 'https://example.com/series.jpg');
+  });
+
+  it('should use series metadata for other series', () => {
+    const channel = buildChannel({
+      id: '555', title: 'Klassikaraadio Unejutt', link: 'https://klassikaraadio.err.ee/unejutt',
+      imageUrl: '', station: 'Klassikaraadio',
+    });
+    assert.strictEqual(channel.title, 'Klassikaraadio Unejutt');
+    assert.strictEqual(channel.link, 'https://klassikaraadio.err.ee/unejutt');
+    assert.strictEqual(channel.author, 'Klassikaraadio / ERR');
+    assert.ok(!channel.description.includes('Õhtujutu'));
+  });
+
+  it('should apply shared fields from feed.config.json to every series', () => {
+    const channel = buildChannel({
+      id: '555', title: 'Klassikaraadio Unejutt', link: '', imageUrl: '', station: 'Klassikaraadio',
+    });
+    assert.strictEqual(channel.ownerEmail, 'info@err.ee');
+    assert.strictEqual(channel.type, 'episodic');
+  });
+});
+
 describe('generateRSS', () => {
   const sampleEpisodes = [
     {
@@ -218,6 +324,20 @@ describe('generateRSS', () => {
     assert.ok(rss.includes('Episode One'));
   });
 
+  it('should add a notice to geo-blocked episodes', () => {
+    const rss = generateRSS([{ ...sampleEpisodes[0], geoBlocked: true }, sampleEpisodes[1]], 'https://example.com/feed.xml');
+    assert.ok(rss.includes('<description>First episode description\n\nKuulatav ainult Eestis.</description>'));
+    assert.ok(rss.includes('<description>Second episode description</description>'));
+  });
+
+  it('should render identically across builds of the same episodes', async () => {
+    const first = generateRSS(sampleEpisodes, 'https://example.com/feed.xml');
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    const second = generateRSS(sampleEpisodes, 'https://example.com/feed.xml');
+    assert.strictEqual(second, first);
+    assert.ok(first.includes('<lastBuildDate>Mon, 15 Jan 2024 12:00:00 GMT</lastBuildDate>'));
+  });
+
   it('should handle empty episodes array', () => {
     const rss = generateRSS([], 'https://example.com/feed.xml');
     assert.ok(rss.includes('<rss version="2.0"'));
@@ -236,6 +356,18 @@ describe('generateRSS', () => {
     assert.ok(rss.includes('vikerraadio.err.ee/img/vikerraadio_logo.png'));
   });
 
+  it('should use channel metadata when given', () => {
+    const channel = buildChannel({
+      id: '555', title: 'Klassikaraadio Unejutt', link: 'https://klassikaraadio.err.ee/unejutt',
+      imageUrl: 'https://example.com/series.jpg', station: 'Klassikaraadio',
+    });
+    const rss = generateRSS(sampleEpisodes, 'https://example.com/series/555/feed.xml', channel);
+    assert.ok(rss.includes('<title>Klassikaraadio Unejutt</title>'));
+    assert.ok(rss.includes('<link>https://klassikaraadio.err.ee/unejutt</link>'));
+    assert.ok(rss.includes('<itunes:image href="https://example.com/series.jpg"'));
+    assert.ok(rss.includes('<itunes:author>Klassikaraadio / ERR</itunes:author>'));
+  });
+
   it('should escape XML special characters in content', () => {
     const episodesWithSpecialChars = [{
       id: 1,
@@ -309,3 +441,135 @@ describe('Integration: Parse mock episodes and generate RSS', async () => {
     assert.strictEqual(itemCount, pastEpisodes.length, 'RSS item count should match past episodes');
   });
 });
+
+describe('fetchSeries archive crawling', () => {
+  let originalFetch;
+
+  // Three broadcasts pages linked by `previous` cursors: ids 10-8, 7-5 (with an overlap), 4-3
+  const pages = {
+    '': { seriesHeading: 'Õhtujutt', url: 'ohtujutt_lastele', data: [10, 9, 8], previous: 300 },
+    '300': { data: [8, 7, 6, 5], previous: 200 },
+    '200': { data: [4, 3], previous: 100 },
+    '100': { data: [], previous: 0 },
+  };
+
+  // Seconds added to an episode's `updated` time, to simulate edits on ERR's side
+  let edits = {};
+  // Extra media fields per episode (availability, restrictions)
+  let media = {};
+
+  function broadcast(id) {
+    return { id, scheduleStart: 1700000000 + id * 86400, updated: 1700000000 + (edits[id] || 0) };
+  }
+
+  function episodeResponse(id) {
+    return {
+      pageControlData: {
+        mainContent: {
+          id,
+          heading: `Episode ${id}`,
+          scheduleStart: 1700000000 + id * 86400,
+          updated: 1700000000 + (edits[id] || 0),
+          medias: [{ src: { file: `//example.com/${id}.m4a` }, ...media[id] }],
+        },
+      },
+    };
+  }
+
+  beforeEach(() => {
+    edits = {};
+    media = {};
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = mock.fn(async (url) => {
+      const { pathname, searchParams } = new URL(url);
+      let body;
+      if (pathname.endsWith('/broadcast/broadcasts')) {
+        const page = pages[searchParams.get('previous') || ''];
+        body = { ...page, data: page.data.map(broadcast) };
+      } else {
+        body = episodeResponse(Number(searchParams.get('contentId')));
+      }
+      return { ok: true, status: 200, json: async () => body };
+    });
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  function broadcastsCalls() {
+    return globalThis.fetch.mock.calls.filter(c => c.arguments[0].includes('/broadcast/broadcasts'));
+  }
+
+  it('should read only the first page when it covers the limit', async () => {
+    const { episodes } = await fetchSeries('1038081', { limit: 2 });
+    assert.deepStrictEqual(episodes.map(ep => ep.id), [10, 9]);
+    assert.strictEqual(broadcastsCalls().length, 1);
+  });
+
+  it('should follow previous cursors and drop duplicates', async () => {
+    const { episodes } = await fetchSeries('1038081', { limit: 100 });
+    assert.deepStrictEqual(episodes.map(ep => ep.id), [10, 9, 8, 7, 6, 5, 4, 3]);
+    assert.strictEqual(broadcastsCalls().length, 4);
+  });
+
+  it('should stop crawling at the episode limit', async () => {
+    const { episodes } = await fetchSeries('1038081', { limit: 5 });
+    assert.deepStrictEqual(episodes.map(ep => ep.id), [10, 9, 8, 7, 6]);
+    assert.strictEqual(broadcastsCalls().length, 2);
+  });
+
+  it('should stop crawling at the date limit', async () => {
+    const since = new Date((1700000000 + 6 * 86400) * 1000);
+    const { episodes } = await fetchSeries('1038081', { limit: 100, since });
+    assert.deepStrictEqual(episodes.map(ep => ep.id), [10, 9, 8, 7, 6]);
+    assert.strictEqual(broadcastsCalls().length, 2);
+  });
+
+  it('should count only broadcasts before the until date towards the limit', async () => {
+    const until = new Date((1700000000 + 8 * 86400) * 1000);
+    const { episodes } = await fetchSeries('1038081', { limit: 3, until });
+    assert.deepStrictEqual(episodes.map(ep => ep.id), [7, 6, 5]);
+    assert.strictEqual(broadcastsCalls().length, 2);
+  });
+
+  it('should cache each page separately', async () => {
+    await fetchSeries('1038081', { limit: 100 });
+    await fetchSeries('1038081', { limit: 100 });
+    assert.strictEqual(broadcastsCalls().length, 4);
+  });
+
+  it('should refetch cached episodes that were updated since', async () => {
+    await fetchSeries('1038081', { limit: 2 });
+    edits = { 9: 3600 };
+    deleteCache('broadcasts:1038081');
+
+    const { episodes } = await fetchSeries('1038081', { limit: 2 });
+    const episodeCalls = id => globalThis.fetch.mock.calls.filter(c => c.arguments[0].includes(`contentId=${id}`)).length;
+    assert.strictEqual(episodeCalls(10), 1);
+    assert.strictEqual(episodeCalls(9), 2);
+    assert.deepStrictEqual(episodes[1].updated, new Date((1700000000 + 3600) * 1000));
+  });
+
+  it('should leave out expired and DRM-protected episodes and flag geo-blocked ones', async () => {
+    media = {
+      10: { publicEnd: Math.floor(Date.now() / 1000) + 3600 },
+      9: { publicEnd: 1700000000 + 20 * 86400 },
+      8: { catchupDays: 7 },
+      7: { restrictions: { drm: true, geoBlock: false } },
+      6: { restrictions: { drm: false, geoBlock: true } },
+    };
+
+    const { episodes } = await fetchSeries('1038081', { limit: 5 });
+    assert.deepStrictEqual(episodes.map(ep => ep.id), [10, 6]);
+    assert.strictEqual(episodes[1].geoBlocked, true);
+  });
+
+  it('should cache episode data only until its window closes', async () => {
+    media = { 10: { publicEnd: Math.floor(Date.now() / 1000) + 60 } };
+    await fetchSeries('1038081', { limit: 1 });
+
+    const ttl = getRemainingTtl('episode:10');
+    assert.ok(ttl > 0 && ttl <= 60000, `TTL ${ttl}`);
+  });
+});
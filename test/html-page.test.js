@@ -0,0 +1,141 @@
+/**
+ * Tests for the HTML landing and episode pages
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  html, escapeHtml, formatDuration, subscribeUrl, renderLandingPage, renderEpisodePage, episodePagePath, LANDING_PAGE_CSP,
+} from '../src/html-page.js';
+import { buildFeedModel } from '../src/feed-model.js';
+
+const FEED_URLS = {
+  rss: 'https://example.com/feed.xml',
+  atom: 'https://example.com/feed.atom',
+  json: 'https://example.com/feed.json',
+};
+
+function episode(overrides = {}) {
+  return {
+    id: 1,
+    title: 'Õhtujutt. Piia uurib kelgumäge',
+    description: 'Loeb Anu Lamp',
+    audioUrl: 'https://vod.err.ee/file/viker/1.m4a',
+    pubDate: new Date('2024-01-15T18:45:00Z'),
+    imageUrl: 'https://example.com/1.jpg',
+    duration: 754,
+    link: 'https://vikerraadio.err.ee/1',
+    ...overrides,
+  };
+}
+
+describe('html-page', () => {
+  describe('html', () => {
+    it('should escape interpolated values but not nested fragments', () => {
+      const name = '<script>"x" & \'y\'</script>';
+      const fragment = html`<b>${name}</b>`;
+      assert.strictEqual(
+        html`<p>${fragment}</p>`.toString(),
+        '<p><b>&lt;script&gt;&quot;x&quot; &amp; &#39;y&#39;&lt;/script&gt;</b></p>'
+      );
+    });
+
+    it('should join arrays and skip false, null and undefined', () => {
+      const items = ['a', 'b'].map(x => html`<li>${x}</li>`);
+      assert.strictEqual(html`<ul>${items}${false}${null}${undefined}</ul>`.toString(), '<ul><li>a</li><li>b</li></ul>');
+    });
+  });
+
+  describe('escapeHtml', () => {
+    it('should escape markup characters', () => {
+      assert.strictEqual(escapeHtml('a < b > c & "d"'), 'a &lt; b &gt; c &amp; &quot;d&quot;');
+      assert.strictEqual(escapeHtml(null), '');
+    });
+  });
+
+  describe('formatDuration', () => {
+    it('should format minutes and hours', () => {
+      assert.strictEqual(formatDuration(59), '0:59');
+      assert.strictEqual(formatDuration(754.6), '12:34');
+      assert.strictEqual(formatDuration(3723), '1:02:03');
+    });
+  });
+
+  describe('subscribeUrl', () => {
+    it('should replace the http(s) scheme', () => {
+      assert.strictEqual(subscribeUrl('podcast', 'https://example.com/feed.xml'), 'podcast://example.com/feed.xml');
+      assert.strictEqual(subscribeUrl('pcast', 'http://localhost:8787/feed.xml'), 'pcast://localhost:8787/feed.xml');
+    });
+  });
+
+  describe('renderLandingPage', () => {
+    it('should render artwork, subscribe links and episodes with players', () => {
+      const page = renderLandingPage(buildFeedModel([episode()], FEED_URLS.rss), FEED_URLS);
+      assert.ok(page.startsWith('<!DOCTYPE html>'));
+      assert.ok(page.includes('<html lang="et">'));
+      assert.ok(page.includes('<img src="https://example.com/1.jpg"'));
+      assert.ok(page.includes('href="podcast://example.com/feed.xml"'));
+      assert.ok(page.includes('href="pcast://example.com/feed.xml"'));
+      assert.ok(page.includes('<link rel="alternate" type="application/rss+xml"'));
+      assert.ok(page.includes('<audio controls preload="none" src="https://vod.err.ee/file/viker/1.m4a"></audio>'));
+      assert.ok(page.includes('<time datetime="2024-01-15T18:45:00.000Z">15. jaanuar 2024</time> · 12:34'));
+      assert.ok(page.includes('<h3><a href="episodes/1.html">Õhtujutt. Piia uurib kelgumäge</a></h3>'));
+      assert.ok(page.includes('<meta property="og:image" content="https://example.com/1.jpg">'));
+      assert.ok(page.includes('<meta property="og:type" content="website">'));
+      assert.ok(!page.includes('og:audio'));
+    });
+
+    it('should escape episode data', () => {
+      const page = renderLandingPage(
+        buildFeedModel([episode({ title: '<img src=x onerror=alert(1)>', duration: 0 })], FEED_URLS.rss),
+        FEED_URLS
+      );
+      assert.ok(!page.includes('<img src=x'));
+      assert.ok(page.includes('&lt;img src=x onerror=alert(1)&gt;'));
+      assert.ok(!page.includes(' · '));
+    });
+  });
+
+  describe('episodePagePath', () => {
+    it('should place pages under episodes/ by ID', () => {
+      assert.strictEqual(episodePagePath({ id: 1609912691 }), 'episodes/1609912691.html');
+    });
+  });
+
+  describe('renderEpisodePage', () => {
+    it('should render the player, credits, links and preview tags', () => {
+      const model = buildFeedModel([episode({ people: [{ name: 'Anu Lamp', role: 'narrator', group: 'cast' }] })], FEED_URLS.rss);
+      const page = renderEpisodePage(model, model.items[0], FEED_URLS);
+      assert.ok(page.startsWith('<!DOCTYPE html>'));
+      assert.ok(page.includes('<title>Õhtujutt. Piia uurib kelgumäge – Vikerraadio Õhtujutt</title>'));
+      assert.ok(page.includes('<h1>Õhtujutt. Piia uurib kelgumäge</h1>'));
+      assert.ok(page.includes('<a href="../">Vikerraadio Õhtujutt</a>'));
+      assert.ok(page.includes('<audio controls preload="none" src="https://vod.err.ee/file/viker/1.m4a"></audio>'));
+      assert.ok(page.includes('<li>Anu Lamp (narrator)</li>'));
+      assert.ok(page.includes('<a href="https://vikerraadio.err.ee/1">'));
+      assert.ok(page.includes('<a href="https://vod.err.ee/file/viker/1.m4a" download>'));
+      assert.ok(page.includes('href="podcast://example.com/feed.xml"'));
+      assert.ok(page.includes('<meta property="og:audio" content="https://vod.err.ee/file/viker/1.m4a">'));
+      assert.ok(page.includes('<meta property="og:image" content="https://example.com/1.jpg">'));
+    });
+
+    it('should fall back to the channel artwork and description', () => {
+      const model = buildFeedModel([episode({ imageUrl: '', description: '' })], FEED_URLS.rss);
+      const page = renderEpisodePage(model, model.items[0], FEED_URLS);
+      assert.ok(page.includes(`<img src="${model.imageUrl}" alt="Õhtujutt. Piia uurib kelgumäge">`));
+      assert.ok(page.includes(`<meta name="description" content="${model.description}">`));
+      assert.ok(!page.includes('class="credits"'));
+    });
+  });
+
+  describe('LANDING_PAGE_CSP', () => {
+    it('should allow images and media but no scripts', () => {
+      assert.match(LANDING_PAGE_CSP, /default-src 'none'/);
+      assert.match(LANDING_PAGE_CSP, /img-src [^;]*https:/);
+      assert.match(LANDING_PAGE_CSP, /media-src [^;]*https:/);
+      assert.match(LANDING_PAGE_CSP, /style-src 'sha256-[A-Za-z0-9+/=]+'/);
+      assert.doesNotMatch(LANDING_PAGE_CSP, /script-src/);
+    });
+  });
+});
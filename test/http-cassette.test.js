@@ -0,0 +1,241 @@
+/**
+ * Tests for recording and replaying HTTP traffic
+ */
+
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { createCassette, requestKey, CassetteMissError, CASSETTE_VERSION } from '../src/http-cassette.js';
+import { TimeoutError, NetworkError } from '../src/http-errors.js';
+
+const HEADERS = ['content-type', 'content-length', 'retry-after'];
+
+describe('http-cassette', () => {
+  let dir;
+  let path;
+  let originalFetch;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'http-cassette-'));
+    path = join(dir, 'cassette.json');
+    originalFetch = globalThis.fetch;
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeCassette(entries) {
+    writeFileSync(path, JSON.stringify({ version: CASSETTE_VERSION, entries }));
+  }
+
+  describe('requestKey', () => {
+    it('should combine method, URL and Range', () => {
+      assert.strictEqual(requestKey('https://example.com/a'), 'GET https://example.com/a');
+      assert.strictEqual(requestKey('https://example.com/a', { method: 'head' }), 'HEAD https://example.com/a');
+      assert.strictEqual(
+        requestKey('https://example.com/a.m4a', { headers: { Range: 'bytes=0-0' } }),
+        'GET https://example.com/a.m4a bytes=0-0'
+      );
+    });
+  });
+
+  describe('createCassette', () => {
+    it('should reject unknown modes', () => {
+      assert.throws(() => createCassette({ mode: 'rewind' }), /Unknown cassette mode "rewind"/);
+    });
+
+    it('should fail loudly when a replay cassette is missing', () => {
+      assert.throws(() => createCassette({ mode: 'replay', path }), /Cannot read cassette/);
+    });
+  });
+
+  describe('passthrough', () => {
+    it('should call fetch and record nothing', async () => {
+      globalThis.fetch = mock.fn(async () => new Response('ok'));
+      const cassette = createCassette({ mode: 'passthrough' });
+
+      const response = await cassette.fetch('https://example.com/a');
+      assert.strictEqual(await response.text(), 'ok');
+      assert.deepStrictEqual(cassette.entries(), []);
+    });
+  });
+
+  describe('record', () => {
+    it('should save status, listed headers and body, and still return the body', async () => {
+      globalThis.fetch = mock.fn(async () => new Response('{"data":[]}', {
+        status: 200,
+        headers: { 'content-type': 'application/json', 'set-cookie': 'secret=1' },
+      }));
+      const cassette = createCassette({ mode: 'record', path, headers: HEADERS });
+
+      const response = await cassette.fetch('https://example.com/api');
+      assert.deepStrictEqual(await response.json(), { data: [] });
+      cassette.save();
+
+      const saved = JSON.parse(readFileSync(path, 'utf-8'));
+      assert.strictEqual(saved.version, CASSETTE_VERSION);
+      assert.strictEqual(saved.entries.length, 1);
+      const [entry] = saved.entries;
+      assert.strictEqual(entry.key, 'GET https://example.com/api');
+      assert.strictEqual(entry.status, 200);
+      assert.deepStrictEqual(entry.headers, { 'content-type': 'application/json' });
+      assert.strictEqual(entry.body, '{"data":[]}');
+    });
+
+    it('should store binary bodies as base64 and cut off large ones in the cassette only', async () => {
+      const big = Buffer.alloc(1024 * 1024 + 10, 1);
+      globalThis.fetch = mock.fn(async () => new Response(big, { headers: { 'content-type': 'audio/mp4' } }));
+      const cassette = createCassette({ mode: 'record', path, headers: HEADERS });
+
+      const response = await cassette.fetch('https://example.com/a.m4a', { headers: { Range: 'bytes=0-0' } });
+      assert.deepStrictEqual(Buffer.from(await response.arrayBuffer()), big);
+
+      const [entry] = cassette.entries();
+      assert.strictEqual(entry.key, 'GET https://example.com/a.m4a bytes=0-0');
+      assert.strictEqual(Buffer.from(entry.base64, 'base64').length, 1024 * 1024);
+      assert.strictEqual(entry.truncated, true);
+    });
+
+    it('should record network errors and timeouts', async () => {
+      const cassette = createCassette({ mode: 'record', path, headers: HEADERS });
+
+      globalThis.fetch = mock.fn(async () => {
+        throw Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } });
+      });
+      await assert.rejects(cassette.fetch('https://example.com/a'), /fetch failed/);
+
+      const controller = new AbortController();
+      controller.abort();
+      globalThis.fetch = mock.fn(async () => { throw new DOMException('aborted', 'AbortError'); });
+      await assert.rejects(cassette.fetch('https://example.com/b', { signal: controller.signal }));
+
+      const [network, timeout] = cassette.entries();
+      assert.strictEqual(network.error.type, 'network');
+      assert.strictEqual(network.error.code, 'ECONNRESET');
+      assert.strictEqual(timeout.error.type, 'timeout');
+    });
+
+    it('should record a body that broke off and replay it failing the same way', async () => {
+      globalThis.fetch = mock.fn(async () => new Response(new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode('{"da'));
+          controller.error(Object.assign(new TypeError('terminated'), { cause: { code: 'ECONNRESET' } }));
+        },
+      }), { status: 200, headers: { 'content-type': 'application/json' } }));
+      const recorder = createCassette({ mode: 'record', path, headers: HEADERS });
+
+      await assert.rejects(recorder.fetch('https://example.com/api'), /terminated/);
+      recorder.save();
+      const [entry] = JSON.parse(readFileSync(path, 'utf-8')).entries;
+      assert.strictEqual(entry.status, 200);
+      assert.strictEqual(entry.bodyError.type, 'network');
+      assert.strictEqual(entry.bodyError.code, 'ECONNRESET');
+
+      const player = createCassette({ mode: 'replay', path });
+      const response = await player.fetch('https://example.com/api');
+      assert.strictEqual(response.status, 200);
+      await assert.rejects(response.json(), (error) => {
+        assert.ok(error instanceof NetworkError);
+        assert.match(error.message, /ECONNRESET/);
+        return true;
+      });
+    });
+
+    it('should share one exit listener between cassettes', () => {
+      createCassette({ mode: 'record', path, headers: HEADERS });
+      const listeners = process.listenerCount('exit');
+      createCassette({ mode: 'record', path: join(dir, 'other.json'), headers: HEADERS });
+      createCassette({ mode: 'record', path: join(dir, 'third.json'), headers: HEADERS });
+      assert.strictEqual(process.listenerCount('exit'), listeners);
+    });
+
+    it('should pass streams through without recording them', async () => {
+      globalThis.fetch = mock.fn(async () => new Response('audio'));
+      const cassette = createCassette({ mode: 'record', path, headers: HEADERS });
+
+      const response = await cassette.fetch('https://example.com/a.m4a', {}, { stream: true });
+      assert.strictEqual(await response.text(), 'audio');
+      assert.deepStrictEqual(cassette.entries(), []);
+    });
+  });
+
+  describe('replay', () => {
+    beforeEach(() => {
+      globalThis.fetch = mock.fn(async () => { throw new Error('network used during replay'); });
+    });
+
+    it('should answer from the recording', async () => {
+      writeCassette([{
+        key: 'GET https://example.com/api', status: 200, statusText: 'OK',
+        headers: { 'content-type': 'application/json' }, body: '{"data":[1]}',
+      }]);
+      const cassette = createCassette({ mode: 'replay', path });
+
+      const response = await cassette.fetch('https://example.com/api');
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('content-type'), 'application/json');
+      assert.deepStrictEqual(await response.json(), { data: [1] });
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 0);
+    });
+
+    it('should replay repeated requests in order, then repeat the last', async () => {
+      writeCassette([
+        { key: 'GET https://example.com/api', status: 503, statusText: 'Service Unavailable', headers: { 'retry-after': '1' }, body: '' },
+        { key: 'GET https://example.com/api', status: 200, statusText: 'OK', headers: {}, body: 'ok' },
+      ]);
+      const cassette = createCassette({ mode: 'replay', path });
+
+      const statuses = [];
+      for (let i = 0; i < 3; i++) statuses.push((await cassette.fetch('https://example.com/api')).status);
+      assert.deepStrictEqual(statuses, [503, 200, 200]);
+    });
+
+    it('should replay errors as TimeoutError and NetworkError', async () => {
+      writeCassette([
+        { key: 'GET https://example.com/slow', error: { type: 'timeout', elapsedMs: 10000 } },
+        { key: 'GET https://example.com/down', error: { type: 'network', message: 'fetch failed', code: 'ECONNREFUSED', elapsedMs: 3 } },
+      ]);
+      const cassette = createCassette({ mode: 'replay', path });
+
+      await assert.rejects(cassette.fetch('https://example.com/slow'), TimeoutError);
+      await assert.rejects(cassette.fetch('https://example.com/down'), (error) => {
+        assert.ok(error instanceof NetworkError);
+        assert.match(error.message, /ECONNREFUSED/);
+        return true;
+      });
+    });
+
+    it('should answer HEAD without a body and binary bodies as bytes', async () => {
+      writeCassette([
+        { key: 'HEAD https://example.com/a.m4a', status: 200, headers: { 'content-length': '5' }, base64: '' },
+        { key: 'GET https://example.com/a.m4a bytes=0-0', status: 206, headers: {}, base64: Buffer.from([7]).toString('base64') },
+      ]);
+      const cassette = createCassette({ mode: 'replay', path });
+
+      const head = await cassette.fetch('https://example.com/a.m4a', { method: 'HEAD' });
+      assert.strictEqual(head.body, null);
+      assert.strictEqual(head.headers.get('content-length'), '5');
+
+      const range = await cassette.fetch('https://example.com/a.m4a', { headers: { Range: 'bytes=0-0' } });
+      assert.deepStrictEqual([...new Uint8Array(await range.arrayBuffer())], [7]);
+    });
+
+    it('should throw CassetteMissError for requests that were not recorded', async () => {
+      writeCassette([]);
+      const cassette = createCassette({ mode: 'replay', path });
+
+      await assert.rejects(cassette.fetch('https://example.com/other'), (error) => {
+        assert.ok(error instanceof CassetteMissError);
+        assert.strictEqual(error.key, 'GET https://example.com/other');
+        return true;
+      });
+      await assert.rejects(cassette.fetch('https://example.com/a.m4a', {}, { stream: true }), CassetteMissError);
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 0);
+    });
+  });
+});
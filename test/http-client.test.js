@@ -4,16 +4,29 @@
 
 import { describe, it, mock, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
-import { fetchWithRetry, getPendingCount, getActiveCount, getConfig } from '../src/http-client.js';
+import {
+  fetchWithRetry, fetchJson, fetchStream, getPendingCount, getActiveCount, getActiveStreamCount, getConfig, getCircuitStatus, resetCircuits,
+  useCassette, CircuitOpenError, HttpError, TimeoutError, NetworkError, ParseError, CassetteMissError,
+} from '../src/http-client.js';
+import { renderMetrics, resetMetrics } from '../src/metrics.js';
 
 describe('http-client', () => {
   describe('getConfig', () => {
     it('should return default configuration', () => {
       const config = getConfig();
       assert.strictEqual(config.maxConcurrent, 5);
+      assert.strictEqual(config.maxConcurrentStreams, 4);
       assert.strictEqual(config.maxRetries, 2);
       assert.strictEqual(config.initialRetryDelayMs, 500);
+      assert.strictEqual(config.maxRetryDelayMs, 10000);
+      assert.strictEqual(config.deadlineMs, 60000);
+      assert.strictEqual(config.circuitFailureThreshold, 5);
+      assert.strictEqual(config.circuitResetMs, 30000);
+      assert.strictEqual(config.cassetteMode, 'passthrough');
     });
   });
 
@@ -29,6 +42,7 @@ describe('http-client', () => {
 
     beforeEach(() => {
       originalFetch = globalThis.fetch;
+      resetCircuits();
     });
 
     afterEach(() => {
@@ -65,9 +79,15 @@ describe('http-client', () => {
         return { ok: true, status: 200 };
       });
 
+      resetMetrics();
       const response = await fetchWithRetry('https://example.com/api', 5000);
       assert.strictEqual(response.ok, true);
       assert.strictEqual(callCount, 3);
+
+      const metrics = renderMetrics();
+      assert.ok(metrics.includes('ohtujutt_upstream_requests_total{status="500"} 2'));
+      assert.ok(metrics.includes('ohtujutt_upstream_requests_total{status="200"} 1'));
+      assert.ok(metrics.includes('ohtujutt_upstream_retries_total 2'));
     });
 
     it('should not retry on 4xx errors (except 429)', async () => {
@@ -105,6 +125,7 @@ describe('http-client', () => {
         await fetchWithRetry('https://example.com/api', 5000);
         assert.fail('Expected an error to be thrown');
       } catch (error) {
+        assert.ok(error instanceof HttpError);
         assert.strictEqual(error.status, 403);
         assert.strictEqual(error.url, 'https://example.com/api');
         assert.strictEqual(typeof error.elapsedMs, 'number');
@@ -131,9 +152,12 @@ describe('http-client', () => {
         return { ok: true, status: 200 };
       });
 
+      const start = Date.now();
       const response = await fetchWithRetry('https://example.com/api', 5000);
       assert.strictEqual(response.ok, true);
       assert.strictEqual(callCount, 2);
+      // Waited as long as Retry-After asked, not the 250-500ms backoff
+      assert.ok(Date.now() - start >= 1000);
     });
 
     it('should throw after max retries exceeded', async () => {
@@ -171,7 +195,12 @@ describe('http-client', () => {
 
       await assert.rejects(
         fetchWithRetry('https://example.com/api', 100), // 100ms timeout
-        /aborted/i
+        (error) => {
+          assert.ok(error instanceof TimeoutError);
+          assert.strictEqual(error.timeoutMs, 100);
+          assert.match(error.message, /aborted/i);
+          return true;
+        }
       );
     });
 
@@ -191,5 +220,336 @@ describe('http-client', () => {
       assert.strictEqual(response.ok, true);
       assert.strictEqual(callCount, 3);
     });
+
+    it('should wrap network errors with their cause', async () => {
+      const cause = new TypeError('fetch failed');
+      globalThis.fetch = mock.fn(async () => {
+        throw cause;
+      });
+
+      await assert.rejects(fetchWithRetry('https://example.com/api', 5000, { retry: false }), (error) => {
+        assert.ok(error instanceof NetworkError);
+        assert.strictEqual(error.cause, cause);
+        assert.strictEqual(error.url, 'https://example.com/api');
+        return true;
+      });
+    });
+
+    it('should not pass retry options on to fetch', async () => {
+      globalThis.fetch = mock.fn(async () => ({ ok: true, status: 200 }));
+
+      await fetchWithRetry('https://example.com/api', 5000, { method: 'HEAD', retry: { retries: 1 } });
+      const fetchOptions = globalThis.fetch.mock.calls[0].arguments[1];
+      assert.strictEqual(fetchOptions.method, 'HEAD');
+      assert.strictEqual('retry' in fetchOptions, false);
+    });
+
+    it('should take per-request retry counts', async () => {
+      globalThis.fetch = mock.fn(async () => ({
+        ok: false, status: 500, statusText: 'Internal Server Error', headers: { get: () => null }, text: async () => '',
+      }));
+
+      await assert.rejects(fetchWithRetry('https://example.com/api', 5000, { retry: false }), HttpError);
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 1);
+
+      await assert.rejects(fetchWithRetry('https://example.com/api', 5000, { retry: { retries: 1, initialDelayMs: 10 } }), HttpError);
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 3);
+    });
+
+    it('should not retry past the deadline', async () => {
+      const errorHeaders = new Map([['retry-after', '120']]);
+      globalThis.fetch = mock.fn(async () => ({
+        ok: false,
+        status: 503,
+        statusText: 'Service Unavailable',
+        headers: { get: (name) => errorHeaders.get(name) || null },
+        text: async () => '',
+      }));
+
+      const start = Date.now();
+      await assert.rejects(fetchWithRetry('https://example.com/api', 5000), (error) => {
+        assert.strictEqual(error.status, 503);
+        assert.strictEqual(error.retryAfterMs, 120000);
+        return true;
+      });
+      // Retry-After is longer than the 60s deadline, so it gives up at once
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 1);
+      assert.ok(Date.now() - start < 1000);
+    });
+
+    it('should shorten the last attempt to fit the deadline', async () => {
+      globalThis.fetch = mock.fn(async (url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+      }));
+
+      await assert.rejects(
+        fetchWithRetry('https://example.com/api', 5000, { retry: { deadlineMs: 50 } }),
+        (error) => {
+          assert.ok(error instanceof TimeoutError);
+          assert.ok(error.timeoutMs <= 50);
+          return true;
+        }
+      );
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 1);
+    });
+  });
+
+  describe('fetchJson', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = globalThis.fetch;
+      resetCircuits();
+    });
+
+    afterEach(() => {
+      globalThis.fetch = originalFetch;
+    });
+
+    it('should return the parsed body', async () => {
+      globalThis.fetch = mock.fn(async () => ({ ok: true, status: 200, json: async () => ({ data: [] }) }));
+      assert.deepStrictEqual(await fetchJson('https://example.com/api', 5000), { data: [] });
+    });
+
+    it('should throw a ParseError for invalid JSON', async () => {
+      globalThis.fetch = mock.fn(async () => ({
+        ok: true,
+        status: 200,
+        json: async () => JSON.parse('<html>'),
+      }));
+
+      await assert.rejects(fetchJson('https://example.com/api', 5000), (error) => {
+        assert.ok(error instanceof ParseError);
+        assert.strictEqual(error.url, 'https://example.com/api');
+        assert.ok(error.cause instanceof SyntaxError);
+        return true;
+      });
+      // Not retried
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 1);
+    });
+
+    it('should retry a body cut off mid-read', async () => {
+      let calls = 0;
+      globalThis.fetch = mock.fn(async () => ({
+        ok: true,
+        status: 200,
+        json: async () => {
+          if (++calls === 1) throw new TypeError('terminated');
+          return { data: [] };
+        },
+      }));
+
+      assert.deepStrictEqual(await fetchJson('https://example.com/api', 5000, { retry: { initialDelayMs: 1 } }), { data: [] });
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 2);
+    });
+
+    it('should throw a NetworkError when the body is cut off on every attempt', async () => {
+      globalThis.fetch = mock.fn(async () => ({
+        ok: true,
+        status: 200,
+        json: async () => { throw new TypeError('terminated'); },
+      }));
+
+      await assert.rejects(fetchJson('https://example.com/api', 5000, { retry: { initialDelayMs: 1 } }), (error) => {
+        assert.ok(error instanceof NetworkError);
+        assert.match(error.message, /terminated/);
+        return true;
+      });
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 3);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = globalThis.fetch;
+      resetCircuits();
+    });
+
+    afterEach(() => {
+      globalThis.fetch = originalFetch;
+    });
+
+    it('should open after repeated failures and then fail fast', async () => {
+      globalThis.fetch = mock.fn(async () => {
+        throw new TypeError('fetch failed');
+      });
+
+      // 3 attempts, then 2 more before the fifth failure opens the circuit mid-retry
+      await assert.rejects(fetchWithRetry('https://down.example.com/a', 5000), NetworkError);
+      await assert.rejects(fetchWithRetry('https://down.example.com/b', 5000), CircuitOpenError);
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 5);
+
+      await assert.rejects(fetchWithRetry('https://down.example.com/c', 5000), (error) => {
+        assert.strictEqual(error.code, 'CIRCUIT_OPEN');
+        assert.strictEqual(error.host, 'down.example.com');
+        return true;
+      });
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 5);
+
+      const [status] = getCircuitStatus();
+      assert.strictEqual(status.host, 'down.example.com');
+      assert.strictEqual(status.state, 'open');
+      assert.ok(status.retryAt);
+    });
+
+    it('should keep circuits per host and not count 4xx responses', async () => {
+      globalThis.fetch = mock.fn(async () => ({
+        ok: false, status: 404, statusText: 'Not Found', headers: { get: () => null }, text: async () => '',
+      }));
+
+      for (let i = 0; i < 6; i++) {
+        await assert.rejects(fetchWithRetry('https://up.example.com/missing', 5000), /HTTP 404/);
+      }
+      assert.deepStrictEqual(getCircuitStatus().map(s => [s.host, s.state, s.failures]), [['up.example.com', 'closed', 0]]);
+    });
+  });
+
+  describe('fetchStream', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = globalThis.fetch;
+      resetCircuits();
+    });
+
+    afterEach(() => {
+      globalThis.fetch = originalFetch;
+    });
+
+    it('should hold a slot of the shared limiter until the body is consumed', async () => {
+      globalThis.fetch = mock.fn(async () => ({ ok: true, status: 206 }));
+
+      const result = await fetchStream('https://example.com/audio.m4a', 5000, { headers: { Range: 'bytes=0-1' } }, async (response) => {
+        assert.strictEqual(getActiveStreamCount(), 1);
+        assert.strictEqual(getActiveCount(), 1);
+        return response.status;
+      });
+
+      assert.strictEqual(result, 206);
+      assert.strictEqual(getActiveStreamCount(), 0);
+      assert.deepStrictEqual(globalThis.fetch.mock.calls[0].arguments[1].headers, { Range: 'bytes=0-1' });
+    });
+
+    it('should abort the upstream request when the external signal fires', async () => {
+      globalThis.fetch = mock.fn(async (url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => {
+          const error = new Error('The operation was aborted');
+          error.name = 'AbortError';
+          reject(error);
+        });
+      }));
+
+      const controller = new AbortController();
+      const pending = fetchStream('https://example.com/audio.m4a', 5000, { signal: controller.signal }, async () => {});
+      setTimeout(() => controller.abort(), 10);
+
+      await assert.rejects(pending, /aborted/i);
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 1);
+    });
+
+    it('should leave API requests a slot while downloads wait for theirs', async () => {
+      let finishStreams;
+      const streaming = new Promise(resolve => { finishStreams = resolve; });
+      globalThis.fetch = mock.fn(async () => ({ ok: true, status: 200, json: async () => ({ data: [] }) }));
+
+      const streams = Array.from({ length: 10 }, () => fetchStream('https://example.com/audio.m4a', 5000, {}, () => streaming));
+      await new Promise(resolve => setImmediate(resolve));
+      const { maxConcurrent, maxConcurrentStreams } = getConfig();
+      assert.strictEqual(getActiveStreamCount(), maxConcurrentStreams);
+      assert.ok(maxConcurrentStreams < maxConcurrent);
+
+      assert.deepStrictEqual(await fetchJson('https://example.com/api', 5000), { data: [] });
+      finishStreams();
+      await Promise.all(streams);
+    });
+
+    it('should not count client aborts for or against the circuit', async () => {
+      // Two failures against the host first
+      globalThis.fetch = mock.fn(async () => { throw new TypeError('fetch failed'); });
+      for (let i = 0; i < 2; i++) {
+        await assert.rejects(fetchStream('https://cdn.example.com/a.m4a', 5000, {}, async () => {}), NetworkError);
+      }
+
+      globalThis.fetch = mock.fn(async (url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted', 'AbortError')));
+      }));
+      const controller = new AbortController();
+      const pending = fetchStream('https://cdn.example.com/a.m4a', 5000, { signal: controller.signal }, async () => {});
+      setTimeout(() => controller.abort(), 10);
+      await assert.rejects(pending, /aborted/i);
+
+      assert.deepStrictEqual(getCircuitStatus().map(s => [s.host, s.failures]), [['cdn.example.com', 2]]);
+    });
+  });
+
+  describe('cassettes', () => {
+    let dir;
+    let originalFetch;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'http-client-cassette-'));
+      originalFetch = globalThis.fetch;
+      resetCircuits();
+    });
+
+    afterEach(() => {
+      useCassette({ mode: 'passthrough' });
+      globalThis.fetch = originalFetch;
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should replay a recorded run, retries included, without the network', async () => {
+      const path = join(dir, 'run.json');
+      let calls = 0;
+      globalThis.fetch = mock.fn(async () => (++calls === 1
+        ? new Response('busy', { status: 503, statusText: 'Service Unavailable', headers: { 'retry-after': '0' } })
+        : Response.json({ data: [1, 2] })));
+
+      const recorder = useCassette({ mode: 'record', path });
+      assert.deepStrictEqual(await fetchJson('https://api.example.com/list', 5000, { retry: { initialDelayMs: 1 } }), { data: [1, 2] });
+      recorder.save();
+      assert.deepStrictEqual(recorder.entries().map(e => e.status), [503, 200]);
+
+      globalThis.fetch = mock.fn(async () => { throw new Error('network used during replay'); });
+      useCassette({ mode: 'replay', path });
+      assert.deepStrictEqual(await fetchJson('https://api.example.com/list', 5000, { retry: { initialDelayMs: 1 } }), { data: [1, 2] });
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 0);
+    });
+
+    it('should not retry unrecorded requests or count them against the circuit', async () => {
+      const path = join(dir, 'empty.json');
+      useCassette({ mode: 'record', path }).save();
+      useCassette({ mode: 'replay', path });
+
+      await assert.rejects(fetchWithRetry('https://api.example.com/missing', 5000), CassetteMissError);
+      assert.deepStrictEqual(getCircuitStatus().map(c => c.failures), [0]);
+    });
+
+    it('should hand back a half-open trial taken by an unrecorded request', async (t) => {
+      const path = join(dir, 'run.json');
+      globalThis.fetch = mock.fn(async () => Response.json({ data: [] }));
+      const recorder = useCassette({ mode: 'record', path });
+      await fetchJson('https://api.example.com/list', 5000);
+      recorder.save();
+      resetCircuits();
+
+      // Circuits read the clock they were created with: open one on a mocked clock
+      t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+      globalThis.fetch = mock.fn(async () => { throw new TypeError('fetch failed'); });
+      useCassette({ mode: 'passthrough' });
+      const retry = { initialDelayMs: 1 };
+      await assert.rejects(fetchWithRetry('https://api.example.com/a', 5000, { retry }), NetworkError);
+      await assert.rejects(fetchWithRetry('https://api.example.com/a', 5000, { retry }), CircuitOpenError);
+
+      // The first request after the reset timeout is the trial, and it misses the cassette
+      t.mock.timers.tick(getConfig().circuitResetMs);
+      useCassette({ mode: 'replay', path });
+      await assert.rejects(fetchJson('https://api.example.com/missing', 5000), CassetteMissError);
+
+      assert.deepStrictEqual(await fetchJson('https://api.example.com/list', 5000), { data: [] });
+      assert.strictEqual(getCircuitStatus()[0].state, 'closed');
+    });
   });
 });
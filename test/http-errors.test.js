@@ -0,0 +1,90 @@
+/**
+ * Tests for the upstream error classes
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { parseRetryAfter, HttpError, TimeoutError, NetworkError, ParseError } from '../src/http-errors.js';
+
+describe('http-errors', () => {
+  describe('parseRetryAfter', () => {
+    it('should read delay-seconds', () => {
+      assert.strictEqual(parseRetryAfter('120'), 120000);
+      assert.strictEqual(parseRetryAfter(' 0 '), 0);
+    });
+
+    it('should read an HTTP-date relative to now', () => {
+      const now = Date.parse('2026-01-29T18:00:00Z');
+      assert.strictEqual(parseRetryAfter('Thu, 29 Jan 2026 18:00:30 GMT', now), 30000);
+      // A date in the past means "now"
+      assert.strictEqual(parseRetryAfter('Thu, 29 Jan 2026 17:00:00 GMT', now), 0);
+    });
+
+    it('should return null for missing or invalid values', () => {
+      assert.strictEqual(parseRetryAfter(null), null);
+      assert.strictEqual(parseRetryAfter(''), null);
+      assert.strictEqual(parseRetryAfter('soon'), null);
+      assert.strictEqual(parseRetryAfter('-5'), null);
+    });
+  });
+
+  describe('HttpError', () => {
+    it('should carry the response details and Retry-After', () => {
+      const error = new HttpError({
+        status: 503,
+        statusText: 'Service Unavailable',
+        url: 'https://example.com/api',
+        elapsedMs: 12,
+        responseHeaders: { 'retry-after': '5', server: 'nginx' },
+        bodySnippet: 'maintenance',
+      });
+
+      assert.ok(error instanceof Error);
+      assert.strictEqual(error.name, 'HttpError');
+      assert.strictEqual(error.code, 'HTTP_ERROR');
+      assert.strictEqual(error.message, 'HTTP 503: Service Unavailable');
+      assert.strictEqual(error.status, 503);
+      assert.strictEqual(error.url, 'https://example.com/api');
+      assert.strictEqual(error.retryAfterMs, 5000);
+      assert.strictEqual(error.bodySnippet, 'maintenance');
+    });
+
+    it('should leave retryAfterMs null without the header', () => {
+      const error = new HttpError({ status: 500, url: 'https://example.com/api', elapsedMs: 1 });
+      assert.strictEqual(error.retryAfterMs, null);
+      assert.deepStrictEqual(error.responseHeaders, {});
+    });
+  });
+
+  describe('TimeoutError', () => {
+    it('should name the limit that was hit', () => {
+      const error = new TimeoutError({ url: 'https://example.com/api', timeoutMs: 100, elapsedMs: 101 });
+      assert.strictEqual(error.code, 'TIMEOUT');
+      assert.strictEqual(error.timeoutMs, 100);
+      assert.match(error.message, /aborted after 100ms/);
+    });
+  });
+
+  describe('NetworkError', () => {
+    it('should report the underlying cause', () => {
+      const cause = new TypeError('fetch failed', { cause: Object.assign(new Error('connect'), { code: 'ECONNREFUSED' }) });
+      const error = new NetworkError({ url: 'https://example.com/api', elapsedMs: 3, cause });
+
+      assert.strictEqual(error.code, 'NETWORK_ERROR');
+      assert.strictEqual(error.cause, cause);
+      assert.strictEqual(error.message, 'Network error for https://example.com/api: ECONNREFUSED');
+    });
+  });
+
+  describe('ParseError', () => {
+    it('should wrap the parser error', () => {
+      const cause = new SyntaxError('Unexpected token < in JSON');
+      const error = new ParseError({ url: 'https://example.com/api', cause });
+
+      assert.strictEqual(error.code, 'PARSE_ERROR');
+      assert.strictEqual(error.cause, cause);
+      assert.match(error.message, /Unexpected token/);
+    });
+  });
+});
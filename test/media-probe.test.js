@@ -0,0 +1,154 @@
+/**
+ * Tests for the media probe module
+ */
+
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+
+import { mimeTypeForUrl, probeMedia, probeEpisodeMedia } from '../src/media-probe.js';
+import { clearCache, getCached } from '../src/response-cache.js';
+
+function response(status, headers) {
+  const map = new Map(Object.entries(headers));
+  return {
+    ok: status < 400,
+    status,
+    statusText: '',
+    headers: { get: (name) => map.get(name) || null },
+    text: async () => '',
+  };
+}
+
+function box(type, payload) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + payload.length);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+}
+
+// ftyp, moov with a version 0 mvhd, and a little audio
+function mp4File(timescale, duration) {
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(timescale, 12);
+  mvhd.writeUInt32BE(duration, 16);
+  return Buffer.concat([box('ftyp', Buffer.from('M4A \0\0\0\0')), box('moov', box('mvhd', mvhd)), box('mdat', Buffer.alloc(500))]);
+}
+
+function rangeResponse(file, range) {
+  const [, start, end] = range.match(/bytes=(\d+)-(\d+)/).map(Number);
+  const bytes = file.subarray(start, end + 1);
+  return new Response(bytes, {
+    status: 206,
+    headers: { 'content-range': `bytes ${start}-${start + bytes.length - 1}/${file.length}` },
+  });
+}
+
+describe('media-probe', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+    clearCache();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  describe('mimeTypeForUrl', () => {
+    it('should map known extensions', () => {
+      assert.strictEqual(mimeTypeForUrl('https://vod.err.ee/file/viker/abc.m4a'), 'audio/x-m4a');
+      assert.strictEqual(mimeTypeForUrl('https://example.com/ep.MP3?x=1'), 'audio/mpeg');
+      assert.strictEqual(mimeTypeForUrl('//vod.err.ee/hls/viker/abc/a/master.m3u8'), 'application/vnd.apple.mpegurl');
+    });
+
+    it('should default to audio/mpeg', () => {
+      assert.strictEqual(mimeTypeForUrl('https://example.com/stream'), 'audio/mpeg');
+    });
+  });
+
+  describe('probeMedia', () => {
+    it('should read size and type from HEAD', async () => {
+      globalThis.fetch = mock.fn(async () => response(200, {
+        'content-length': '4567890', 'content-type': 'audio/mp4',
+      }));
+
+      const info = await probeMedia('https://example.com/ep.m4a', 1000);
+      assert.deepStrictEqual(info, { type: 'audio/mp4', length: 4567890 });
+      assert.strictEqual(globalThis.fetch.mock.calls[0].arguments[1].method, 'HEAD');
+    });
+
+    it('should fall back to a Range GET when HEAD has no size', async () => {
+      globalThis.fetch = mock.fn(async (url, options) => {
+        if (options.method === 'HEAD') return response(405, {});
+        return response(206, { 'content-range': 'bytes 0-0/98765', 'content-type': 'application/octet-stream' });
+      });
+
+      const info = await probeMedia('https://example.com/ep.m4a', 1000);
+      assert.deepStrictEqual(info, { type: 'audio/x-m4a', length: 98765 });
+      assert.strictEqual(globalThis.fetch.mock.calls[1].arguments[1].headers.Range, 'bytes=0-0');
+    });
+
+    it('should cache successful probes', async () => {
+      globalThis.fetch = mock.fn(async () => response(200, { 'content-length': '100', 'content-type': 'audio/mp4' }));
+
+      await probeMedia('https://example.com/ep.m4a', 1000);
+      await probeMedia('https://example.com/ep.m4a', 1000);
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 1);
+      assert.deepStrictEqual(getCached('media:https://example.com/ep.m4a'), { type: 'audio/mp4', length: 100 });
+    });
+
+    it('should fall back to the extension mapping and not cache failures', async () => {
+      globalThis.fetch = mock.fn(async () => response(404, {}));
+
+      const info = await probeMedia('https://example.com/ep.m4a', 1000);
+      assert.deepStrictEqual(info, { type: 'audio/x-m4a', length: 0 });
+      assert.strictEqual(getCached('media:https://example.com/ep.m4a'), undefined);
+    });
+  });
+
+  describe('probeEpisodeMedia', () => {
+    it('should annotate published episodes and skip future ones', async () => {
+      globalThis.fetch = mock.fn(async () => response(200, { 'content-length': '2000', 'content-type': 'audio/mp4' }));
+
+      const episodes = [
+        { id: 2, audioUrl: 'https://example.com/2.m4a', pubDate: new Date(Date.now() + 86400000) },
+        { id: 1, audioUrl: 'https://example.com/1.m4a', pubDate: new Date('2024-01-01'), duration: 754 },
+      ];
+      const probed = await probeEpisodeMedia(episodes, 1000);
+
+      assert.strictEqual(probed[0].audioLength, undefined);
+      assert.strictEqual(probed[1].audioLength, 2000);
+      assert.strictEqual(probed[1].audioType, 'audio/mp4');
+      // ERR's duration is kept, so the file isn't read
+      assert.strictEqual(probed[1].duration, 754);
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 1);
+    });
+
+    it('should read missing durations from MP4 files once per media hash', async () => {
+      const file = mp4File(44100, 44100 * 754);
+      globalThis.fetch = mock.fn(async (url, options) => {
+        if (options.method === 'HEAD') {
+          return response(200, { 'content-length': String(file.length), 'content-type': url.endsWith('.mp3') ? 'audio/mpeg' : 'audio/mp4' });
+        }
+        return rangeResponse(file, options.headers.Range);
+      });
+
+      const episodes = [
+        { id: 1, audioUrl: 'https://example.com/a.m4a', mediaHash: 'abc', pubDate: new Date('2024-01-01'), duration: 0 },
+        { id: 2, audioUrl: 'https://example.com/b.mp3', pubDate: new Date('2024-01-01'), duration: 0 },
+      ];
+      const [probed, mp3] = await probeEpisodeMedia(episodes, 1000);
+      assert.strictEqual(probed.duration, 754);
+      assert.strictEqual(mp3.duration, 0);
+      assert.deepStrictEqual(getCached('duration:abc'), { duration: 754 });
+
+      // The same file under another URL is served from the cache
+      const rangeRequests = () => globalThis.fetch.mock.calls.filter(c => c.arguments[1].headers?.Range).length;
+      const before = rangeRequests();
+      const [again] = await probeEpisodeMedia([{ ...episodes[0], audioUrl: 'https://cdn.example.com/a.m4a' }], 1000);
+      assert.strictEqual(again.duration, 754);
+      assert.strictEqual(rangeRequests(), before);
+    });
+  });
+});
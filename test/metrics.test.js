@@ -0,0 +1,86 @@
+/**
+ * Tests for the Prometheus metrics registry
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  createCounter, createGauge, createHistogram, renderMetrics, resetMetrics,
+} from '../src/metrics.js';
+
+const requests = createCounter('test_requests_total', 'Test requests', ['route', 'status']);
+const plain = createCounter('test_plain_total', 'Unlabelled counter');
+const latency = createHistogram('test_latency_seconds', 'Test latency', ['route'], [0.1, 1]);
+let gaugeValue = 3;
+createGauge('test_queue_size', 'Test gauge', () => gaugeValue);
+createGauge('test_labelled_gauge', 'Labelled gauge', () => [{ labels: { feed: 'a' }, value: 7 }]);
+
+describe('metrics', () => {
+  beforeEach(() => {
+    resetMetrics();
+  });
+
+  it('should render HELP and TYPE lines', () => {
+    const text = renderMetrics();
+    assert.ok(text.includes('# HELP test_requests_total Test requests'));
+    assert.ok(text.includes('# TYPE test_requests_total counter'));
+    assert.ok(text.includes('# TYPE test_latency_seconds histogram'));
+    assert.ok(text.includes('# TYPE test_queue_size gauge'));
+    assert.ok(text.endsWith('\n'));
+  });
+
+  it('should count per label set', () => {
+    requests.inc({ route: '/feed.xml', status: 200 });
+    requests.inc({ route: '/feed.xml', status: 200 });
+    requests.inc({ route: '/health', status: 200 }, 5);
+
+    const text = renderMetrics();
+    assert.ok(text.includes('test_requests_total{route="/feed.xml",status="200"} 2'));
+    assert.ok(text.includes('test_requests_total{route="/health",status="200"} 5'));
+  });
+
+  it('should order labels as declared', () => {
+    requests.inc({ status: 404, route: 'other' });
+    assert.ok(renderMetrics().includes('test_requests_total{route="other",status="404"} 1'));
+  });
+
+  it('should report zero for an unlabelled counter that was never incremented', () => {
+    assert.ok(renderMetrics().includes('\ntest_plain_total 0\n'));
+  });
+
+  it('should escape label values', () => {
+    requests.inc({ route: 'a"b\\c', status: 'x' });
+    assert.ok(renderMetrics().includes('route="a\\"b\\\\c"'));
+  });
+
+  it('should accumulate histogram buckets', () => {
+    latency.observe({ route: '/' }, 0.05);
+    latency.observe({ route: '/' }, 0.5);
+    latency.observe({ route: '/' }, 2);
+
+    const text = renderMetrics();
+    assert.ok(text.includes('test_latency_seconds_bucket{route="/",le="0.1"} 1'));
+    assert.ok(text.includes('test_latency_seconds_bucket{route="/",le="1"} 2'));
+    assert.ok(text.includes('test_latency_seconds_bucket{route="/",le="+Inf"} 3'));
+    assert.ok(text.includes('test_latency_seconds_sum{route="/"} 2.55'));
+    assert.ok(text.includes('test_latency_seconds_count{route="/"} 3'));
+  });
+
+  it('should read gauges at render time', () => {
+    assert.ok(renderMetrics().includes('test_queue_size 3'));
+    gaugeValue = 9;
+    assert.ok(renderMetrics().includes('test_queue_size 9'));
+    assert.ok(renderMetrics().includes('test_labelled_gauge{feed="a"} 7'));
+  });
+
+  it('should clear counters and histograms on reset', () => {
+    requests.inc({ route: '/', status: 200 });
+    latency.observe({ route: '/' }, 0.5);
+    resetMetrics();
+
+    const text = renderMetrics();
+    assert.ok(!text.includes('test_requests_total{'));
+    assert.ok(!text.includes('test_latency_seconds_count'));
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests for reading MP4 durations
+ */
+
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+
+import { readBoxHeader, parseMvhd, durationFromMoov, fetchMp4Duration } from '../src/mp4-duration.js';
+
+function box(type, payload) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + payload.length);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+}
+
+function mvhdV0(timescale, duration) {
+  const payload = Buffer.alloc(100);
+  payload.writeUInt32BE(timescale, 12);
+  payload.writeUInt32BE(duration, 16);
+  return box('mvhd', payload);
+}
+
+function mvhdV1(timescale, duration) {
+  const payload = Buffer.alloc(112);
+  payload[0] = 1;
+  payload.writeUInt32BE(timescale, 20);
+  payload.writeBigUInt64BE(BigInt(duration), 24);
+  return box('mvhd', payload);
+}
+
+const FTYP = box('ftyp', Buffer.from('M4A \0\0\0\0M4A isom'));
+
+/**
+ * Serve a file with Range support; records the requested ranges
+ * @param {Buffer} file
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreRange] - Answer 200 with the whole file
+ */
+function serve(file, { ignoreRange = false } = {}) {
+  return mock.fn(async (url, options) => {
+    if (ignoreRange) return new Response(file, { status: 200 });
+    const [, start, end] = options.headers.Range.match(/bytes=(\d+)-(\d+)/).map(Number);
+    const bytes = file.subarray(start, end + 1);
+    return new Response(bytes, {
+      status: 206,
+      headers: { 'content-range': `bytes ${start}-${start + bytes.length - 1}/${file.length}` },
+    });
+  });
+}
+
+function requestedRanges() {
+  return globalThis.fetch.mock.calls.map(c => c.arguments[1].headers.Range);
+}
+
+describe('mp4-duration', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  describe('readBoxHeader', () => {
+    it('should read 32-bit, 64-bit and to-the-end sizes', () => {
+      assert.deepStrictEqual(readBoxHeader(FTYP, 0), { type: 'ftyp', size: FTYP.length, headerSize: 8 });
+
+      const large = Buffer.alloc(16);
+      large.writeUInt32BE(1);
+      large.write('mdat', 4, 'latin1');
+      large.writeBigUInt64BE(5n * 1024n ** 3n, 8);
+      assert.deepStrictEqual(readBoxHeader(large, 0), { type: 'mdat', size: 5 * 1024 ** 3, headerSize: 16 });
+
+      const open = Buffer.from('\0\0\0\0mdat', 'latin1');
+      assert.strictEqual(readBoxHeader(open, 0).size, Infinity);
+    });
+
+    it('should return null for an incomplete header', () => {
+      assert.strictEqual(readBoxHeader(FTYP, FTYP.length - 4), null);
+      assert.strictEqual(readBoxHeader(Buffer.from('\0\0\0\x01mdat\0\0', 'latin1'), 0), null);
+    });
+  });
+
+  describe('parseMvhd', () => {
+    it('should read version 0 and version 1 headers', () => {
+      assert.strictEqual(parseMvhd(mvhdV0(1000, 754500).subarray(8)), 754.5);
+      assert.strictEqual(parseMvhd(mvhdV1(48000, 48000 * 3600 * 30).subarray(8)), 3600 * 30);
+    });
+
+    it('should return null for unknown or cut-off durations', () => {
+      assert.strictEqual(parseMvhd(mvhdV0(1000, 0xFFFFFFFF).subarray(8)), null);
+      assert.strictEqual(parseMvhd(mvhdV0(0, 1000).subarray(8)), null);
+      assert.strictEqual(parseMvhd(mvhdV0(1000, 1000).subarray(8, 18)), null);
+    });
+  });
+
+  describe('durationFromMoov', () => {
+    it('should find mvhd among the other children', () => {
+      const moov = Buffer.concat([box('udta', Buffer.alloc(20)), mvhdV0(600, 6000), box('trak', Buffer.alloc(50))]);
+      assert.strictEqual(durationFromMoov(moov), 10);
+      assert.strictEqual(durationFromMoov(box('trak', Buffer.alloc(50))), null);
+    });
+  });
+
+  describe('fetchMp4Duration', () => {
+    it('should read moov at the start of the file in one request', async () => {
+      const file = Buffer.concat([FTYP, box('moov', mvhdV0(44100, 44100 * 754)), box('mdat', Buffer.alloc(1000))]);
+      globalThis.fetch = serve(file);
+
+      assert.strictEqual(await fetchMp4Duration('https://example.com/a.m4a', 1000), 754);
+      assert.deepStrictEqual(requestedRanges(), ['bytes=0-65535']);
+    });
+
+    it('should skip over mdat to a moov at the end', async () => {
+      const mdat = box('mdat', Buffer.alloc(200 * 1024));
+      const file = Buffer.concat([FTYP, mdat, box('moov', mvhdV1(1000, 1234000))]);
+      globalThis.fetch = serve(file);
+
+      assert.strictEqual(await fetchMp4Duration('https://example.com/a.m4a', 1000), 1234);
+      const moovStart = FTYP.length + mdat.length;
+      assert.deepStrictEqual(requestedRanges(), ['bytes=0-65535', `bytes=${moovStart}-${moovStart + 65535}`]);
+    });
+
+    it('should fetch the start of a moov that begins at the end of a chunk', async () => {
+      const padding = box('free', Buffer.alloc(65536 - FTYP.length - 8 - 8));
+      const moov = box('moov', Buffer.concat([mvhdV0(1000, 5000), box('trak', Buffer.alloc(100))]));
+      const file = Buffer.concat([FTYP, padding, moov]);
+      globalThis.fetch = serve(file);
+
+      assert.strictEqual(await fetchMp4Duration('https://example.com/a.m4a', 1000), 5);
+      assert.strictEqual(requestedRanges().length, 2);
+    });
+
+    it('should return null for files that are not MP4', async () => {
+      globalThis.fetch = serve(Buffer.concat([Buffer.from('ID3\x04\0\0\0\0\0\0', 'latin1'), Buffer.alloc(1000)]));
+      assert.strictEqual(await fetchMp4Duration('https://example.com/a.mp3', 1000), null);
+    });
+
+    it('should return null when there is no moov', async () => {
+      globalThis.fetch = serve(Buffer.concat([FTYP, box('mdat', Buffer.alloc(1000))]));
+      assert.strictEqual(await fetchMp4Duration('https://example.com/a.m4a', 1000), null);
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 1);
+    });
+
+    it('should throw when the server ignores Range', async () => {
+      globalThis.fetch = serve(Buffer.concat([FTYP, box('moov', mvhdV0(1000, 5000))]), { ignoreRange: true });
+      await assert.rejects(fetchMp4Duration('https://example.com/a.m4a', 1000), /Range request not honoured \(HTTP 200\)/);
+    });
+  });
+});
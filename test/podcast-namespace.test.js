@@ -0,0 +1,66 @@
+/**
+ * Tests for the Podcasting 2.0 namespace helpers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { podcastGuid, parsePeople, photoSrcset } from '../src/podcast-namespace.js';
+
+describe('podcast-namespace', () => {
+  describe('podcastGuid', () => {
+    it('should match the example from the namespace spec', () => {
+      assert.strictEqual(podcastGuid('https://mp3s.nashownotes.com/pc20rss.xml'), '917393e3-1b1e-5cef-ace4-edaa54e1f810');
+    });
+
+    it('should ignore the scheme and trailing slashes', () => {
+      assert.strictEqual(podcastGuid('http://mp3s.nashownotes.com/pc20rss.xml/'), '917393e3-1b1e-5cef-ace4-edaa54e1f810');
+    });
+  });
+
+  describe('parsePeople', () => {
+    it('should map known ERR roles to the person taxonomy', () => {
+      assert.deepStrictEqual(parsePeople([
+        { name: 'Anne Reemann', role: 'Lugeja' },
+        { firstName: 'Kadri', lastName: 'Tali', roleName: 'toimetaja' },
+        { name: 'Mari Mets', role: 'Helirežissöör' },
+      ]), [
+        { name: 'Anne Reemann', role: 'narrator', group: 'cast' },
+        { name: 'Kadri Tali', role: 'producer', group: 'creative direction' },
+        { name: 'Mari Mets', role: 'audio engineer', group: 'audio post-production' },
+      ]);
+    });
+
+    it('should keep unknown roles without a group', () => {
+      assert.deepStrictEqual(parsePeople([{ name: 'Jüri Mägi', role: 'Kunstnik' }, { name: 'Ilma Rollita' }]), [
+        { name: 'Jüri Mägi', role: 'kunstnik', group: '' },
+        { name: 'Ilma Rollita', role: '', group: '' },
+      ]);
+    });
+
+    it('should skip makers without a name and tolerate missing input', () => {
+      assert.deepStrictEqual(parsePeople([{ role: 'Lugeja' }, null, { name: '  ' }]), []);
+      assert.deepStrictEqual(parsePeople(undefined), []);
+    });
+  });
+
+  describe('photoSrcset', () => {
+    it('should list one crop per width, widest first', () => {
+      const photo = {
+        photoTypes: {
+          1: { type: 1, w: 120, h: 80, url: 'https://s.err.ee/a1.jpg' },
+          2: { type: 2, w: 1920, h: 1080, url: 'https://s.err.ee/a2.jpg' },
+          15: { type: 15, w: 800, h: 0, url: 'https://s.err.ee/a15.jpg' },
+          46: { type: 46, w: 1920, h: 1920, url: 'https://s.err.ee/a46.jpg' },
+          99: { type: 99, w: 0, h: 0, url: 'https://s.err.ee/a99.jpg' },
+        },
+      };
+      assert.strictEqual(photoSrcset(photo), 'https://s.err.ee/a2.jpg 1920w, https://s.err.ee/a15.jpg 800w, https://s.err.ee/a1.jpg 120w');
+    });
+
+    it('should return an empty string without crops', () => {
+      assert.strictEqual(photoSrcset(undefined), '');
+      assert.strictEqual(photoSrcset({ photoUrlOriginal: 'https://s.err.ee/a.jpg' }), '');
+    });
+  });
+});
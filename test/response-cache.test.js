@@ -2,8 +2,11 @@
  * Tests for the response cache module
  */
 
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, before, after, beforeEach } from 'node:test';
 import assert from 'node:assert';
+import { mkdtempSync, rmSync, readdirSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
 import {
   getCached,
@@ -14,7 +17,9 @@ import {
   getCacheStats,
   clearCache,
   getCacheKeys,
+  getRemainingTtl,
 } from '../src/response-cache.js';
+import { renderMetrics, resetMetrics } from '../src/metrics.js';
 
 describe('response-cache', () => {
   beforeEach(() => {
@@ -160,6 +165,31 @@ describe('response-cache', () => {
     });
   });
 
+  describe('getRemainingTtl', () => {
+    it('should report time left before expiry', () => {
+      setCache('ttl-key', { data: 1 }, 10000);
+      const remaining = getRemainingTtl('ttl-key');
+      assert.ok(remaining > 9000 && remaining < 11000, `remaining ${remaining}`);
+      assert.strictEqual(getRemainingTtl('missing'), 0);
+    });
+  });
+
+  describe('metrics', () => {
+    it('should count hits and misses and report the cache size', () => {
+      resetMetrics();
+      setCache('metrics-key', { data: 1 });
+      getCached('metrics-key');
+      getCached('metrics-key');
+      getCached('missing');
+
+      const text = renderMetrics();
+      assert.ok(text.includes('ohtujutt_cache_hits_total 2'));
+      assert.ok(text.includes('ohtujutt_cache_misses_total 1'));
+      assert.ok(text.includes('ohtujutt_cache_entries 1'));
+      assert.ok(text.includes('ohtujutt_cache_max_entries 300'));
+    });
+  });
+
   describe('custom TTL', () => {
     it('should accept custom TTL for specific entries', async () => {
       // Set with very short TTL
@@ -173,4 +203,89 @@ describe('response-cache', () => {
       assert.strictEqual(getCached('short-lived'), undefined);
     });
   });
+
+  describe('persistent store', () => {
+    let dir;
+    let persistent;
+
+    // Load a separate module instance with CACHE_DIR set; the shared instance stays memory-only
+    before(async () => {
+      dir = mkdtempSync(join(tmpdir(), 'response-cache-'));
+      process.env.CACHE_DIR = dir;
+      try {
+        persistent = await import('../src/response-cache.js?persistent');
+      } finally {
+        delete process.env.CACHE_DIR;
+      }
+    });
+
+    after(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      persistent.clearCache({ persistent: true });
+    });
+
+    it('should report the persistent directory in stats', () => {
+      assert.strictEqual(persistent.getCacheStats().persistentDir, dir);
+      assert.strictEqual(getCacheStats().persistentDir, null);
+    });
+
+    it('should write through and read back after the memory cache is cleared', () => {
+      persistent.setCache('episode:1', { id: 1 });
+      persistent.clearCache();
+      assert.strictEqual(persistent.getCacheStats().size, 0);
+
+      assert.deepStrictEqual(persistent.getCached('episode:1'), { id: 1 });
+      assert.strictEqual(persistent.getCacheStats().size, 1);
+    });
+
+    it('should read through in batch lookups and hasCache', () => {
+      persistent.setCache('episode:1', { id: 1 });
+      persistent.setCache('episode:2', { id: 2 });
+      persistent.clearCache();
+
+      assert.strictEqual(persistent.hasCache('episode:1'), true);
+      const results = persistent.getCachedBatch(['episode:1', 'episode:2', 'episode:3']);
+      assert.strictEqual(results.size, 2);
+    });
+
+    it('should respect per-entry TTL on disk', async () => {
+      persistent.setCache('short-lived', { data: 'temporary' }, 50);
+      persistent.clearCache();
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.strictEqual(persistent.getCached('short-lived'), undefined);
+    });
+
+    it('should delete from both layers', () => {
+      persistent.setCache('to-delete', { data: 1 });
+      assert.strictEqual(persistent.deleteCache('to-delete'), true);
+      persistent.clearCache();
+
+      assert.strictEqual(persistent.getCached('to-delete'), undefined);
+    });
+
+    it('should treat corrupt files as misses', () => {
+      persistent.setCache('episode:1', { id: 1 });
+      persistent.clearCache();
+      for (const name of readdirSync(dir)) {
+        writeFileSync(join(dir, name), '{broken');
+      }
+
+      assert.strictEqual(persistent.getCached('episode:1'), undefined);
+      persistent.setCache('episode:1', { id: 2 });
+      persistent.clearCache();
+      assert.deepStrictEqual(persistent.getCached('episode:1'), { id: 2 });
+    });
+
+    it('should wipe the disk only when asked', () => {
+      persistent.setCache('episode:1', { id: 1 });
+      persistent.clearCache({ persistent: true });
+
+      assert.strictEqual(persistent.getCached('episode:1'), undefined);
+      assert.strictEqual(readdirSync(dir).length, 0);
+    });
+  });
 });
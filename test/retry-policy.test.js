@@ -0,0 +1,85 @@
+/**
+ * Tests for the upstream retry policy
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { isRetryableError, resolveRetryPolicy, retryDelay } from '../src/retry-policy.js';
+import { HttpError, TimeoutError, NetworkError, ParseError } from '../src/http-errors.js';
+import { CircuitOpenError } from '../src/circuit-breaker.js';
+
+const url = 'https://example.com/api';
+const policy = { retries: 2, initialDelayMs: 500, maxDelayMs: 10000, deadlineMs: 60000 };
+
+function httpError(status, responseHeaders = {}) {
+  return new HttpError({ status, url, elapsedMs: 1, responseHeaders });
+}
+
+describe('retry-policy', () => {
+  describe('isRetryableError', () => {
+    it('should retry server errors, rate limiting and request timeouts', () => {
+      assert.strictEqual(isRetryableError(httpError(500)), true);
+      assert.strictEqual(isRetryableError(httpError(503)), true);
+      assert.strictEqual(isRetryableError(httpError(429)), true);
+      assert.strictEqual(isRetryableError(httpError(408)), true);
+    });
+
+    it('should not retry other client errors', () => {
+      assert.strictEqual(isRetryableError(httpError(404)), false);
+      assert.strictEqual(isRetryableError(httpError(403)), false);
+    });
+
+    it('should retry timeouts and network errors', () => {
+      assert.strictEqual(isRetryableError(new TimeoutError({ url, timeoutMs: 100, elapsedMs: 100 })), true);
+      assert.strictEqual(isRetryableError(new NetworkError({ url, elapsedMs: 1, cause: new TypeError('fetch failed') })), true);
+    });
+
+    it('should not retry parse errors, open circuits or unknown errors', () => {
+      assert.strictEqual(isRetryableError(new ParseError({ url, cause: new SyntaxError('bad') })), false);
+      assert.strictEqual(isRetryableError(new CircuitOpenError('example.com', Date.now())), false);
+      assert.strictEqual(isRetryableError(new Error('HTTP 500: looks retryable')), false);
+    });
+  });
+
+  describe('resolveRetryPolicy', () => {
+    it('should return the defaults without overrides', () => {
+      assert.deepStrictEqual(resolveRetryPolicy(policy), policy);
+    });
+
+    it('should disable retries with false', () => {
+      assert.deepStrictEqual(resolveRetryPolicy(policy, false), { ...policy, retries: 0 });
+    });
+
+    it('should apply valid overrides and ignore the rest', () => {
+      const resolved = resolveRetryPolicy(policy, { retries: 5, deadlineMs: -1, maxDelayMs: 'x', bogus: 1 });
+      assert.deepStrictEqual(resolved, { ...policy, retries: 5 });
+    });
+  });
+
+  describe('retryDelay', () => {
+    it('should back off exponentially with jitter in the upper half', () => {
+      assert.strictEqual(retryDelay(1, httpError(500), policy, () => 0), 250);
+      assert.strictEqual(retryDelay(1, httpError(500), policy, () => 0.999999), 500);
+      assert.strictEqual(retryDelay(2, httpError(500), policy, () => 0), 500);
+      assert.strictEqual(retryDelay(3, httpError(500), policy, () => 0.5), 1500);
+    });
+
+    it('should cap the backoff at maxDelayMs', () => {
+      assert.strictEqual(retryDelay(10, httpError(500), policy, () => 0.999999), 10000);
+    });
+
+    it('should wait as long as Retry-After asks on 429 and 503', () => {
+      assert.strictEqual(retryDelay(1, httpError(429, { 'retry-after': '30' }), policy, () => 0), 30000);
+      assert.strictEqual(retryDelay(1, httpError(503, { 'retry-after': '2' }), policy, () => 0), 2000);
+    });
+
+    it('should never wait less than the backoff', () => {
+      assert.strictEqual(retryDelay(3, httpError(429, { 'retry-after': '0' }), policy, () => 0), 1000);
+    });
+
+    it('should ignore Retry-After on other statuses', () => {
+      assert.strictEqual(retryDelay(1, httpError(500, { 'retry-after': '30' }), policy, () => 0), 250);
+    });
+  });
+});
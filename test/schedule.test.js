@@ -0,0 +1,146 @@
+/**
+ * Tests for the iCalendar and JSON schedule
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  formatLocalDateTime, escapeText, foldLine, renderICalendar, buildScheduleResponse, TIMEZONE,
+} from '../src/schedule.js';
+
+const CALENDAR = {
+  name: 'Vikerraadio Õhtujutt',
+  description: 'Igaõhtused lastejutud',
+  link: 'https://vikerraadio.err.ee/ohtujutt_lastele',
+};
+
+function entry(overrides = {}) {
+  return {
+    id: 1609912691,
+    title: 'Piia uurib kelgumäge',
+    description: 'Piia läheb kelgumäele.',
+    link: 'https://vikerraadio.err.ee/1609912691',
+    start: new Date('2026-01-29T18:45:00Z'),
+    end: new Date('2026-01-29T19:05:00Z'),
+    updated: new Date('2026-01-28T21:30:02Z'),
+    ...overrides,
+  };
+}
+
+// Unfold the calendar into its content lines
+function contentLines(ics) {
+  return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+describe('schedule', () => {
+  describe('formatLocalDateTime', () => {
+    it('should convert to Tallinn time in winter and summer', () => {
+      assert.strictEqual(formatLocalDateTime(new Date('2026-01-29T18:45:00Z')), '20260129T204500');
+      assert.strictEqual(formatLocalDateTime(new Date('2026-07-01T17:45:00Z')), '20260701T204500');
+    });
+
+    it('should follow the switch to and from summer time', () => {
+      // 29 March 2026, 01:00 UTC: 03:00 EET becomes 04:00 EEST
+      assert.strictEqual(formatLocalDateTime(new Date('2026-03-29T00:59:59Z')), '20260329T025959');
+      assert.strictEqual(formatLocalDateTime(new Date('2026-03-29T01:00:00Z')), '20260329T040000');
+      // 25 October 2026, 01:00 UTC: 04:00 EEST becomes 03:00 EET
+      assert.strictEqual(formatLocalDateTime(new Date('2026-10-25T01:00:00Z')), '20261025T030000');
+      assert.strictEqual(formatLocalDateTime(new Date('2026-10-24T23:00:00Z')), '20261025T020000');
+    });
+  });
+
+  describe('escapeText', () => {
+    it('should escape backslashes, semicolons, commas and newlines', () => {
+      assert.strictEqual(escapeText('a\\b; c, d\ne\r\nf'), 'a\\\\b\\; c\\, d\\ne\\nf');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('should leave short lines alone', () => {
+      assert.strictEqual(foldLine('SUMMARY:Lühike'), 'SUMMARY:Lühike');
+    });
+
+    it('should fold at 75 octets without splitting characters', () => {
+      const line = `SUMMARY:${'õ'.repeat(100)}`;
+      const folded = foldLine(line);
+      const lines = folded.split('\r\n');
+
+      assert.ok(lines.length > 1);
+      assert.ok(lines.every(l => Buffer.byteLength(l) <= 75), lines.map(l => Buffer.byteLength(l)).join());
+      assert.ok(lines.slice(1).every(l => l.startsWith(' ')));
+      assert.strictEqual(folded.replace(/\r\n /g, ''), line);
+    });
+  });
+
+  describe('renderICalendar', () => {
+    it('should render a calendar with the Tallinn timezone and CRLF line endings', () => {
+      const ics = renderICalendar([], CALENDAR);
+      assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:'));
+      assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+      assert.ok(!/[^\r]\n/.test(ics), 'bare LF');
+
+      const lines = contentLines(ics);
+      assert.ok(lines.includes('X-WR-CALNAME:Vikerraadio Õhtujutt'));
+      assert.ok(lines.includes(`TZID:${TIMEZONE}`));
+      assert.ok(lines.includes('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU'));
+      assert.ok(lines.includes('RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU'));
+      assert.ok(!lines.includes('BEGIN:VEVENT'));
+    });
+
+    it('should render each broadcast as an event in local time', () => {
+      const lines = contentLines(renderICalendar([entry()], CALENDAR));
+      const event = lines.slice(lines.indexOf('BEGIN:VEVENT'), lines.indexOf('END:VEVENT') + 1);
+
+      assert.deepStrictEqual(event, [
+        'BEGIN:VEVENT',
+        'UID:1609912691@vikerraadio.err.ee',
+        'DTSTAMP:20260128T213002Z',
+        'DTSTART;TZID=Europe/Tallinn:20260129T204500',
+        'DTEND;TZID=Europe/Tallinn:20260129T210500',
+        'SUMMARY:Piia uurib kelgumäge',
+        'DESCRIPTION:Piia läheb kelgumäele.\\n\\nhttps://vikerraadio.err.ee/1609912691',
+        'URL:https://vikerraadio.err.ee/1609912691',
+        'END:VEVENT',
+      ]);
+    });
+
+    it('should leave out DTEND when the end is unknown and escape text', () => {
+      const lines = contentLines(renderICalendar([entry({ end: null, title: 'Emil; 2, osa', description: '' })], CALENDAR));
+      assert.ok(!lines.some(line => line.startsWith('DTEND')));
+      assert.ok(lines.includes('SUMMARY:Emil\\; 2\\, osa'));
+      assert.ok(lines.includes('DESCRIPTION:https://vikerraadio.err.ee/1609912691'));
+    });
+
+    it('should render identically for the same broadcasts', () => {
+      assert.strictEqual(renderICalendar([entry()], CALENDAR), renderICalendar([entry()], CALENDAR));
+    });
+  });
+
+  describe('buildScheduleResponse', () => {
+    it('should serialize entries with ISO times', () => {
+      assert.deepStrictEqual(buildScheduleResponse([entry(), entry({ id: 2, end: null })]), {
+        version: 1,
+        timezone: 'Europe/Tallinn',
+        data: [
+          {
+            id: 1609912691,
+            title: 'Piia uurib kelgumäge',
+            description: 'Piia läheb kelgumäele.',
+            link: 'https://vikerraadio.err.ee/1609912691',
+            startsAt: '2026-01-29T18:45:00.000Z',
+            endsAt: '2026-01-29T19:05:00.000Z',
+          },
+          {
+            id: 2,
+            title: 'Piia uurib kelgumäge',
+            description: 'Piia läheb kelgumäele.',
+            link: 'https://vikerraadio.err.ee/1609912691',
+            startsAt: '2026-01-29T18:45:00.000Z',
+            endsAt: null,
+          },
+        ],
+      });
+    });
+  });
+});
@@ -0,0 +1,457 @@
+/**
+ * Tests for the HTTP request handler
+ *
+ * Runs handleRequest on an ephemeral port with fetch mocked to serve test/mocks/
+ */
+
+import { describe, it, mock, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { handleRequest, clearCache } from '../src/index.js';
+import { getCached, setCache } from '../src/response-cache.js';
+import { refreshAll } from '../src/feed-refresher.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const MOCKS_DIR = join(__dirname, 'mocks');
+
+// Stand-in audio file served for every vod.err.ee URL
+const AUDIO_BYTES = Buffer.from('0123456789abcdefghij');
+
+function mockAudio(options = {}) {
+  const headers = { 'content-type': 'audio/mp4', 'accept-ranges': 'bytes' };
+  const range = options.headers?.Range?.match(/^bytes=(\d+)-(\d*)$/);
+  if (!range) {
+    return new Response(options.method === 'HEAD' ? null : AUDIO_BYTES, {
+      status: 200, headers: { ...headers, 'content-length': String(AUDIO_BYTES.length) },
+    });
+  }
+
+  const start = Number(range[1]);
+  const end = range[2] ? Number(range[2]) : AUDIO_BYTES.length - 1;
+  const slice = AUDIO_BYTES.subarray(start, end + 1);
+  return new Response(slice, {
+    status: 206,
+    headers: {
+      ...headers,
+      'content-length': String(slice.length),
+      'content-range': `bytes ${start}-${end}/${AUDIO_BYTES.length}`,
+    },
+  });
+}
+
+// Serve upstream API calls from mock files; unknown episodes return 404
+async function mockUpstream(url, options) {
+  const { hostname, pathname, searchParams } = new URL(url);
+  if (hostname === 'vod.err.ee') return mockAudio(options);
+
+  let filename;
+  if (pathname.endsWith('/broadcast/broadcasts')) {
+    filename = `broadcasts-${searchParams.get('seriesContentId')}.json`;
+  } else if (pathname.endsWith('/radio/getRadioPageData')) {
+    filename = `getRadioPageData-${searchParams.get('contentId')}.json`;
+  }
+
+  try {
+    const body = await readFile(join(MOCKS_DIR, filename), 'utf-8');
+    return new Response(body, { status: 200, headers: { 'content-type': 'application/json' } });
+  } catch {
+    return new Response('not found', { status: 404, statusText: 'Not Found' });
+  }
+}
+
+describe('handleRequest', () => {
+  let server;
+  let baseUrl;
+  let originalFetch;
+
+  before(async () => {
+    originalFetch = globalThis.fetch;
+    server = createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    clearCache();
+  });
+
+  // Requests to the server under test go through the real fetch, upstream calls through the mock
+  async function request(path, options, upstream = mockUpstream) {
+    globalThis.fetch = mock.fn(upstream);
+    try {
+      return await originalFetch(`${baseUrl}${path}`, options);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  }
+
+  it('should serve the health check', async () => {
+    const res = await request('/health');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(await res.text(), 'OK');
+  });
+
+  it('should report feed refresh status', async () => {
+    await request('/feed.xml');
+    const res = await request('/status');
+    assert.strictEqual(res.status, 200);
+    const { feeds } = await res.json();
+    const feed = feeds.find(f => f.key === `1038081:rss ${baseUrl}`);
+    assert.ok(feed.lastSuccessAt);
+  });
+
+  it('should report upstream circuit state in /status', async () => {
+    await request('/feed.xml');
+    const { upstream } = await (await request('/status')).json();
+    const api = upstream.find(c => c.host === 'vikerraadio.err.ee');
+    assert.strictEqual(api.state, 'closed');
+  });
+
+  it('should expose Prometheus metrics', async () => {
+    await request('/feed.xml');
+    await request('/audio/1');
+    const res = await request('/metrics');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+
+    const text = await res.text();
+    assert.match(text, /ohtujutt_http_requests_total\{route="\/feed\.:format",method="GET",status="200"\} \d+/);
+    assert.match(text, /ohtujutt_http_requests_total\{route="\/audio\/:id",method="GET",status="404"\} \d+/);
+    assert.match(text, /ohtujutt_http_request_duration_seconds_count\{route="\/feed\.:format"\} \d+/);
+    assert.match(text, /ohtujutt_feed_build_duration_seconds_count\{result="success"\} \d+/);
+    assert.match(text, /ohtujutt_upstream_requests_total\{status="200"\} \d+/);
+    assert.match(text, /ohtujutt_upstream_requests_total\{status="404"\} \d+/);
+    assert.match(text, /ohtujutt_cache_misses_total \d+/);
+    assert.match(text, /ohtujutt_upstream_active_requests 0/);
+  });
+
+  it('should list episodes as JSON', async () => {
+    const res = await request('/api/episodes?perPage=2&q=kelgumage');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /application\/json/);
+    const body = await res.json();
+    assert.strictEqual(body.version, 1);
+    assert.deepStrictEqual(body.data.map(ep => ep.title), ['Piia uurib kelgumäge']);
+    assert.strictEqual(body.pagination.total, 1);
+    assert.strictEqual(body.pagination.next, null);
+  });
+
+  it('should return 404 JSON for series outside the allow-list', async () => {
+    const res = await request('/api/episodes?series=999999');
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual((await res.json()).error.status, 404);
+  });
+
+  it('should return one episode with media details', async () => {
+    const res = await request('/api/episodes/1609912691');
+    assert.strictEqual(res.status, 200);
+    const { version, data } = await res.json();
+    assert.strictEqual(version, 1);
+    assert.strictEqual(data.id, 1609912691);
+    assert.strictEqual(data.mediaHash, '077ae57fa0496bde45575fe553f2019b');
+    assert.strictEqual(data.hlsUrl, 'https://vod.err.ee/hls/viker/077ae57fa0496bde45575fe553f2019b/a/master.m3u8');
+    assert.strictEqual(data.dashUrl, 'https://vod.err.ee/dash/viker/077ae57fa0496bde45575fe553f2019b/a/manifest.mpd');
+    assert.strictEqual(data.endTime, '2026-01-29T19:05:00.000Z');
+    assert.strictEqual(data.formatedTimes.scheduleStart, 'Täna, 20:45');
+  });
+
+  it('should return 404 JSON for unknown episodes and API paths', async () => {
+    const episode = await request('/api/episodes/1');
+    assert.strictEqual(episode.status, 404);
+    assert.deepStrictEqual(await episode.json(), { version: 1, error: { status: 404, message: 'Episode 1 not found' } });
+
+    const other = await request('/api/nope');
+    assert.strictEqual(other.status, 404);
+    assert.strictEqual((await other.json()).error.status, 404);
+  });
+
+  it('should return 404 for unknown paths', async () => {
+    const res = await request('/nope');
+    assert.strictEqual(res.status, 404);
+  });
+
+  it('should serve the default series feed', async () => {
+    const res = await request('/feed.xml');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /application\/xml/);
+    const body = await res.text();
+    assert.ok(body.includes('<title>Vikerraadio Õhtujutt</title>'));
+    assert.ok(body.includes(`atom:link href="${baseUrl}/feed.xml"`));
+  });
+
+  it('should serve the HTML landing page at / to browsers', async () => {
+    const res = await request('/', { headers: { Accept: 'text/html,application/xhtml+xml,*/*;q=0.8' } });
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/html/);
+    assert.match(res.headers.get('content-security-policy'), /media-src 'self' https:/);
+    assert.strictEqual(res.headers.get('vary'), 'Accept');
+    const body = await res.text();
+    assert.ok(body.includes('<h1>Vikerraadio Õhtujutt</h1>'));
+    assert.ok(body.includes(`href="${baseUrl.replace('http://', 'podcast://')}/feed.xml"`));
+    assert.ok(body.includes('<audio controls preload="none"'));
+  });
+
+  it('should serve episode pages linked from the landing page', async () => {
+    const landing = await (await request('/', { headers: { Accept: 'text/html' } })).text();
+    assert.ok(landing.includes('<a href="episodes/1609912691.html">'));
+
+    const res = await request('/episodes/1609912691.html');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/html/);
+    assert.match(res.headers.get('content-security-policy'), /media-src 'self' https:/);
+    assert.strictEqual(res.headers.get('vary'), null);
+    const body = await res.text();
+    assert.ok(body.includes('<h1>Piia uurib kelgumäge</h1>'));
+    assert.ok(body.includes('<a href="../">Vikerraadio Õhtujutt</a>'));
+
+    const missing = await request('/episodes/1.html');
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it('should keep serving RSS at / to podcast apps', async () => {
+    const res = await request('/');
+    assert.match(res.headers.get('content-type'), /application\/xml/);
+    assert.strictEqual(res.headers.get('content-security-policy'), "default-src 'none'");
+    assert.strictEqual(res.headers.get('vary'), 'Accept');
+  });
+
+  it('should serve an allowed series under /series/:id/feed.xml', async () => {
+    const res = await request('/series/1038081/feed.xml');
+    assert.strictEqual(res.status, 200);
+    const body = await res.text();
+    assert.ok(body.includes('<link>https://vikerraadio.err.ee/ohtujutt_lastele</link>'));
+  });
+
+  it('should return 404 for series outside the allow-list', async () => {
+    const res = await request('/series/999999/feed.xml');
+    assert.strictEqual(res.status, 404);
+  });
+
+  it('should honour ?limit= and reflect it in the self link', async () => {
+    const res = await request('/feed.xml?limit=2');
+    const body = await res.text();
+    assert.ok(body.includes(`atom:link href="${baseUrl}/feed.xml?limit=2"`));
+    assert.ok((body.match(/<item>/g) || []).length <= 2);
+  });
+
+  it('should filter the feed by search and date and reflect the query in the self link', async () => {
+    const res = await request('/feed.xml?q=kelgumage&order=oldest&since=2026-01-01');
+    const body = await res.text();
+    assert.ok(body.includes(`atom:link href="${baseUrl}/feed.xml?since=2026-01-01&amp;q=kelgumage&amp;order=oldest"`));
+    const titles = [...body.matchAll(/<item>\s*<title>([^<]*)<\/title>/g)].map(m => m[1]);
+    assert.deepStrictEqual(titles, ['Piia uurib kelgumäge']);
+
+    const until = await request('/feed.xml?until=2026-01-28');
+    const untilBody = await until.text();
+    assert.ok(!untilBody.includes('Piia uurib kelgumäge'));
+    assert.ok(untilBody.includes('Hõbeuisud'));
+  });
+
+  it('should switch to a serial feed with ?order=serial, without seasons for one-part stories', async () => {
+    const res = await request('/feed.xml?order=serial');
+    const body = await res.text();
+    assert.ok(body.includes('<itunes:type>serial</itunes:type>'));
+    assert.ok(body.includes('<title>Piia uurib kelgumäge</title>'));
+    assert.ok(!body.includes('<itunes:season>'));
+  });
+
+  it('should cache feeds per parameter set', async () => {
+    await request('/feed.xml?limit=2');
+    await request('/feed.xml?limit=2&order=oldest');
+    const { feeds } = await (await request('/status')).json();
+    const keys = feeds.map(f => f.key);
+    assert.ok(keys.includes(`1038081:rss?limit=2 ${baseUrl}`));
+    assert.ok(keys.includes(`1038081:rss?limit=2&order=oldest ${baseUrl}`));
+  });
+
+  it('should refetch episodes close to expiry in the background during a feed build', async () => {
+    // Feeds outlive clearCache(): parameter sets no other test builds
+    await request('/feed.xml?limit=3');
+    const cacheKey = 'episode:1609912691';
+    assert.ok(getCached(cacheKey));
+    setCache(cacheKey, getCached(cacheKey), 5000);
+
+    const upstream = mock.fn(mockUpstream);
+    const refetched = () => upstream.mock.calls.some(call => String(call.arguments[0]).includes('contentId=1609912691'));
+    globalThis.fetch = upstream;
+    try {
+      assert.strictEqual((await originalFetch(`${baseUrl}/feed.xml?limit=4`)).status, 200);
+      for (let i = 0; i < 50 && !refetched(); i++) await new Promise(resolve => setTimeout(resolve, 10));
+      assert.ok(refetched());
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('should keep a forwarded host out of feeds built for other hosts', async () => {
+    const forged = await request('/feed.atom', { headers: { 'X-Forwarded-Host': 'attacker.example' } });
+    assert.ok((await forged.text()).includes('href="http://attacker.example/feed.atom"'));
+
+    const body = await (await request('/feed.atom')).text();
+    assert.ok(body.includes(`href="${baseUrl}/feed.atom"`));
+    assert.ok(!body.includes('attacker.example'));
+  });
+
+  it('should send validators and answer 304 for a matching If-None-Match', async () => {
+    const first = await request('/feed.xml');
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+    assert.ok(first.headers.get('last-modified'));
+
+    const second = await request('/feed.xml', { headers: { 'If-None-Match': etag } });
+    assert.strictEqual(second.status, 304);
+    assert.strictEqual(await second.text(), '');
+  });
+
+  it('should answer 304 for If-Modified-Since at or after the last change to the feed', async () => {
+    const first = await request('/feed.xml');
+    const res = await request('/feed.xml', { headers: { 'If-Modified-Since': first.headers.get('last-modified') } });
+    assert.strictEqual(res.status, 304);
+  });
+
+  it('should move Last-Modified when a rebuild changes the feed', async () => {
+    globalThis.fetch = mock.fn(mockUpstream);
+    try {
+      await refreshAll();
+      const first = await originalFetch(`${baseUrl}/feed.xml`);
+      const ifModifiedSince = { 'If-Modified-Since': first.headers.get('last-modified') };
+      // HTTP dates have one-second resolution
+      await new Promise(resolve => setTimeout(resolve, 1100));
+
+      await refreshAll();
+      const unchanged = await originalFetch(`${baseUrl}/feed.xml`, { headers: ifModifiedSince });
+      assert.strictEqual(unchanged.status, 304);
+
+      // An edit that leaves every pubDate as it was
+      const cacheKey = 'episode:1609912691';
+      const edited = structuredClone(getCached(cacheKey));
+      edited.pageControlData.mainContent.heading = 'Õhtujutt. Piia uurib kelgumäge uuesti';
+      setCache(cacheKey, edited);
+
+      await refreshAll();
+      const changed = await originalFetch(`${baseUrl}/feed.xml`, { headers: ifModifiedSince });
+      assert.strictEqual(changed.status, 200);
+      assert.ok((await changed.text()).includes('<title>Piia uurib kelgumäge uuesti</title>'));
+      assert.ok(Date.parse(changed.headers.get('last-modified')) > Date.parse(ifModifiedSince['If-Modified-Since']));
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('should shorten Cache-Control to the first availability window that closes', async () => {
+    const closesAt = Math.floor(Date.now() / 1000) + 120;
+    const upstream = async (url, options) => {
+      const res = await mockUpstream(url, options);
+      if (!url.includes('contentId=1609912691')) return res;
+      const data = await res.json();
+      data.pageControlData.mainContent.medias[0].publicEnd = closesAt;
+      return Response.json(data);
+    };
+
+    const res = await request('/feed.atom?q=kelgumage', undefined, upstream);
+    assert.strictEqual(res.status, 200);
+    const maxAge = Number(res.headers.get('cache-control').match(/max-age=(\d+)/)[1]);
+    assert.ok(maxAge > 60 && maxAge <= 120, `max-age ${maxAge}`);
+  });
+
+  // Moves the mock broadcasts so the newest airs in two days and an hour: three are still to come
+  function upcomingUpstream() {
+    const offset = Math.floor(Date.now() / 1000) + 2 * 86400 + 3600 - 1769712300;
+    return async (url, options) => {
+      const res = await mockUpstream(url, options);
+      if (!res.ok || !url.includes('/api/')) return res;
+      const data = await res.json();
+      for (const item of data.data || [data.pageControlData.mainContent]) {
+        item.scheduleStart += offset;
+        if (item.endTime) item.endTime = Number(item.endTime) + offset;
+      }
+      return Response.json(data);
+    };
+  }
+
+  it('should serve upcoming broadcasts as an iCalendar file', async () => {
+    const res = await request('/schedule.ics', undefined, upcomingUpstream());
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('content-type'), 'text/calendar; charset=utf-8');
+    assert.ok(res.headers.get('etag'));
+
+    const ics = (await res.text()).replace(/\r\n /g, '');
+    assert.ok(ics.includes('BEGIN:VTIMEZONE\r\nTZID:Europe/Tallinn\r\n'));
+    const summaries = ics.match(/^SUMMARY:.*$/gm).map(line => line.slice(8).trim());
+    assert.deepStrictEqual(summaries, ['Hõbeuisud', 'Metsamaja', 'Piia uurib kelgumäge']);
+    assert.strictEqual((ics.match(/^DTEND;TZID=Europe\/Tallinn:/gm) || []).length, 3);
+    assert.ok(ics.includes('UID:1609912691@vikerraadio.err.ee'));
+  });
+
+  it('should serve upcoming broadcasts as JSON', async () => {
+    const res = await request('/api/schedule', undefined, upcomingUpstream());
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /application\/json/);
+
+    const body = await res.json();
+    assert.strictEqual(body.version, 1);
+    assert.strictEqual(body.timezone, 'Europe/Tallinn');
+    assert.deepStrictEqual(body.data.map(entry => entry.id), [1609910012, 1609911125, 1609912691]);
+    const [first] = body.data;
+    assert.ok(new Date(first.startsAt) > new Date());
+    assert.strictEqual(new Date(first.endsAt) - new Date(first.startsAt), (1769713500 - 1769712300) * 1000);
+  });
+
+  it('should answer HEAD with headers only', async () => {
+    const get = await request('/feed.xml');
+    const getBody = await get.text();
+    const head = await request('/feed.xml', { method: 'HEAD' });
+    assert.strictEqual(head.status, 200);
+    assert.strictEqual(head.headers.get('etag'), get.headers.get('etag'));
+    assert.strictEqual(Number(head.headers.get('content-length')), Buffer.byteLength(getBody));
+    assert.strictEqual(await head.text(), '');
+  });
+
+  it('should serve Atom and JSON Feed endpoints', async () => {
+    const atom = await request('/feed.atom');
+    assert.strictEqual(atom.status, 200);
+    assert.match(atom.headers.get('content-type'), /application\/atom\+xml/);
+    assert.ok((await atom.text()).includes(`href="${baseUrl}/feed.atom"`));
+
+    const json = await request('/series/1038081/feed.json');
+    assert.strictEqual(json.status, 200);
+    assert.match(json.headers.get('content-type'), /application\/feed\+json/);
+    assert.strictEqual((await json.json()).feed_url, `${baseUrl}/feed.json`);
+  });
+
+  it('should negotiate the format of /feed.xml from Accept', async () => {
+    const res = await request('/feed.xml', { headers: { Accept: 'application/feed+json' } });
+    assert.match(res.headers.get('content-type'), /application\/feed\+json/);
+    assert.strictEqual(res.headers.get('vary'), 'Accept');
+    assert.strictEqual((await res.json()).version, 'https://jsonfeed.org/version/1.1');
+  });
+
+  it('should relay episode audio', async () => {
+    const res = await request('/audio/1609912691.m4a');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('content-type'), 'audio/mp4');
+    assert.strictEqual(res.headers.get('content-length'), String(AUDIO_BYTES.length));
+    assert.deepStrictEqual(Buffer.from(await res.arrayBuffer()), AUDIO_BYTES);
+  });
+
+  it('should pass Range requests through and answer 206', async () => {
+    const res = await request('/audio/1609912691', { headers: { Range: 'bytes=5-9' } });
+    assert.strictEqual(res.status, 206);
+    assert.strictEqual(res.headers.get('content-range'), `bytes 5-9/${AUDIO_BYTES.length}`);
+    assert.strictEqual(res.headers.get('content-length'), '5');
+    assert.strictEqual(await res.text(), '56789');
+  });
+
+  it('should return 404 for unknown episodes', async () => {
+    const res = await request('/audio/1');
+    assert.strictEqual(res.status, 404);
+  });
+});
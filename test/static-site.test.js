@@ -0,0 +1,79 @@
+/**
+ * Tests for the static site pages, sitemap and robots.txt
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { buildSitePages, pageUrl, renderSitemap, renderRobotsTxt } from '../src/static-site.js';
+import { buildFeedModel } from '../src/feed-model.js';
+
+const BASE_URL = 'https://example.com/ohtujutt';
+
+const FEED_URLS = {
+  rss: `${BASE_URL}/feed.xml`,
+  atom: `${BASE_URL}/feed.atom`,
+  json: `${BASE_URL}/feed.json`,
+};
+
+function episode(id, pubDate) {
+  return {
+    id,
+    title: `Õhtujutt. Jutt ${id}`,
+    description: '',
+    audioUrl: `https://vod.err.ee/file/viker/${id}.m4a`,
+    pubDate: new Date(pubDate),
+    imageUrl: '',
+    duration: 600,
+    link: `https://vikerraadio.err.ee/${id}`,
+  };
+}
+
+const MODEL = buildFeedModel([
+  episode(2, '2024-01-16T18:45:00Z'),
+  episode(1, '2024-01-15T18:45:00Z'),
+], FEED_URLS.rss);
+
+describe('static-site', () => {
+  describe('buildSitePages', () => {
+    it('should render the landing page and one page per episode', () => {
+      const pages = buildSitePages(MODEL, FEED_URLS);
+      assert.deepStrictEqual(pages.map(p => p.path), ['index.html', 'episodes/2.html', 'episodes/1.html']);
+      assert.deepStrictEqual(pages[0].lastModified, new Date('2024-01-16T18:45:00Z'));
+      assert.deepStrictEqual(pages[2].lastModified, new Date('2024-01-15T18:45:00Z'));
+      assert.ok(pages[0].body.includes('<a href="episodes/1.html">'));
+      assert.ok(pages[1].body.includes('<h1>Õhtujutt. Jutt 2</h1>'));
+    });
+  });
+
+  describe('pageUrl', () => {
+    it('should serve index.html as its directory', () => {
+      assert.strictEqual(pageUrl(BASE_URL, 'index.html'), `${BASE_URL}/`);
+      assert.strictEqual(pageUrl(BASE_URL, 'episodes/1.html'), `${BASE_URL}/episodes/1.html`);
+    });
+  });
+
+  describe('renderSitemap', () => {
+    it('should list every page with its last modification', () => {
+      const sitemap = renderSitemap(BASE_URL, buildSitePages(MODEL, FEED_URLS));
+      assert.ok(sitemap.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+      assert.ok(sitemap.includes('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'));
+      assert.strictEqual((sitemap.match(/<url>/g) || []).length, 3);
+      assert.ok(sitemap.includes(`<loc>${BASE_URL}/</loc>\n    <lastmod>2024-01-16T18:45:00.000Z</lastmod>`));
+      assert.ok(sitemap.includes(`<loc>${BASE_URL}/episodes/1.html</loc>`));
+    });
+
+    it('should escape URLs', () => {
+      const sitemap = renderSitemap('https://example.com/?a=1&b=2', [{ path: 'index.html', lastModified: new Date(0) }]);
+      assert.ok(sitemap.includes('<loc>https://example.com/?a=1&amp;b=2/</loc>'));
+    });
+  });
+
+  describe('renderRobotsTxt', () => {
+    it('should allow crawling and point at the sitemap', () => {
+      const robots = renderRobotsTxt(BASE_URL);
+      assert.match(robots, /^User-agent: \*\nAllow: \/\n/);
+      assert.ok(robots.includes(`Sitemap: ${BASE_URL}/sitemap.xml`));
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for episode title analysis
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { stripTitlePrefix, parseStoryTitle, analyzeEpisodeTitles, serialOrder } from '../src/title-analysis.js';
+
+const MOCKS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'mocks');
+
+// The broadcasts page as ERR serves it, mapped the way fetchEpisodeData() maps pubDate
+const broadcasts = JSON.parse(readFileSync(join(MOCKS_DIR, 'broadcasts-1038081.json'), 'utf-8')).data
+  .map(b => ({ id: b.id, title: b.heading, pubDate: new Date(b.scheduleStart * 1000) }));
+
+function episode(id, title, day) {
+  return { id, title, pubDate: new Date(Date.UTC(2024, 0, day, 18, 45)) };
+}
+
+describe('title-analysis', () => {
+  describe('stripTitlePrefix', () => {
+    it('should remove the show name prefixes', () => {
+      assert.strictEqual(stripTitlePrefix('Õhtujutt. Piia uurib kelgumäge'), 'Piia uurib kelgumäge');
+      assert.strictEqual(stripTitlePrefix('Õhtujutt lastele. Hõbeuisud'), 'Hõbeuisud');
+      assert.strictEqual(stripTitlePrefix('ÕHTUJUTT: Metsamaja'), 'Metsamaja');
+    });
+
+    it('should leave other titles alone', () => {
+      assert.strictEqual(stripTitlePrefix('Õhtujutu aeg'), 'Õhtujutu aeg');
+      assert.strictEqual(stripTitlePrefix('Õhtujutt.'), 'Õhtujutt.');
+    });
+  });
+
+  describe('parseStoryTitle', () => {
+    const cases = [
+      ['Õhtujutt. Vahtramäe Emil. 3. osa', 'Vahtramäe Emil', 3, null],
+      ['Vahtramäe Emil (3. osa)', 'Vahtramäe Emil', 3, null],
+      ['Vahtramäe Emil, 2 jagu', 'Vahtramäe Emil', 2, null],
+      ['Vahtramäe Emil. Osa 4', 'Vahtramäe Emil', 4, null],
+      ['Karupoeg Puhh 2/5', 'Karupoeg Puhh', 2, 5],
+      ['Karupoeg Puhh (2/5)', 'Karupoeg Puhh', 2, 5],
+      ['Muumid. Teine osa', 'Muumid', 2, null],
+      ['Muumid. III osa', 'Muumid', 3, null],
+      ['Muumid (2)', 'Muumid', 2, null],
+      ['Muumid (algus)', 'Muumid', 1, null],
+      ['Muumid (lõpp)', 'Muumid', null, null],
+      ['Õhtujutt lastele. Piia Präänik kolib sisse, 8', 'Piia Präänik kolib sisse', 8, null],
+      ['Õhtujutt. Isamoodi unejutud, 14', 'Isamoodi unejutud', 14, null],
+      ['Timbu-Limbu õukond ja lumemöldrid, 3', 'Timbu-Limbu õukond ja lumemöldrid', 3, null],
+    ];
+
+    for (const [title, story, part, total] of cases) {
+      it(`should read "${title}"`, () => {
+        const parsed = parseStoryTitle(title);
+        assert.strictEqual(parsed.story, story);
+        assert.strictEqual(parsed.part, part);
+        assert.strictEqual(parsed.total, total);
+        assert.strictEqual(parsed.isPart, true);
+      });
+    }
+
+    it('should treat titles without a marker as whole stories', () => {
+      assert.deepStrictEqual(parseStoryTitle('Õhtujutt. Piia uurib kelgumäge'), {
+        title: 'Piia uurib kelgumäge', story: 'Piia uurib kelgumäge', part: null, total: null, isPart: false,
+      });
+      // Years and bare markers aren't parts
+      assert.strictEqual(parseStoryTitle('Jõulujutt (2019)').isPart, false);
+      assert.strictEqual(parseStoryTitle('(2)').isPart, false);
+      assert.strictEqual(parseStoryTitle('Veiko Märka - Haisuloom,  kellest sai kaisuloom').isPart, false);
+      assert.strictEqual(parseStoryTitle('Jõulujutt, 2019').isPart, false);
+    });
+  });
+
+  describe('analyzeEpisodeTitles', () => {
+    const episodes = [
+      episode(6, 'Õhtujutt. Metsamaja', 6),
+      episode(5, 'Õhtujutt. Muumid (lõpp)', 5),
+      episode(4, 'Õhtujutt. Muumid (järg)', 4),
+      episode(3, 'Õhtujutt. Muumid. 1. osa', 3),
+      episode(2, 'Õhtujutt. Vahtramäe Emil. 2. osa', 2),
+      episode(1, 'Õhtujutt lastele. Vahtramäe Emil. 1. osa', 1),
+    ];
+
+    it('should number multi-part stories by the date of their first part', () => {
+      const analyzed = analyzeEpisodeTitles(episodes);
+      assert.deepStrictEqual(analyzed.map(ep => [ep.id, ep.title, ep.storyNumber, ep.part]), [
+        [6, 'Metsamaja', null, 1],
+        [5, 'Muumid (lõpp)', 20240103, 3],
+        [4, 'Muumid (järg)', 20240103, 2],
+        [3, 'Muumid. 1. osa', 20240103, 1],
+        [2, 'Vahtramäe Emil. 2. osa', 20240101, 2],
+        [1, 'Vahtramäe Emil. 1. osa', 20240101, 1],
+      ]);
+      assert.strictEqual(analyzed[3].story, 'Muumid');
+    });
+
+    it('should keep story numbers when earlier episodes leave the set', () => {
+      // Vahtramäe Emil's first part has left: its date is counted back from part 2, one evening earlier
+      const full = analyzeEpisodeTitles(episodes);
+      const rolling = analyzeEpisodeTitles(episodes.slice(0, 5));
+      assert.deepStrictEqual(
+        rolling.map(ep => [ep.id, ep.storyNumber, ep.part]),
+        full.slice(0, 5).map(ep => [ep.id, ep.storyNumber, ep.part])
+      );
+    });
+
+    it('should start a new story when part numbers restart', () => {
+      const analyzed = analyzeEpisodeTitles([
+        episode(4, 'Vahtramäe Emil. 2. osa', 20),
+        episode(3, 'Vahtramäe Emil. 1. osa', 19),
+        episode(2, 'Vahtramäe Emil. 2. osa', 2),
+        episode(1, 'vahtramäe emil. 1. osa', 1),
+      ]);
+      assert.deepStrictEqual(analyzed.map(ep => [ep.storyNumber, ep.part]), [
+        [20240119, 2], [20240119, 1], [20240101, 2], [20240101, 1],
+      ]);
+    });
+
+    it('should number the parts of ERR\'s multi-part stories', () => {
+      const analyzed = analyzeEpisodeTitles(broadcasts);
+      const piia = analyzed.filter(ep => ep.story === 'Piia Präänik kolib sisse');
+
+      // Parts 1-8 are headed "Õhtujutt lastele. …", 9-14 have no prefix: still one story
+      assert.strictEqual(piia.length, 14);
+      assert.deepStrictEqual(new Set(piia.map(ep => ep.storyNumber)), new Set([20251117]));
+      assert.deepStrictEqual(piia.map(ep => ep.part), [14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+
+      const isamoodi = analyzed.filter(ep => ep.story === 'Isamoodi unejutud');
+      assert.deepStrictEqual(new Set(isamoodi.map(ep => ep.storyNumber)), new Set([20260112]));
+
+      const timbu = analyzed.find(ep => ep.title === 'Timbu-Limbu õukond ja lumemöldrid, 3');
+      assert.deepStrictEqual([timbu.storyNumber, timbu.part], [20260105, 3]);
+
+      const single = analyzed.find(ep => ep.title === 'Piia uurib kelgumäge');
+      assert.deepStrictEqual([single.storyNumber, single.part], [null, 1]);
+    });
+
+    it('should leave one-part stories unnumbered', () => {
+      const analyzed = analyzeEpisodeTitles([episode(2, 'Metsamaja', 2), episode(1, 'Metsamaja', 1)]);
+      assert.deepStrictEqual(analyzed.map(ep => [ep.storyNumber, ep.part]), [[null, 1], [null, 1]]);
+    });
+  });
+
+  describe('serialOrder', () => {
+    it('should put the parts of each story together, newest story first', () => {
+      const analyzed = analyzeEpisodeTitles([
+        episode(5, 'Metsamaja', 5),
+        episode(4, 'Muumid. 2. osa', 4),
+        episode(3, 'Vahtramäe Emil. 2. osa', 3),
+        episode(2, 'Muumid. 1. osa', 2),
+        episode(1, 'Vahtramäe Emil. 1. osa', 1),
+      ]);
+      assert.deepStrictEqual(serialOrder(analyzed).map(ep => ep.id), [5, 2, 4, 1, 3]);
+    });
+
+    it('should play ERR\'s multi-part stories from the first part', () => {
+      const ordered = serialOrder(analyzeEpisodeTitles(broadcasts))
+        .filter(ep => ep.story === 'Timbu-Limbu õukond ja lumemöldrid');
+      assert.deepStrictEqual(ordered.map(ep => ep.part), [1, 2, 3, 4, 5]);
+    });
+  });
+});